@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import { createRequire } from 'node:module';
+import { parseArgs } from 'node:util';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { readPdfPages } from '../src/services/pdfPages.js';
+import { convertQuotePages } from '../src/services/quotePipeline.js';
+import { findMissingHeaderFields } from '../src/services/quoteValidator.js';
+import { EXPORT_PROFILES, getExportProfile } from '../src/services/exportProfiles.js';
+import { generateCSV, generateFilename } from '../src/services/csvGenerator.js';
+import { buildQuoteModel, generateQuoteJSON } from '../src/services/quoteModel.js';
+import { importExchangeRates, convertRowsToUsd } from '../src/services/exchangeRates.js';
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT } from '../src/utils/constants.js';
+import { parseOpportunityId } from '../src/utils/salesforceId.js';
+import { QUOTE_TEMPLATES } from '../src/services/quoteTemplates.js';
+
+// pdf.js loads the standard 14 fonts from disk under Node
+const STANDARD_FONT_DATA_URL = join(dirname(createRequire(import.meta.url).resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+const USAGE = `Usage: quote2csv [options] <quote.pdf>...
+
+Convert VDURA quotation PDFs to CSV or JSON.
+
+Options:
+  -o, --opportunity-id <id>  Salesforce Opportunity ID (15 or 18 characters, or a
+                             record link) for every PDF
+  -m, --map <file>           Per-PDF Opportunity IDs: a JSON object or "file,id" lines,
+                             keyed by PDF file name
+  -f, --format <format>      csv (default) or json
+  -p, --profile <id>         CSV export profile: ${EXPORT_PROFILES.map(profile => profile.id).join(', ')}
+  -t, --date-format <id>     CSV date columns: ${DATE_FORMATS.map(format => format.id).join(', ')}
+                             (${DATE_FORMATS.map(format => format.pattern).join(', ')})
+  -d, --out-dir <dir>        Write one file per PDF here instead of to stdout
+  -r, --usd-rates <file>     Convert CSV prices to USD with an exchange rates JSON file
+                             exported from the web app's Settings
+      --template <id>        Read every PDF as this quote layout instead of detecting it:
+                             ${QUOTE_TEMPLATES.map(template => template.id).join(', ')}
+  -v, --verbose              Log how each header field and line item was read to stderr
+  -h, --help                 Show this help
+
+PDFs without an Opportunity ID from --opportunity-id or --map use the one printed
+on the quote, if any.
+
+With several PDFs and no --out-dir, CSV rows are merged under one header and
+JSON is written as an array of quotes.`;
+
+/**
+ * Usage errors exit with status 2, conversion failures with status 1
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse an Opportunity ID mapping file
+ * @param {string} content - JSON object ({ "quote.pdf": "006..." }) or "file,id" lines
+ * @returns {Map} - PDF file name to Opportunity ID
+ */
+function parseOpportunityMap(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('{')) {
+    return new Map(Object.entries(JSON.parse(trimmed)).map(([name, id]) => [basename(name), String(id).trim()]));
+  }
+
+  const map = new Map();
+  for (const line of trimmed.split(/\r?\n/)) {
+    const [name, id] = line.split(',').map(value => value.trim());
+    // Skip blanks, comments and an optional header line
+    if (!name || !id || name.startsWith('#') || !/\.pdf$/i.test(name)) continue;
+    map.set(basename(name), id);
+  }
+  return map;
+}
+
+/**
+ * Convert one PDF from disk
+ * @returns {Promise<Object>} - Conversion result from convertQuotePages plus the source path
+ */
+async function convertFile(path, opportunityId, templateId) {
+  const data = new Uint8Array(await readFile(path));
+  const pages = await readPdfPages(pdfjsLib, data, {
+    documentOptions: { standardFontDataUrl: STANDARD_FONT_DATA_URL }
+  });
+
+  if (pages.every(page => page.items.every(item => !item.str.trim()))) {
+    throw new Error('PDF has no text layer (scanned?). OCR is only available in the web app.');
+  }
+
+  return { path, ...convertQuotePages(pages, opportunityId, undefined, { templateId }) };
+}
+
+/**
+ * Describe how each header field and line item was read, for --verbose
+ */
+function logDiagnostics(path, diagnostics) {
+  if (diagnostics.template) {
+    const { name, confidence, matched } = diagnostics.template;
+    console.error(`${path}: template: ${name} [${confidence}]${matched.length > 0 ? ` matched ${matched.join(', ')}` : ''}`);
+  }
+  for (const fix of diagnostics.normalization.fixes) {
+    console.error(`${path}: fix: ${fix.label} (${fix.count}x)`);
+  }
+  for (const [field, entry] of Object.entries(diagnostics.header)) {
+    console.error(`${path}: header: ${field} = ${entry.missing ? '(not found)' : `"${entry.value}" via ${entry.pattern} [${entry.confidence}]`}`);
+  }
+  console.error(`${path}: line items from ${diagnostics.lineItemSource} (${diagnostics.tableRowCount} table rows)`);
+  for (const entry of diagnostics.lineItems) {
+    const where = entry.page ? ` page ${entry.page}` : '';
+    console.error(`${path}: item: ${entry.partNo} ${entry.source}${where} ${entry.family || (entry.adjustment ? `${entry.adjustment} adjustment` : '-')}${entry.skipped ? ` skipped: ${entry.skipped}` : ''}`);
+  }
+}
+
+function toQuoteModel(result) {
+  return buildQuoteModel({ ...result, sourceFile: basename(result.path) });
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'opportunity-id': { type: 'string', short: 'o' },
+      map: { type: 'string', short: 'm' },
+      format: { type: 'string', short: 'f', default: 'csv' },
+      profile: { type: 'string', short: 'p', default: 'default' },
+      'date-format': { type: 'string', short: 't', default: DEFAULT_DATE_FORMAT },
+      'out-dir': { type: 'string', short: 'd' },
+      'usd-rates': { type: 'string', short: 'r' },
+      template: { type: 'string' },
+      verbose: { type: 'boolean', short: 'v', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (positionals.length === 0) {
+    throw new UsageError('No PDF files given.');
+  }
+  if (!['csv', 'json'].includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}". Use csv or json.`);
+  }
+  if (!EXPORT_PROFILES.some(profile => profile.id === values.profile)) {
+    throw new UsageError(`Unknown export profile "${values.profile}".`);
+  }
+  if (!DATE_FORMATS.some(format => format.id === values['date-format'])) {
+    throw new UsageError(`Unknown date format "${values['date-format']}".`);
+  }
+
+  if (values.template && !QUOTE_TEMPLATES.some(template => template.id === values.template)) {
+    throw new UsageError(`Unknown quote template "${values.template}".`);
+  }
+
+  if (values['usd-rates'] && values.format !== 'csv') {
+    throw new UsageError('--usd-rates applies to CSV output only; JSON keeps the quote currency.');
+  }
+
+  let exchangeRates = null;
+  if (values['usd-rates']) {
+    try {
+      exchangeRates = importExchangeRates(await readFile(values['usd-rates'], 'utf8'));
+    } catch (error) {
+      throw new UsageError(`${values['usd-rates']}: ${error.message}`);
+    }
+  }
+
+  const opportunityMap = values.map
+    ? parseOpportunityMap(await readFile(values.map, 'utf8'))
+    : new Map();
+
+  const jobs = positionals.map(path => ({
+    path,
+    opportunityId: opportunityMap.get(basename(path)) || values['opportunity-id'] || ''
+  }));
+
+  for (const job of jobs) {
+    if (!job.opportunityId) continue;
+    const { id, error } = parseOpportunityId(job.opportunityId);
+    if (error) {
+      throw new UsageError(`${job.path}: Opportunity ID "${job.opportunityId}": ${error}.`);
+    }
+    job.opportunityId = id;
+  }
+
+  // pdf.js prints its warnings with console.log; keep stdout for the output itself
+  console.log = values.verbose ? console.error : () => {};
+
+  const results = [];
+  let failed = 0;
+
+  for (const job of jobs) {
+    try {
+      const result = await convertFile(job.path, job.opportunityId, values.template);
+      if (!job.opportunityId && !result.pdfOpportunityId) {
+        throw new Error('no Opportunity ID. Pass --opportunity-id, list the file in --map, or print it on the quote.');
+      }
+      if (job.opportunityId && result.pdfOpportunityId && result.pdfOpportunityId !== job.opportunityId) {
+        console.warn(`${job.path}: warning: the quote names Opportunity ${result.pdfOpportunityId}, not ${job.opportunityId}`);
+      }
+      if (exchangeRates) result.rows = convertRowsToUsd(result.rows, exchangeRates);
+      results.push(result);
+
+      if (values.verbose) logDiagnostics(job.path, result.diagnostics);
+
+      for (const field of findMissingHeaderFields(result.header)) {
+        console.warn(`${job.path}: warning: ${field.label} not found`);
+      }
+      for (const issue of result.issues) {
+        console.warn(`${job.path}: warning: ${issue.message}`);
+      }
+    } catch (error) {
+      failed++;
+      if (values.verbose && error.diagnostics) logDiagnostics(job.path, error.diagnostics);
+      console.error(`${job.path}: error: ${error.message}`);
+    }
+  }
+
+  const profile = getExportProfile(values.profile);
+  const render = values.format === 'json'
+    ? result => generateQuoteJSON(toQuoteModel(result)) + '\n'
+    : result => generateCSV(result.rows, profile, { dateFormat: values['date-format'] }) + profile.lineEnding;
+
+  if (values['out-dir']) {
+    await mkdir(values['out-dir'], { recursive: true });
+    const usedNames = new Set();
+
+    for (const result of results) {
+      let name = generateFilename(result.header.quoteNumber || 'unknown', values.format);
+      for (let n = 2; usedNames.has(name); n++) {
+        name = generateFilename(`${result.header.quoteNumber || 'unknown'}-${n}`, values.format);
+      }
+      usedNames.add(name);
+
+      const outPath = join(values['out-dir'], name);
+      await writeFile(outPath, render(result));
+      console.error(`${result.path}: wrote ${outPath} (${result.rows.length} rows)`);
+    }
+  } else if (results.length > 0) {
+    if (values.format === 'json') {
+      const models = results.map(toQuoteModel);
+      process.stdout.write(generateQuoteJSON(models.length === 1 ? models[0] : models) + '\n');
+    } else {
+      process.stdout.write(generateCSV(results.flatMap(result => result.rows), profile, { dateFormat: values['date-format'] }) + profile.lineEnding);
+    }
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  error => {
+    console.error(`quote2csv: ${error.message}`);
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error('Run quote2csv --help for usage.');
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Build the PDF fixtures in tests/fixtures/quotes from their layout.json files
+ * A layout lists pages of [x, y, text] items (PDF points, origin bottom-left),
+ * drawn in Helvetica 9pt on US Letter pages. Run after editing a layout:
+ *   node scripts/build-fixture-pdfs.js
+ */
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const QUOTES_DIR = fileURLToPath(new URL('../tests/fixtures/quotes', import.meta.url));
+
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Write a minimal PDF with one text content stream per page
+ * @param {Array} pages - Pages of [x, y, text] items
+ * @returns {Buffer} - PDF bytes
+ */
+function buildPdf(pages) {
+  const pageCount = pages.length;
+  const fontRef = 3 + pageCount * 2;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${3 + i * 2} 0 R`).join(' ')}] /Count ${pageCount} >>`
+  ];
+
+  pages.forEach((items, i) => {
+    const stream = [
+      'BT /F1 9 Tf',
+      ...items.map(([x, y, text]) => `1 0 0 1 ${x} ${y} Tm (${escapePdfString(text)}) Tj`),
+      'ET'
+    ].join('\n');
+
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${4 + i * 2} 0 R ` +
+      `/Resources << /Font << /F1 ${fontRef} 0 R >> >> >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+for (const name of readdirSync(QUOTES_DIR)) {
+  const layoutPath = join(QUOTES_DIR, name, 'layout.json');
+  if (!existsSync(layoutPath)) continue;
+
+  const { pages } = JSON.parse(readFileSync(layoutPath, 'utf8'));
+  writeFileSync(join(QUOTES_DIR, name, 'quote.pdf'), buildPdf(pages));
+  console.log(`Built ${name}/quote.pdf`);
+}
@@ -1,19 +1,114 @@
-import { useState } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import FileUploader from './components/FileUploader';
 import OpportunityInput from './components/OpportunityInput';
 import StatusMessage from './components/StatusMessage';
-import { extractTextFromPDF } from './services/pdfParser';
-import { extractHeader, extractLineItems, extractBaseProductCode } from './services/dataExtractor';
-import { transformData } from './services/dataTransformer';
-import { generateCSV, generateFilename, downloadCSV } from './services/csvGenerator';
+import PreviewGrid from './components/PreviewGrid';
+import ValidationReport from './components/ValidationReport';
+import HeaderSummary from './components/HeaderSummary';
+import ExportProfileSelect from './components/ExportProfileSelect';
+import DateFormatSelect from './components/DateFormatSelect';
+import BatchConverter from './components/BatchConverter';
+import SettingsPanel from './components/SettingsPanel';
+import DiagnosticsDrawer from './components/DiagnosticsDrawer';
+import PdfViewer from './components/PdfViewer';
+import UsdConversionOption from './components/UsdConversionOption';
+import HistoryPanel from './components/HistoryPanel';
+import CompareQuotes from './components/CompareQuotes';
+import vduraWordmark from './assets/vdura-wordmark.svg';
+import { convertQuote } from './services/quoteConverter';
+import { validateQuote, findMissingHeaderFields } from './services/quoteValidator';
+import { getExportProfile } from './services/exportProfiles';
+import { downloadBlob } from './services/csvGenerator';
+import { buildQuoteExport } from './services/quoteExport';
+import { generateQuoteSchemaJSON, QUOTE_MODEL_VERSION } from './services/quoteModel';
+import { recordConversion, updateHistoryEntry } from './services/conversionHistory';
+import { locateRows } from './services/rowSources';
+import { loadExchangeRates, findMissingExchangeRates, convertRowsToUsd } from './services/exchangeRates';
+import { parseOpportunityId } from './utils/salesforceId';
+import { DEFAULT_CURRENCY, DEFAULT_DATE_FORMAT } from './utils/constants';
+
+const MODES = [
+  { id: 'single', label: 'Single Quote' },
+  { id: 'batch', label: 'Batch' },
+  { id: 'history', label: 'History' },
+  { id: 'compare', label: 'Compare' },
+  { id: 'settings', label: 'Settings' }
+];
 
 function App() {
+  const [mode, setMode] = useState('single');
   const [file, setFile] = useState(null);
   const [opportunityId, setOpportunityId] = useState('');
+  const [pdfOpportunityId, setPdfOpportunityId] = useState(null);
   const [status, setStatus] = useState(null);
   const [message, setMessage] = useState('');
+  const [header, setHeader] = useState(null);
+  const [rows, setRows] = useState(null);
+  const [totals, setTotals] = useState(null);
+  const [lineItems, setLineItems] = useState(null);
+  const [ocrPages, setOcrPages] = useState([]);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [conversionError, setConversionError] = useState(null);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showPdf, setShowPdf] = useState(false);
+  const [selectedRow, setSelectedRow] = useState(null);
+  const [issuesOverridden, setIssuesOverridden] = useState(false);
+  const [exportProfileId, setExportProfileId] = useState('default');
+  const [dateFormat, setDateFormat] = useState(DEFAULT_DATE_FORMAT);
+  const [convertToUsd, setConvertToUsd] = useState(false);
+  const [historyId, setHistoryId] = useState(null);
+  const abortRef = useRef(null);
+  const selectedFileRef = useRef(null);
+  const prefilledIdRef = useRef(null);
+
+  // Re-read after a visit to Settings, where the rates are edited
+  const exchangeRates = useMemo(loadExchangeRates, [mode]);
+
+  // Re-validate as rows are edited so fixes clear their warnings
+  const issues = useMemo(
+    () => (rows ? validateQuote(rows, totals || undefined) : []),
+    [rows, totals]
+  );
+  const missingHeaderFields = header ? findMissingHeaderFields(header) : [];
+
+  const rowLocations = useMemo(
+    () => (rows ? locateRows(rows, lineItems || []) : []),
+    [rows, lineItems]
+  );
+  const isPdfShown = showPdf && rows && file;
+  const isUsdConversionOn = convertToUsd && rows && findMissingExchangeRates(rows, exchangeRates).length === 0;
+
+  let downloadBlockedReason = null;
+  if (missingHeaderFields.length > 0) {
+    downloadBlockedReason = `Fill in ${missingHeaderFields.map(f => f.label).join(', ')} to download`;
+  } else if (issues.length > 0 && !issuesOverridden) {
+    downloadBlockedReason = 'Resolve or override discrepancies to download';
+  }
+
+  const isFormValid = file && parseOpportunityId(opportunityId).id !== null;
 
-  const isFormValid = file && opportunityId.length === 18;
+  // Prefill the Opportunity ID when the quote prints one
+  const handleFileSelect = (selected) => {
+    selectedFileRef.current = selected;
+    setFile(selected);
+    setPdfOpportunityId(null);
+    if (!selected) return;
+
+    import('./services/pdfParser')
+      .then(({ detectOpportunityId }) => detectOpportunityId(selected))
+      .then(detected => {
+        // Another file may have been chosen while this one was read
+        if (!detected || selectedFileRef.current !== selected) return;
+        setPdfOpportunityId(detected);
+        // Keep an ID the user typed; replace one prefilled from an earlier file
+        setOpportunityId(prev => {
+          if (prev && prev !== prefilledIdRef.current) return prev;
+          prefilledIdRef.current = detected;
+          return detected;
+        });
+      })
+      .catch(error => console.error('Opportunity ID detection error:', error));
+  };
 
   const handleConvert = async () => {
     if (!isFormValid) return;
@@ -21,58 +116,146 @@ function App() {
     setStatus('processing');
     setMessage('Parsing PDF...');
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setDiagnostics(null);
+    setConversionError(null);
+
     try {
-      // Step 1: Extract text from PDF
-      const pdfText = await extractTextFromPDF(file);
-      console.log('Extracted PDF text:', pdfText.substring(0, 500));
-
-      // Step 2: Extract structured data
-      setMessage('Extracting data...');
-      const header = extractHeader(pdfText);
-      const lineItems = extractLineItems(pdfText);
-      const baseProductCode = extractBaseProductCode(pdfText);
-
-      console.log('Header:', header);
-      console.log('Line items:', lineItems);
-      console.log('Base product code:', baseProductCode);
-
-      if (lineItems.length === 0) {
-        throw new Error('No line items found in PDF. Please check the PDF format.');
+      const { id } = parseOpportunityId(opportunityId);
+      setOpportunityId(id);
+
+      const { header, lineItems, rows, totals, ocrPages, pdfOpportunityId, template, diagnostics } = await convertQuote(file, id, setMessage, {
+        signal: controller.signal
+      });
+
+      // Hand off to the preview grid for review
+      setHeader(header);
+      setRows(rows);
+      setTotals(totals);
+      setLineItems(lineItems);
+      setOcrPages(ocrPages);
+      setDiagnostics(diagnostics);
+      setPdfOpportunityId(pdfOpportunityId);
+      setSelectedRow(null);
+      setIssuesOverridden(false);
+      setHistoryId(null);
+
+      // History is a convenience; a storage failure must not block the conversion
+      recordConversion(
+        { sourceFile: file.name, opportunityId: id, header, rows, totals, lineItems, issues: validateQuote(rows, totals || undefined), ocrPages },
+        file
+      )
+        .then(setHistoryId)
+        .catch(error => console.error('History error:', error));
+
+      setStatus('success');
+      // An unrecognised layout is read as the default one, which may miss fields
+      const layout = template.confidence === 'low' ? `an unrecognised layout, read as a ${template.name}` : `a ${template.name}`;
+      const adjustmentCount = rows.filter(row => row.lineType === 'adjustment').length;
+      const adjustmentNote = adjustmentCount > 0 ? ` (${adjustmentCount} discount, credit, freight or tax line${adjustmentCount === 1 ? '' : 's'})` : '';
+      setMessage(`Extracted ${rows.length} rows${adjustmentNote} from ${layout}. Review and edit below, then download.`);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setStatus(null);
+        setMessage('');
+        return;
       }
+      console.error('Conversion error:', error);
+      // Extraction failures still report what was read, for a bug report
+      setDiagnostics(error.diagnostics || null);
+      setConversionError(error.message);
+      setStatus('error');
+      setMessage(`Error: ${error.message}`);
+    } finally {
+      abortRef.current = null;
+    }
+  };
 
-      // Step 3: Transform data with business logic
-      setMessage('Applying business rules...');
-      const rows = transformData(header, lineItems, opportunityId, baseProductCode);
+  const handleCancel = () => {
+    abortRef.current?.abort();
+  };
 
-      console.log('Transformed rows:', rows);
+  // Header edits are copied onto every row, since each CSV row repeats the header
+  const handleHeaderChange = (field, value) => {
+    setHeader(prev => ({
+      ...prev,
+      [field.key]: value,
+      extraction: {
+        ...prev.extraction,
+        [field.key]: { pattern: null, confidence: 'manual', missing: !value.trim() }
+      }
+    }));
+    setRows(prev => prev.map(row => ({ ...row, [field.rowField]: value })));
+  };
 
-      // Step 4: Generate CSV
-      setMessage('Generating CSV...');
-      const csvContent = generateCSV(rows);
-      const filename = generateFilename(header.quoteNumber || 'unknown');
+  const handleDownload = (editedRows, format = 'csv') => {
+    try {
+      // JSON keeps the quote currency; CSV and Excel follow the USD conversion option
+      const usd = isUsdConversionOn && format !== 'json';
+      const { blob, filename } = buildQuoteExport(format, {
+        header: usd ? { ...header, currency: DEFAULT_CURRENCY } : header,
+        rows: usd ? convertRowsToUsd(editedRows, exchangeRates) : editedRows,
+        totals,
+        lineItems: lineItems || [],
+        issues,
+        sourceFile: file?.name || null,
+        ocrPages,
+        opportunityId
+      }, { profile: getExportProfile(exportProfileId), dateFormat });
+      downloadBlob(blob, filename);
 
-      // Step 5: Download
-      downloadCSV(csvContent, filename);
+      // Keep the reviewed rows, not the first extraction, for re-download from History
+      if (historyId !== null) {
+        updateHistoryEntry(historyId, {
+          header,
+          rows: editedRows,
+          issues,
+          quoteNumber: header?.quoteNumber || '',
+          customer: header?.customer || ''
+        }).catch(error => console.error('History update error:', error));
+      }
 
       setStatus('success');
-      setMessage(`Successfully converted! Downloaded ${filename} with ${rows.length} rows.`);
+      setMessage(`Successfully converted! Downloaded ${filename} with ${editedRows.length} rows.`);
 
       // Clear form for next conversion
       setFile(null);
       setOpportunityId('');
-
+      setPdfOpportunityId(null);
+      setHeader(null);
+      setRows(null);
+      setTotals(null);
+      setLineItems(null);
+      setOcrPages([]);
+      setDiagnostics(null);
+      setHistoryId(null);
     } catch (error) {
-      console.error('Conversion error:', error);
+      console.error('Download error:', error);
       setStatus('error');
       setMessage(`Error: ${error.message}`);
     }
   };
 
+  const handleDownloadSchema = () => {
+    const blob = new Blob([generateQuoteSchemaJSON()], { type: 'application/schema+json' });
+    downloadBlob(blob, `quote2csv-quote.schema.v${QUOTE_MODEL_VERSION}.json`);
+  };
+
   const handleReset = () => {
     setFile(null);
     setOpportunityId('');
+    setPdfOpportunityId(null);
     setStatus(null);
     setMessage('');
+    setHeader(null);
+    setRows(null);
+    setTotals(null);
+    setLineItems(null);
+    setOcrPages([]);
+    setDiagnostics(null);
+    setConversionError(null);
+    setHistoryId(null);
   };
 
   return (
@@ -82,7 +265,7 @@ function App() {
         <div className="max-w-4xl mx-auto px-6 py-4 flex items-center justify-between">
           <div className="flex items-center gap-4">
             <img
-              src="https://www.vdura.com/wp-content/uploads/2025/10/vdura-wordmark.svg"
+              src={vduraWordmark}
               alt="VDURA"
               className="h-8"
             />
@@ -94,7 +277,7 @@ function App() {
       </header>
 
       {/* Main Content */}
-      <main className="max-w-4xl mx-auto px-6 py-12">
+      <main className={`${isPdfShown ? 'max-w-7xl' : 'max-w-4xl'} mx-auto px-6 py-12`}>
         {/* Page Title */}
         <div className="mb-10">
           <h1 className="text-3xl font-semibold text-gray-900 mb-2">
@@ -107,49 +290,201 @@ function App() {
 
         {/* Main Card */}
         <div className="bg-white border border-gray-200 rounded-lg shadow-sm">
+          {/* Mode Tabs */}
+          <div className="flex border-b border-gray-200 px-8">
+            {MODES.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => setMode(id)}
+                className={`
+                  py-3 mr-6 text-sm font-medium border-b-2 -mb-px transition-colors
+                  ${mode === id
+                    ? 'border-[#0066cc] text-[#0066cc]'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                  }
+                `}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
           <div className="p-8">
-            <div className="space-y-8">
-              {/* File Uploader */}
-              <FileUploader file={file} onFileSelect={setFile} />
-
-              {/* Opportunity ID Input */}
-              <OpportunityInput
-                value={opportunityId}
-                onChange={setOpportunityId}
-              />
-
-              {/* Status Message */}
-              {status && (
-                <StatusMessage status={status} message={message} />
-              )}
-
-              {/* Action Buttons */}
-              <div className="flex gap-4 pt-2">
-                <button
-                  onClick={handleConvert}
-                  disabled={!isFormValid || status === 'processing'}
-                  className={`
-                    flex-1 py-3 px-6 rounded-md font-medium text-white
-                    transition-all duration-200
-                    ${isFormValid && status !== 'processing'
-                      ? 'bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080]'
-                      : 'bg-gray-300 cursor-not-allowed'
-                    }
-                  `}
-                >
-                  {status === 'processing' ? 'Converting...' : 'Convert to CSV'}
-                </button>
-
-                {(file || opportunityId || status) && (
+            {mode === 'batch' && (
+              <BatchConverter />
+            )}
+
+            {mode === 'history' && (
+              <HistoryPanel />
+            )}
+
+            {mode === 'compare' && (
+              <CompareQuotes />
+            )}
+
+            {mode === 'settings' && (
+              <SettingsPanel />
+            )}
+
+            {mode === 'single' && (
+              <div className="space-y-8">
+                {/* File Uploader */}
+                <FileUploader file={file} onFileSelect={handleFileSelect} />
+
+                {/* Opportunity ID Input */}
+                <OpportunityInput
+                  value={opportunityId}
+                  onChange={setOpportunityId}
+                  note={opportunityId === pdfOpportunityId ? 'Read from the PDF' : null}
+                />
+
+                {/* Status Message */}
+                {status && (
+                  <StatusMessage status={status} message={message} />
+                )}
+
+                {diagnostics && status !== 'processing' && (
+                  <p className="text-xs text-gray-500 -mt-4">
+                    Something look wrong?{' '}
+                    <button
+                      onClick={() => setShowDiagnostics(true)}
+                      className="text-[#0066cc] hover:text-[#004080] hover:underline"
+                    >
+                      Show diagnostics
+                    </button>
+                  </p>
+                )}
+
+                {/* Action Buttons */}
+                <div className="flex gap-4 pt-2">
                   <button
-                    onClick={handleReset}
-                    className="py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+                    onClick={handleConvert}
+                    disabled={!isFormValid || status === 'processing'}
+                    className={`
+                      flex-1 py-3 px-6 rounded-md font-medium text-white
+                      transition-all duration-200
+                      ${isFormValid && status !== 'processing'
+                        ? 'bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080]'
+                        : 'bg-gray-300 cursor-not-allowed'
+                      }
+                    `}
                   >
-                    Reset
+                    {status === 'processing' ? 'Converting...' : 'Convert & Preview'}
                   </button>
+
+                  {status === 'processing' ? (
+                    <button
+                      onClick={handleCancel}
+                      className="py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+                    >
+                      Cancel
+                    </button>
+                  ) : (file || opportunityId || status) && (
+                    <button
+                      onClick={handleReset}
+                      className="py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+
+                {/* OCR Notice */}
+                {rows && ocrPages.length > 0 && (
+                  <div className="p-3 rounded-md border border-yellow-300 bg-yellow-50 text-sm text-yellow-900">
+                    {ocrPages.length === 1 ? `Page ${ocrPages[0]} has` : `Pages ${ocrPages.join(', ')} have`} no
+                    text layer and {ocrPages.length === 1 ? 'was' : 'were'} read with OCR. Check every value
+                    against the PDF before downloading.
+                  </div>
+                )}
+
+                {rows && pdfOpportunityId && pdfOpportunityId !== opportunityId && (
+                  <div className="p-3 rounded-md border border-yellow-300 bg-yellow-50 text-sm text-yellow-900">
+                    The PDF names Opportunity {pdfOpportunityId}, but the rows use {opportunityId}. Check
+                    that the quote belongs to this Opportunity.
+                  </div>
+                )}
+
+                {/* Header Summary */}
+                {rows && (
+                  <HeaderSummary header={header} onChange={handleHeaderChange} />
+                )}
+
+                {/* Validation Report */}
+                {rows && (
+                  <ValidationReport
+                    issues={issues}
+                    overridden={issuesOverridden}
+                    onOverrideChange={setIssuesOverridden}
+                  />
+                )}
+
+                {/* Export Profile */}
+                {rows && (
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <ExportProfileSelect value={exportProfileId} onChange={setExportProfileId} />
+                    <DateFormatSelect value={dateFormat} onChange={setDateFormat} />
+                  </div>
+                )}
+
+                {rows && (
+                  <UsdConversionOption
+                    currencies={rows.map(row => row.currency)}
+                    rates={exchangeRates}
+                    checked={convertToUsd}
+                    onChange={setConvertToUsd}
+                  />
+                )}
+
+                {rows && file && (
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={showPdf}
+                      onChange={(e) => setShowPdf(e.target.checked)}
+                    />
+                    Show the PDF next to the rows
+                  </label>
+                )}
+
+                {/* Preview Grid, optionally beside the source PDF */}
+                {rows && (
+                  <div className={isPdfShown ? 'grid lg:grid-cols-2 gap-6 items-start' : ''}>
+                    {isPdfShown && (
+                      <PdfViewer
+                        file={file}
+                        locations={rowLocations}
+                        selectedRow={selectedRow}
+                        onSelectRow={setSelectedRow}
+                      />
+                    )}
+                    <div className="min-w-0">
+                      <PreviewGrid
+                        rows={rows}
+                        onChange={setRows}
+                        onDownload={handleDownload}
+                        issues={issues}
+                        downloadBlockedReason={downloadBlockedReason}
+                        selectedRow={selectedRow}
+                        onSelectRow={setSelectedRow}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {rows && (
+                  <p className="text-xs text-gray-500">
+                    JSON downloads follow quote schema v{QUOTE_MODEL_VERSION}.{' '}
+                    <button
+                      onClick={handleDownloadSchema}
+                      className="text-[#0066cc] hover:text-[#004080] hover:underline"
+                    >
+                      Download schema
+                    </button>
+                  </p>
                 )}
               </div>
-            </div>
+            )}
           </div>
         </div>
 
@@ -176,6 +511,19 @@ function App() {
         </div>
       </main>
 
+      {showDiagnostics && diagnostics && (
+        <DiagnosticsDrawer
+          diagnostics={diagnostics}
+          header={conversionError ? null : header}
+          rows={conversionError ? null : rows}
+          totals={conversionError ? null : totals}
+          issues={conversionError ? [] : issues}
+          sourceFile={file?.name || null}
+          error={conversionError}
+          onClose={() => setShowDiagnostics(false)}
+        />
+      )}
+
       {/* Footer */}
       <footer className="border-t border-gray-200 mt-auto">
         <div className="max-w-4xl mx-auto px-6 py-6">
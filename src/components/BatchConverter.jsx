@@ -0,0 +1,344 @@
+import { useState, useRef } from 'react';
+import FileUploader from './FileUploader';
+import StatusMessage from './StatusMessage';
+import ExportProfileSelect from './ExportProfileSelect';
+import DateFormatSelect from './DateFormatSelect';
+import UsdConversionOption from './UsdConversionOption';
+import { convertQuote } from '../services/quoteConverter';
+import { findMissingHeaderFields } from '../services/quoteValidator';
+import { getExportProfile } from '../services/exportProfiles';
+import { generateCSV, generateFilename, downloadCSV, downloadBlob } from '../services/csvGenerator';
+import { loadExchangeRates, findMissingExchangeRates, convertRowsToUsd } from '../services/exchangeRates';
+import { recordConversion } from '../services/conversionHistory';
+import { createZip } from '../utils/zip';
+import { parseOpportunityId } from '../utils/salesforceId';
+import { DEFAULT_DATE_FORMAT } from '../utils/constants';
+
+let nextEntryId = 1;
+
+const STATUS_LABELS = {
+  pending: { text: 'Pending', className: 'text-gray-500' },
+  processing: { text: 'Converting...', className: 'text-[#0066cc]' },
+  success: { text: 'Converted', className: 'text-green-600' },
+  error: { text: 'Failed', className: 'text-red-600' }
+};
+
+export default function BatchConverter() {
+  const [entries, setEntries] = useState([]);
+  const [sharedId, setSharedId] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const [issuesOverridden, setIssuesOverridden] = useState(false);
+  const [exportProfileId, setExportProfileId] = useState('default');
+  const [dateFormat, setDateFormat] = useState(DEFAULT_DATE_FORMAT);
+  const [convertToUsd, setConvertToUsd] = useState(false);
+  const [exchangeRates] = useState(loadExchangeRates);
+  const abortRef = useRef(null);
+
+  const updateEntry = (id, changes) => {
+    setEntries(prev => prev.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleFilesSelect = (files) => {
+    const added = files.map(file => ({
+      id: nextEntryId++,
+      file,
+      opportunityId: '',
+      status: 'pending',
+      error: '',
+      result: null,
+      convertedId: null
+    }));
+    setEntries(prev => [...prev, ...added]);
+    prefillOpportunityIds(added)
+      .catch(error => console.error('Opportunity ID detection error:', error));
+  };
+
+  // Fill in Opportunity IDs printed on the quotes, one file at a time, without overwriting typed ones
+  const prefillOpportunityIds = async (added) => {
+    const { detectOpportunityId } = await import('../services/pdfParser');
+    for (const entry of added) {
+      // An unreadable file is left for the user and the rest are still read
+      try {
+        const detected = await detectOpportunityId(entry.file);
+        if (!detected) continue;
+        setEntries(prev => prev.map(e => (
+          e.id === entry.id && !e.opportunityId ? { ...e, opportunityId: detected } : e
+        )));
+      } catch (error) {
+        console.error(`Opportunity ID detection error for ${entry.file.name}:`, error);
+      }
+    }
+  };
+
+  // Pasted links and 15-character IDs become the 18-character ID
+  const resolveId = (text) => parseOpportunityId(text).id || text;
+
+  const handleRemove = (id) => {
+    setEntries(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const handleApplyToAll = () => {
+    setEntries(prev => prev.map(entry => ({ ...entry, opportunityId: resolveId(sharedId) })));
+  };
+
+  const allIdsValid = entries.length > 0 &&
+    entries.every(entry => parseOpportunityId(entry.opportunityId).id !== null);
+
+  // Each entry keeps its file, so a converted quote only needs converting again when its ID changes
+  const needsConversion = entry => entry.status !== 'success' || resolveId(entry.opportunityId) !== entry.convertedId;
+  const toConvert = entries.filter(needsConversion);
+
+  const handleConvertAll = async () => {
+    if (!allIdsValid || toConvert.length === 0) return;
+
+    setIsRunning(true);
+    setStatus('processing');
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    let failures = 0;
+
+    // Convert one at a time; a failing file is recorded and the batch continues
+    for (const [index, entry] of toConvert.entries()) {
+      if (controller.signal.aborted) break;
+
+      const progress = `Converting ${index + 1} of ${toConvert.length}: ${entry.file.name}`;
+      setMessage(progress);
+      updateEntry(entry.id, { status: 'processing', error: '' });
+
+      try {
+        const opportunityId = resolveId(entry.opportunityId);
+        updateEntry(entry.id, { opportunityId });
+        const result = await convertQuote(entry.file, opportunityId, step => setMessage(`${progress} (${step})`), {
+          signal: controller.signal
+        });
+
+        // Batch mode has no header editor, so blank required fields are reported as issues
+        const missingIssues = findMissingHeaderFields(result.header).map(field => ({
+          type: 'missing-header',
+          rowIndex: null,
+          message: `${field.label} not found in PDF`
+        }));
+        result.issues = [...missingIssues, ...result.issues];
+        // An override covers the issues already shown; new ones need reviewing
+        if (result.issues.length > 0) setIssuesOverridden(false);
+
+        updateEntry(entry.id, { status: 'success', result, convertedId: opportunityId });
+        recordConversion({ ...result, sourceFile: entry.file.name, opportunityId }, entry.file)
+          .catch(error => console.error(`History error for ${entry.file.name}:`, error));
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          updateEntry(entry.id, { status: 'pending' });
+          break;
+        }
+        console.error(`Conversion error for ${entry.file.name}:`, error);
+        failures += 1;
+        updateEntry(entry.id, { status: 'error', error: error.message, result: null, convertedId: null });
+      }
+    }
+
+    abortRef.current = null;
+    setIsRunning(false);
+
+    if (controller.signal.aborted) {
+      setStatus('error');
+      setMessage('Batch cancelled. Quotes converted before cancelling can still be downloaded.');
+      return;
+    }
+
+    setStatus(failures === toConvert.length ? 'error' : 'success');
+    setMessage(failures > 0
+      ? `Converted ${toConvert.length - failures} of ${toConvert.length} quotes. ${failures} failed; see the list for details.`
+      : `Converted all ${toConvert.length} quotes.`);
+  };
+
+  const converted = entries.filter(entry => entry.status === 'success');
+  const withIssues = converted.filter(entry => entry.result.issues.length > 0);
+  const downloadBlocked = withIssues.length > 0 && !issuesOverridden;
+
+  const convertedRows = converted.flatMap(entry => entry.result.rows);
+  const isUsdConversionOn = convertToUsd && findMissingExchangeRates(convertedRows, exchangeRates).length === 0;
+  const toExportRows = rows => (isUsdConversionOn ? convertRowsToUsd(rows, exchangeRates) : rows);
+
+  const handleDownloadMerged = () => {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadCSV(generateCSV(toExportRows(convertedRows), getExportProfile(exportProfileId), { dateFormat }), `Quote_Batch_BOM_${timestamp}.csv`);
+  };
+
+  const handleDownloadZip = () => {
+    const usedNames = new Set();
+    const files = converted.map(entry => {
+      let name = generateFilename(entry.result.header.quoteNumber || 'unknown');
+      // Two quotes without a quote number would otherwise collide
+      for (let n = 2; usedNames.has(name); n++) {
+        name = name.replace(/(_\d+)?\.csv$/, `_${n}.csv`);
+      }
+      usedNames.add(name);
+      return { name, content: generateCSV(toExportRows(entry.result.rows), getExportProfile(exportProfileId), { dateFormat }) };
+    });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([createZip(files)], { type: 'application/zip' });
+    downloadBlob(blob, `Quote_Batch_${timestamp}.zip`);
+  };
+
+  return (
+    <div className="space-y-8">
+      <FileUploader multiple onFileSelect={handleFilesSelect} />
+
+      {entries.length > 0 && (
+        <div className="w-full">
+          <div className="flex items-end gap-3 mb-3">
+            <div className="flex-1">
+              <label htmlFor="shared-opportunity-id" className="block text-sm font-medium text-gray-700 mb-2">
+                Opportunity ID for all files (optional)
+              </label>
+              <input
+                id="shared-opportunity-id"
+                type="text"
+                value={sharedId}
+                onChange={(e) => setSharedId(e.target.value)}
+                onBlur={() => setSharedId(resolveId(sharedId))}
+                placeholder="Enter the Opportunity ID or paste its Salesforce link"
+                className="w-full px-3 py-2 rounded-md border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-100 focus:border-[#0066cc]"
+              />
+            </div>
+            <button
+              onClick={handleApplyToAll}
+              disabled={parseOpportunityId(sharedId).id === null || isRunning}
+              className="py-2 px-4 rounded-md text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 border border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply to all
+            </button>
+          </div>
+
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {entries.map(entry => {
+              const { id: validId, error: idError } = parseOpportunityId(entry.opportunityId);
+              const label = STATUS_LABELS[entry.status];
+
+              return (
+                <li key={entry.id} className="p-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{entry.file.name}</p>
+                    <p className={`text-xs ${label.className}`}>
+                      {label.text}
+                      {entry.status === 'success' && ` • ${entry.result.rows.length} rows • ${entry.result.template.name}`}
+                      {entry.result?.ocrPages.length > 0 && (
+                        <span className="text-yellow-700"> • read with OCR; check values</span>
+                      )}
+                      {entry.error && ` • ${entry.error}`}
+                    </p>
+                    {entry.status === 'success' && entry.result.issues.length > 0 && (
+                      <p className="text-xs text-yellow-700 truncate" title={entry.result.issues.map(i => i.message).join('\n')}>
+                        {entry.result.issues.length} discrepanc{entry.result.issues.length === 1 ? 'y' : 'ies'}: {entry.result.issues[0].message}
+                      </p>
+                    )}
+                  </div>
+                  <input
+                    type="text"
+                    value={entry.opportunityId}
+                    onChange={(e) => updateEntry(entry.id, { opportunityId: e.target.value })}
+                    onBlur={() => updateEntry(entry.id, { opportunityId: resolveId(entry.opportunityId) })}
+                    disabled={isRunning}
+                    placeholder="Opportunity ID"
+                    title={idError || ''}
+                    aria-label={`Opportunity ID for ${entry.file.name}`}
+                    className={`
+                      w-56 px-3 py-1.5 text-sm rounded-md border focus:outline-none
+                      ${validId ? 'border-green-500 bg-green-50' : idError ? 'border-yellow-400 bg-yellow-50' : 'border-gray-300'}
+                    `}
+                  />
+                  <button
+                    onClick={() => handleRemove(entry.id)}
+                    disabled={isRunning}
+                    className="text-sm text-red-600 hover:text-red-800 hover:underline disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex gap-4 pt-2">
+        <button
+          onClick={handleConvertAll}
+          disabled={!allIdsValid || toConvert.length === 0 || isRunning}
+          className={`
+            flex-1 py-3 px-6 rounded-md font-medium text-white
+            transition-all duration-200
+            ${allIdsValid && toConvert.length > 0 && !isRunning
+              ? 'bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080]'
+              : 'bg-gray-300 cursor-not-allowed'
+            }
+          `}
+        >
+          {isRunning ? 'Converting...' : `Convert ${toConvert.length || ''} Quote${toConvert.length === 1 ? '' : 's'}`}
+        </button>
+        {isRunning && (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {converted.length > 0 && !isRunning && (
+        <div className="space-y-3">
+          <div className="grid md:grid-cols-2 gap-4">
+            <ExportProfileSelect value={exportProfileId} onChange={setExportProfileId} />
+            <DateFormatSelect value={dateFormat} onChange={setDateFormat} />
+          </div>
+
+          <UsdConversionOption
+            currencies={convertedRows.map(row => row.currency)}
+            rates={exchangeRates}
+            checked={convertToUsd}
+            onChange={setConvertToUsd}
+          />
+
+          {withIssues.length > 0 && (
+            <label className="flex items-center gap-2 p-3 rounded-md border border-yellow-300 bg-yellow-50 text-sm text-yellow-900">
+              <input
+                type="checkbox"
+                checked={issuesOverridden}
+                onChange={(e) => setIssuesOverridden(e.target.checked)}
+              />
+              {withIssues.length} quote{withIssues.length === 1 ? ' has' : 's have'} discrepancies.
+              I have reviewed them; allow download anyway
+            </label>
+          )}
+
+          <div className="flex gap-4">
+            <button
+              onClick={handleDownloadMerged}
+              disabled={downloadBlocked}
+              className="flex-1 py-3 px-6 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200 disabled:bg-gray-300 disabled:cursor-not-allowed"
+            >
+              Download Merged CSV
+            </button>
+            <button
+              onClick={handleDownloadZip}
+              disabled={downloadBlocked}
+              className="flex-1 py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Download ZIP of CSVs
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import { useState, useRef } from 'react';
+import StatusMessage from './StatusMessage';
+import {
+  loadBundleRules,
+  saveBundleRules,
+  resetBundleRules,
+  exportBundleRules,
+  importBundleRules
+} from '../services/bundleRules';
+import { downloadBlob } from '../services/csvGenerator';
+import { BUNDLE_PRICING_TYPES } from '../utils/constants';
+
+const PRICING_LABELS = {
+  fixed: 'Fixed price',
+  percent: '% of parent',
+  remainder: 'Remainder'
+};
+
+const inputClass = 'w-full px-2 py-1.5 rounded-md border border-gray-300 focus:outline-none focus:border-[#0066cc]';
+
+export default function BundleRulesSettings() {
+  const [rules, setRules] = useState(loadBundleRules);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const importInputRef = useRef(null);
+
+  const report = (nextStatus, nextMessage) => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+  };
+
+  const updateRule = (ruleIndex, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule)));
+    setStatus(null);
+  };
+
+  const updateChild = (ruleIndex, childIndex, changes) => {
+    const children = rules[ruleIndex].children.map((child, i) => (
+      i === childIndex ? { ...child, ...changes } : child
+    ));
+    updateRule(ruleIndex, { children });
+  };
+
+  const addChild = (ruleIndex) => {
+    const children = [
+      ...rules[ruleIndex].children,
+      { code: '', description: '', pricing: 'fixed', value: 0 }
+    ];
+    updateRule(ruleIndex, { children });
+  };
+
+  const removeChild = (ruleIndex, childIndex) => {
+    const children = rules[ruleIndex].children.filter((_, i) => i !== childIndex);
+    updateRule(ruleIndex, { children });
+  };
+
+  const handleAdd = () => {
+    setRules(prev => [
+      ...prev,
+      {
+        id: '',
+        name: '',
+        parentPattern: '',
+        children: [{ code: '', description: '', pricing: 'remainder', value: null }]
+      }
+    ]);
+  };
+
+  const handleRemove = (ruleIndex) => {
+    setRules(prev => prev.filter((_, i) => i !== ruleIndex));
+    setStatus(null);
+  };
+
+  const handleSave = () => {
+    try {
+      setRules(saveBundleRules(rules));
+      report('success', 'Bundle rules saved. They apply to the next conversion.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleReset = () => {
+    setRules(resetBundleRules());
+    report('success', 'Restored the default bundle rules.');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportBundleRules(rules)], { type: 'application/json' });
+    downloadBlob(blob, 'quote2csv-bundle-rules.json');
+  };
+
+  const handleImport = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = '';
+    if (!importFile) return;
+
+    try {
+      setRules(importBundleRules(await importFile.text()));
+      report('success', `Imported ${importFile.name}. Review and save to apply.`);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Bundle Rules</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          A line item matching a parent pattern is followed by one row per child SKU. Child
+          unit prices come from the parent&apos;s discount price: a fixed amount, a percentage,
+          or the remainder after the other children.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {rules.map((rule, ruleIndex) => (
+          <div key={ruleIndex} className="border border-gray-200 rounded-md p-4 space-y-3">
+            <div className="grid md:grid-cols-2 gap-3">
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Name</span>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Parent pattern (regex)</span>
+                <input
+                  type="text"
+                  value={rule.parentPattern}
+                  onChange={(e) => updateRule(ruleIndex, { parentPattern: e.target.value })}
+                  className={`${inputClass} font-mono`}
+                />
+              </label>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="font-medium pb-1 pr-2">Child code</th>
+                  <th className="font-medium pb-1 pr-2">Description</th>
+                  <th className="font-medium pb-1 pr-2">Pricing</th>
+                  <th className="font-medium pb-1 pr-2">Value</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rule.children.map((child, childIndex) => (
+                  <tr key={childIndex}>
+                    <td className="pr-2 py-1 w-48">
+                      <input
+                        type="text"
+                        value={child.code}
+                        onChange={(e) => updateChild(ruleIndex, childIndex, { code: e.target.value })}
+                        className={`${inputClass} font-mono`}
+                      />
+                    </td>
+                    <td className="pr-2 py-1">
+                      <input
+                        type="text"
+                        value={child.description}
+                        onChange={(e) => updateChild(ruleIndex, childIndex, { description: e.target.value })}
+                        className={inputClass}
+                      />
+                    </td>
+                    <td className="pr-2 py-1 w-36">
+                      <select
+                        value={child.pricing}
+                        onChange={(e) => updateChild(ruleIndex, childIndex, {
+                          pricing: e.target.value,
+                          value: e.target.value === 'remainder' ? null : child.value ?? 0
+                        })}
+                        className={inputClass}
+                      >
+                        {BUNDLE_PRICING_TYPES.map(type => (
+                          <option key={type} value={type}>{PRICING_LABELS[type]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="pr-2 py-1 w-24">
+                      {child.pricing !== 'remainder' && (
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={child.value ?? ''}
+                          onChange={(e) => updateChild(ruleIndex, childIndex, { value: e.target.value })}
+                          className={inputClass}
+                        />
+                      )}
+                    </td>
+                    <td className="py-1 text-right">
+                      <button
+                        onClick={() => removeChild(ruleIndex, childIndex)}
+                        title="Remove child"
+                        className="text-gray-400 hover:text-red-600 px-1"
+                      >
+                        &times;
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex items-center text-sm">
+              <button
+                onClick={() => addChild(ruleIndex)}
+                className="text-[#0066cc] hover:text-[#004080] hover:underline"
+              >
+                + Add child
+              </button>
+              <button
+                onClick={() => handleRemove(ruleIndex)}
+                className="ml-auto text-red-600 hover:text-red-800 hover:underline"
+              >
+                Remove rule
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={handleAdd}
+          className="text-sm text-[#0066cc] hover:text-[#004080] hover:underline"
+        >
+          + Add bundle rule
+        </button>
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleSave}
+          className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+        >
+          Save
+        </button>
+        <button
+          onClick={handleReset}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Reset to defaults
+        </button>
+        <button
+          onClick={handleExport}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import { useState, useRef } from 'react';
+import StatusMessage from './StatusMessage';
+import {
+  loadColumnLayouts,
+  saveColumnLayouts,
+  exportColumnLayouts,
+  importColumnLayouts
+} from '../services/columnLayouts';
+import { downloadBlob } from '../services/csvGenerator';
+import { CSV_HEADERS, CSV_FIELDS } from '../utils/constants';
+
+// Select value used for constant-value columns
+const CONSTANT_SOURCE = '__constant__';
+
+const inputClass = 'w-full px-2 py-1.5 rounded-md border border-gray-300 focus:outline-none focus:border-[#0066cc]';
+
+export default function ColumnLayoutSettings() {
+  const [layouts, setLayouts] = useState(loadColumnLayouts);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const importInputRef = useRef(null);
+
+  const report = (nextStatus, nextMessage) => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+  };
+
+  const updateLayout = (layoutIndex, changes) => {
+    setLayouts(prev => prev.map((layout, i) => (i === layoutIndex ? { ...layout, ...changes } : layout)));
+    setStatus(null);
+  };
+
+  const updateColumns = (layoutIndex, update) => {
+    updateLayout(layoutIndex, { columns: update([...layouts[layoutIndex].columns]) });
+  };
+
+  const updateColumn = (layoutIndex, columnIndex, column) => {
+    updateColumns(layoutIndex, columns => {
+      columns[columnIndex] = column;
+      return columns;
+    });
+  };
+
+  const moveColumn = (layoutIndex, columnIndex, offset) => {
+    updateColumns(layoutIndex, columns => {
+      const target = columnIndex + offset;
+      if (target < 0 || target >= columns.length) return columns;
+      [columns[columnIndex], columns[target]] = [columns[target], columns[columnIndex]];
+      return columns;
+    });
+  };
+
+  const handleSourceChange = (layoutIndex, columnIndex, source) => {
+    const { header } = layouts[layoutIndex].columns[columnIndex];
+    updateColumn(layoutIndex, columnIndex, source === CONSTANT_SOURCE
+      ? { header, constant: '' }
+      : { header, field: source });
+  };
+
+  const handleAdd = () => {
+    setLayouts(prev => [
+      ...prev,
+      {
+        id: '',
+        name: '',
+        lineEnding: 'lf',
+        columns: CSV_FIELDS.map((field, i) => ({ header: CSV_HEADERS[i], field }))
+      }
+    ]);
+  };
+
+  const handleRemove = (layoutIndex) => {
+    setLayouts(prev => prev.filter((_, i) => i !== layoutIndex));
+    setStatus(null);
+  };
+
+  const handleSave = () => {
+    try {
+      setLayouts(saveColumnLayouts(layouts));
+      report('success', 'Column layouts saved. Pick one under Export Profile when downloading.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportColumnLayouts(layouts)], { type: 'application/json' });
+    downloadBlob(blob, 'quote2csv-column-layouts.json');
+  };
+
+  const handleImport = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = '';
+    if (!importFile) return;
+
+    try {
+      setLayouts(importColumnLayouts(await importFile.text()));
+      report('success', `Imported ${importFile.name}. Review and save to apply.`);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Column Layouts</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Named CSV layouts for other teams. Choose which row fields to include, rename and
+          reorder their headers, or add columns that repeat a fixed value.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {layouts.map((layout, layoutIndex) => (
+          <div key={layoutIndex} className="border border-gray-200 rounded-md p-4 space-y-3">
+            <div className="grid md:grid-cols-2 gap-3">
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Layout name</span>
+                <input
+                  type="text"
+                  value={layout.name}
+                  onChange={(e) => updateLayout(layoutIndex, { name: e.target.value })}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Line endings</span>
+                <select
+                  value={layout.lineEnding}
+                  onChange={(e) => updateLayout(layoutIndex, { lineEnding: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="lf">LF (Unix, macOS)</option>
+                  <option value="crlf">CRLF (Windows, Salesforce)</option>
+                </select>
+              </label>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="font-medium pb-1 pr-2">Header</th>
+                  <th className="font-medium pb-1 pr-2">Source</th>
+                  <th className="font-medium pb-1 pr-2">Constant value</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {layout.columns.map((column, columnIndex) => {
+                  const isConstant = !column.field;
+
+                  return (
+                    <tr key={columnIndex}>
+                      <td className="pr-2 py-1">
+                        <input
+                          type="text"
+                          value={column.header}
+                          onChange={(e) => updateColumn(layoutIndex, columnIndex, { ...column, header: e.target.value })}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="pr-2 py-1 w-48">
+                        <select
+                          value={isConstant ? CONSTANT_SOURCE : column.field}
+                          onChange={(e) => handleSourceChange(layoutIndex, columnIndex, e.target.value)}
+                          className={inputClass}
+                        >
+                          {CSV_FIELDS.map((field, i) => (
+                            <option key={field} value={field}>{CSV_HEADERS[i]}</option>
+                          ))}
+                          <option value={CONSTANT_SOURCE}>Constant value</option>
+                        </select>
+                      </td>
+                      <td className="pr-2 py-1 w-40">
+                        {isConstant && (
+                          <input
+                            type="text"
+                            value={column.constant ?? ''}
+                            onChange={(e) => updateColumn(layoutIndex, columnIndex, { ...column, constant: e.target.value })}
+                            className={inputClass}
+                          />
+                        )}
+                      </td>
+                      <td className="py-1 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => moveColumn(layoutIndex, columnIndex, -1)}
+                          disabled={columnIndex === 0}
+                          title="Move up"
+                          className="text-gray-400 hover:text-[#0066cc] px-1 disabled:opacity-30"
+                        >
+                          &uarr;
+                        </button>
+                        <button
+                          onClick={() => moveColumn(layoutIndex, columnIndex, 1)}
+                          disabled={columnIndex === layout.columns.length - 1}
+                          title="Move down"
+                          className="text-gray-400 hover:text-[#0066cc] px-1 disabled:opacity-30"
+                        >
+                          &darr;
+                        </button>
+                        <button
+                          onClick={() => updateColumns(layoutIndex, columns => columns.filter((_, i) => i !== columnIndex))}
+                          title="Remove column"
+                          className="text-gray-400 hover:text-red-600 px-1"
+                        >
+                          &times;
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            <div className="flex items-center text-sm">
+              <button
+                onClick={() => updateColumns(layoutIndex, columns => [...columns, { header: '', constant: '' }])}
+                className="text-[#0066cc] hover:text-[#004080] hover:underline"
+              >
+                + Add column
+              </button>
+              <button
+                onClick={() => handleRemove(layoutIndex)}
+                className="ml-auto text-red-600 hover:text-red-800 hover:underline"
+              >
+                Remove layout
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={handleAdd}
+          className="text-sm text-[#0066cc] hover:text-[#004080] hover:underline"
+        >
+          + Add column layout
+        </button>
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleSave}
+          className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+        >
+          Save
+        </button>
+        <button
+          onClick={handleExport}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
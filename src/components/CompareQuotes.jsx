@@ -0,0 +1,229 @@
+import { useState, useEffect, useRef } from 'react';
+import FileUploader from './FileUploader';
+import StatusMessage from './StatusMessage';
+import { convertQuote } from '../services/quoteConverter';
+import { listHistoryEntries } from '../services/conversionHistory';
+import { diffQuotes, generateChangeCSV } from '../services/quoteDiff';
+import { downloadCSV } from '../services/csvGenerator';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+  changed: 'bg-yellow-50 text-yellow-900'
+};
+
+function formatDelta(amount) {
+  const sign = amount > 0 ? '+' : amount < 0 ? '−' : '';
+  return `${sign}${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * One side of the comparison: a PDF to convert, or a stored conversion
+ */
+function RevisionSource({ label, history, source, onChange }) {
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700">
+        {label}
+        <select
+          value={source.historyId ?? ''}
+          onChange={(e) => onChange({ file: null, historyId: e.target.value ? Number(e.target.value) : null })}
+          className="mt-2 w-full px-4 py-2.5 rounded-md border border-gray-300 bg-white font-normal focus:outline-none focus:ring-2 focus:ring-blue-100 focus:border-[#0066cc]"
+        >
+          <option value="">Upload a PDF</option>
+          {history.map(entry => (
+            <option key={entry.id} value={entry.id}>
+              {entry.quoteNumber || entry.sourceFile} ({new Date(entry.convertedAt).toLocaleDateString()})
+            </option>
+          ))}
+        </select>
+      </label>
+      {source.historyId === null && (
+        <FileUploader file={source.file} onFileSelect={file => onChange({ file, historyId: null })} />
+      )}
+    </div>
+  );
+}
+
+export default function CompareQuotes() {
+  const [history, setHistory] = useState([]);
+  const [before, setBefore] = useState({ file: null, historyId: null });
+  const [after, setAfter] = useState({ file: null, historyId: null });
+  const [diff, setDiff] = useState(null);
+  const [quoteNumbers, setQuoteNumbers] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    // Comparing PDFs still works when history is unavailable
+    listHistoryEntries()
+      .then(setHistory)
+      .catch(error => console.error('History error:', error));
+  }, []);
+
+  const isReady = (before.file || before.historyId !== null) && (after.file || after.historyId !== null);
+
+  const loadRevision = async (source, label, signal) => {
+    if (source.historyId !== null) {
+      return history.find(entry => entry.id === source.historyId);
+    }
+    // Opportunity ID plays no part in the comparison
+    return convertQuote(source.file, '', step => setMessage(`${label}: ${step}`), { signal });
+  };
+
+  const handleCompare = async () => {
+    if (!isReady) return;
+
+    setStatus('processing');
+    setMessage('Converting...');
+    setDiff(null);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const earlier = await loadRevision(before, 'Earlier revision', controller.signal);
+      const later = await loadRevision(after, 'Later revision', controller.signal);
+      const result = diffQuotes(earlier, later);
+
+      setDiff(result);
+      setQuoteNumbers({ before: earlier.header?.quoteNumber || '', after: later.header?.quoteNumber || '' });
+      setStatus('success');
+      setMessage(result.header.length === 0 && result.lines.length === 0
+        ? 'The two revisions have the same header and line items.'
+        : `${result.lines.length} line item${result.lines.length === 1 ? '' : 's'} and ${result.header.length} header field${result.header.length === 1 ? '' : 's'} changed.`);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        setStatus(null);
+        setMessage('');
+        return;
+      }
+      console.error('Comparison error:', error);
+      setStatus('error');
+      setMessage(`Error: ${error.message}`);
+    } finally {
+      abortRef.current = null;
+    }
+  };
+
+  const handleDownload = () => {
+    const name = [quoteNumbers.before, quoteNumbers.after].filter(Boolean).join('_vs_') || 'quote';
+    downloadCSV(generateChangeCSV(diff), `Quote_Changes_${name}.csv`);
+  };
+
+  return (
+    <div className="space-y-8">
+      <p className="text-sm text-gray-600">
+        Compare two revisions of a quote to see added, removed and changed line items, header
+        changes and the change in total.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <RevisionSource label="Earlier revision" history={history} source={before} onChange={setBefore} />
+        <RevisionSource label="Later revision" history={history} source={after} onChange={setAfter} />
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex gap-4">
+        <button
+          onClick={handleCompare}
+          disabled={!isReady || status === 'processing'}
+          className={`
+            flex-1 py-3 px-6 rounded-md font-medium text-white
+            transition-all duration-200
+            ${isReady && status !== 'processing'
+              ? 'bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080]'
+              : 'bg-gray-300 cursor-not-allowed'
+            }
+          `}
+        >
+          {status === 'processing' ? 'Comparing...' : 'Compare'}
+        </button>
+        {status === 'processing' && (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="py-3 px-6 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {diff && (
+        <div className="space-y-6">
+          {diff.header.length > 0 && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-2">Header changes</h3>
+              <table className="w-full text-sm">
+                <tbody>
+                  {diff.header.map(field => (
+                    <tr key={field.key} className="border-t border-gray-200">
+                      <td className="py-1.5 pr-4 text-gray-600">{field.label}</td>
+                      <td className="py-1.5 pr-4 text-gray-500 line-through">{field.before}</td>
+                      <td className="py-1.5 text-gray-900">{field.after}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">Line item changes</h3>
+            {diff.lines.length === 0 ? (
+              <p className="text-sm text-gray-500">No line items changed.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="font-medium pb-1 pr-4">Change</th>
+                    <th className="font-medium pb-1 pr-4">Product Code</th>
+                    <th className="font-medium pb-1 pr-4">Details</th>
+                    <th className="font-medium pb-1 text-right">Delta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.lines.map((line, index) => (
+                    <tr key={index} className={`border-t border-gray-200 ${CHANGE_STYLES[line.change]}`}>
+                      <td className="py-1.5 px-2 capitalize">{line.change}</td>
+                      <td className="py-1.5 pr-4 font-mono">{line.productCode}</td>
+                      <td className="py-1.5 pr-4">
+                        {line.change === 'changed'
+                          ? line.fields.map(field => `${field.label} ${field.before} → ${field.after}`).join('; ')
+                          : line.description}
+                      </td>
+                      <td className="py-1.5 px-2 text-right tabular-nums">{formatDelta(line.delta)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {diff.unchanged > 0 && (
+              <p className="mt-2 text-xs text-gray-500">
+                {diff.unchanged} line item{diff.unchanged === 1 ? '' : 's'} unchanged.
+              </p>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-4 pt-4 border-t border-gray-200">
+            <p className="text-sm text-gray-900">
+              Total {diff.totals.before.toLocaleString('en-US', { minimumFractionDigits: 2 })} →{' '}
+              {diff.totals.after.toLocaleString('en-US', { minimumFractionDigits: 2 })}{' '}
+              <span className="font-semibold">({formatDelta(diff.totals.delta)})</span>
+            </p>
+            <button
+              onClick={handleDownload}
+              className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+            >
+              Download change CSV
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
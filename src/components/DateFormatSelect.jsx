@@ -0,0 +1,24 @@
+import { DATE_FORMATS } from '../utils/constants';
+
+export default function DateFormatSelect({ value, onChange }) {
+  return (
+    <div className="w-full">
+      <label htmlFor="date-format" className="block text-sm font-medium text-gray-700 mb-2">
+        Date Format
+      </label>
+      <select
+        id="date-format"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-4 py-2.5 rounded-md border border-gray-300 bg-white focus:outline-none focus:ring-2 focus:ring-blue-100 focus:border-[#0066cc]"
+      >
+        {DATE_FORMATS.map(format => (
+          <option key={format.id} value={format.id}>{format.label}</option>
+        ))}
+      </select>
+      <p className="mt-2 text-xs text-gray-500">
+        For the Quote Date and Quote Expires columns in CSV and Excel downloads. JSON always uses ISO dates.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { HEADER_FIELDS } from '../utils/constants';
+import { downloadBlob } from '../services/csvGenerator';
+import {
+  highlightNormalization,
+  buildDiagnosticBundle,
+  generateDiagnosticBundleJSON,
+  generateDiagnosticsFilename
+} from '../services/diagnostics';
+
+const FIX_COLORS = [
+  'bg-yellow-200',
+  'bg-green-200',
+  'bg-blue-200',
+  'bg-pink-200',
+  'bg-purple-200',
+  'bg-orange-200'
+];
+
+function Section({ title, children, open = false }) {
+  return (
+    <details open={open} className="border-b border-gray-200 py-3">
+      <summary className="cursor-pointer text-sm font-medium text-gray-700">{title}</summary>
+      <div className="mt-3">{children}</div>
+    </details>
+  );
+}
+
+function Code({ children, title }) {
+  return (
+    <code title={title} className="block text-xs text-gray-700 bg-gray-50 rounded px-2 py-1 whitespace-pre-wrap break-all">
+      {children}
+    </code>
+  );
+}
+
+/**
+ * Slide-over panel showing how the last quote was read, with a bug report export
+ */
+export default function DiagnosticsDrawer({ diagnostics, header, rows, totals, issues, sourceFile, error, onClose }) {
+  const [redactPrices, setRedactPrices] = useState(false);
+  const [redactCustomer, setRedactCustomer] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const { normalization } = diagnostics;
+  const fixColors = new Map(normalization.fixes.map((fix, i) => [fix.label, FIX_COLORS[i % FIX_COLORS.length]]));
+  const segments = highlightNormalization(normalization.normalized, normalization.fixes);
+  const skippedCount = diagnostics.lineItems.filter(entry => entry.skipped).length;
+
+  const handleExport = () => {
+    const bundle = buildDiagnosticBundle(
+      { diagnostics, header, rows: rows || [], totals, issues, sourceFile, error },
+      { redactPrices, redactCustomer }
+    );
+    const blob = new Blob([generateDiagnosticBundleJSON(bundle)], { type: 'application/json' });
+    downloadBlob(blob, generateDiagnosticsFilename(header?.quoteNumber));
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+
+      <aside className="relative w-full max-w-2xl h-full bg-white shadow-xl flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Diagnostics</h2>
+            <p className="text-xs text-gray-500">{sourceFile || 'Last conversion'}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto px-6">
+          {/* Summary */}
+          <div className="py-4 border-b border-gray-200 text-sm text-gray-700 space-y-1">
+            {error && <p className="text-red-700">Error: {error}</p>}
+            {diagnostics.template && (
+              <p>
+                Read as <span className="font-medium">{diagnostics.template.name}</span>
+                {diagnostics.template.confidence === 'manual'
+                  ? ' (chosen manually)'
+                  : diagnostics.template.matched.length > 0
+                    ? ` (matched ${diagnostics.template.matched.join(', ')})`
+                    : ' (default; no template fingerprint found)'}
+              </p>
+            )}
+            <p>
+              Line items read from{' '}
+              <span className="font-medium">
+                {diagnostics.lineItemSource === 'table' ? 'the table layout' : 'flattened text'}
+              </span>
+              {' '}({diagnostics.tableRowCount} table row{diagnostics.tableRowCount === 1 ? '' : 's'} found
+              {skippedCount > 0 && `, ${skippedCount} skipped`}).
+            </p>
+            {diagnostics.baseProductCode && (
+              <p>
+                Base product code <span className="font-medium">{diagnostics.baseProductCode.value}</span>
+                {diagnostics.baseProductCode.defaulted
+                  ? ` (default; no ${diagnostics.baseProductCode.candidates?.join(' or ') || 'base product'} note found)`
+                  : ` from "${diagnostics.baseProductCode.matchedText}"`}
+              </p>
+            )}
+          </div>
+
+          <Section title="Header fields" open>
+            <table className="w-full text-sm">
+              <tbody className="divide-y divide-gray-100">
+                {HEADER_FIELDS.map(field => {
+                  const entry = diagnostics.header[field.key];
+                  if (!entry) return null;
+
+                  return (
+                    <tr key={field.key} className="align-top">
+                      <td className="py-2 pr-3 font-medium text-gray-700 whitespace-nowrap">{field.label}</td>
+                      <td className="py-2 space-y-1">
+                        {entry.missing ? (
+                          <p className="text-red-600">
+                            Not found. Tried: {entry.candidates.join(', ')}
+                          </p>
+                        ) : (
+                          <>
+                            <p className="text-gray-900">
+                              {entry.value}
+                              <span className="ml-2 text-xs text-gray-500">
+                                via {entry.pattern} ({entry.confidence}{entry.ocr ? ', OCR' : ''})
+                              </span>
+                            </p>
+                            <Code title={`/${entry.regex}/`}>{entry.matchedText}</Code>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </Section>
+
+          <Section title={`Line items (${diagnostics.lineItems.length - skippedCount} matched)`} open>
+            <ul className="space-y-3 text-sm">
+              {diagnostics.lineItems.map((entry, i) => (
+                <li key={i} className={entry.skipped ? 'text-gray-400' : 'text-gray-900'}>
+                  <p>
+                    <span className="font-medium">{entry.partNo}</span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {entry.source === 'table' ? `table row, page ${entry.page}` : 'text match'}
+                      {entry.family && ` · ${entry.family}`}
+                      {entry.adjustment && ` · ${entry.adjustment} adjustment`}
+                    </span>
+                  </p>
+                  {entry.skipped && <p className="text-xs text-yellow-700">Skipped: {entry.skipped}</p>}
+                  <Code title={entry.regex ? `/${entry.regex}/` : undefined}>{entry.matchedText}</Code>
+                </li>
+              ))}
+              {diagnostics.lineItems.length === 0 && (
+                <li className="text-gray-500">No table row or text matched a product family.</li>
+              )}
+            </ul>
+          </Section>
+
+          <Section title={`Normalized text (${normalization.fixes.reduce((sum, fix) => sum + fix.count, 0)} fixes)`}>
+            <ul className="mb-3 space-y-1 text-xs text-gray-700">
+              {normalization.fixes.map(fix => (
+                <li key={fix.label}>
+                  <span className={`inline-block w-3 h-3 mr-2 rounded-sm align-middle ${fixColors.get(fix.label)}`} />
+                  {fix.label} ({fix.count}): {fix.changes.slice(0, 5).map(change => `"${change.before}" → "${change.after}"`).join(', ')}
+                  {fix.changes.length > 5 && ', …'}
+                </li>
+              ))}
+            </ul>
+            <pre className="text-xs text-gray-700 bg-gray-50 rounded p-2 whitespace-pre-wrap break-words max-h-96 overflow-auto">
+              {segments.map((segment, i) => (segment.fix
+                ? <mark key={i} title={segment.fix} className={fixColors.get(segment.fix)}>{segment.text}</mark>
+                : segment.text
+              ))}
+            </pre>
+          </Section>
+
+          <Section title={`Raw page text (${diagnostics.pages.length} page${diagnostics.pages.length === 1 ? '' : 's'})`}>
+            <div className="space-y-3">
+              {diagnostics.pages.map(page => (
+                <div key={page.pageNumber}>
+                  <p className="text-xs font-medium text-gray-600 mb-1">
+                    Page {page.pageNumber}{page.ocr && ' (OCR)'}
+                  </p>
+                  <pre className="text-xs text-gray-700 bg-gray-50 rounded p-2 whitespace-pre-wrap break-words max-h-64 overflow-auto">
+                    {page.text || '(no text)'}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          </Section>
+        </div>
+
+        {/* Export */}
+        <div className="px-6 py-4 border-t border-gray-200 space-y-3">
+          <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={redactPrices} onChange={(e) => setRedactPrices(e.target.checked)} />
+              Redact prices
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={redactCustomer} onChange={(e) => setRedactCustomer(e.target.checked)} />
+              Redact customer, partner and contact details
+            </label>
+          </div>
+          <button
+            onClick={handleExport}
+            className="w-full py-2 px-4 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-colors"
+          >
+            Export diagnostic bundle
+          </button>
+          <p className="text-xs text-gray-500">
+            Attach the JSON file to your bug report. Redaction replaces the values read into the header;
+            check the file before sharing.
+          </p>
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { useState, useRef } from 'react';
+import StatusMessage from './StatusMessage';
+import {
+  loadExchangeRates,
+  saveExchangeRates,
+  exportExchangeRates,
+  importExchangeRates
+} from '../services/exchangeRates';
+import { downloadBlob } from '../services/csvGenerator';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/constants';
+
+const inputClass = 'w-full px-2 py-1.5 rounded-md border border-gray-300 focus:outline-none focus:border-[#0066cc]';
+
+export default function ExchangeRateSettings() {
+  const [rates, setRates] = useState(loadExchangeRates);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const importInputRef = useRef(null);
+
+  const report = (nextStatus, nextMessage) => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+  };
+
+  const updateRate = (index, changes) => {
+    setRates(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+    setStatus(null);
+  };
+
+  const handleAdd = () => {
+    const unused = CURRENCIES.find(currency =>
+      currency.code !== DEFAULT_CURRENCY && !rates.some(entry => entry.currency === currency.code)
+    );
+    setRates(prev => [...prev, { currency: unused?.code || '', rate: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    setRates(prev => prev.filter((_, i) => i !== index));
+    setStatus(null);
+  };
+
+  const handleSave = () => {
+    try {
+      setRates(saveExchangeRates(rates));
+      report('success', 'Exchange rates saved. Turn on USD conversion before downloading a quote.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportExchangeRates(rates)], { type: 'application/json' });
+    downloadBlob(blob, 'quote2csv-exchange-rates.json');
+  };
+
+  const handleImport = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = '';
+    if (!importFile) return;
+
+    try {
+      setRates(importExchangeRates(await importFile.text()));
+      report('success', `Imported ${importFile.name}. Review and save to apply.`);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Exchange Rates</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          The USD value of one unit of each currency, used when converting non-USD quotes to USD
+          for CSV and Excel downloads. Rates are stored in this browser only.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        {rates.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="font-medium pb-1 pr-2">Currency</th>
+                <th className="font-medium pb-1 pr-2">USD per unit</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map((entry, index) => (
+                <tr key={index}>
+                  <td className="pr-2 py-1 w-40">
+                    <input
+                      type="text"
+                      value={entry.currency}
+                      onChange={(e) => updateRate(index, { currency: e.target.value.toUpperCase() })}
+                      list="exchange-rate-currencies"
+                      maxLength={3}
+                      placeholder="EUR"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={entry.rate}
+                      onChange={(e) => updateRate(index, { rate: e.target.value })}
+                      placeholder="1.08"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      onClick={() => handleRemove(index)}
+                      title="Remove rate"
+                      className="text-gray-400 hover:text-red-600 px-1"
+                    >
+                      &times;
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <datalist id="exchange-rate-currencies">
+          {CURRENCIES.filter(currency => currency.code !== DEFAULT_CURRENCY).map(currency => (
+            <option key={currency.code} value={currency.code} />
+          ))}
+        </datalist>
+
+        <button
+          onClick={handleAdd}
+          className="text-sm text-[#0066cc] hover:text-[#004080] hover:underline"
+        >
+          + Add exchange rate
+        </button>
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleSave}
+          className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+        >
+          Save
+        </button>
+        <button
+          onClick={handleExport}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { listExportProfiles, getExportProfile } from '../services/exportProfiles';
+
+export default function ExportProfileSelect({ value, onChange }) {
+  const profiles = listExportProfiles();
+  const selected = getExportProfile(value);
+
+  return (
+    <div className="w-full">
+      <label htmlFor="export-profile" className="block text-sm font-medium text-gray-700 mb-2">
+        Export Profile
+      </label>
+      <select
+        id="export-profile"
+        value={selected.id}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full px-4 py-2.5 rounded-md border border-gray-300 bg-white focus:outline-none focus:ring-2 focus:ring-blue-100 focus:border-[#0066cc]"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      <p className="mt-2 text-xs text-gray-500">{selected.description}</p>
+    </div>
+  );
+}
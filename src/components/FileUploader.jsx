@@ -1,6 +1,6 @@
 import { useState, useRef } from 'react';
 
-export default function FileUploader({ onFileSelect, file }) {
+export default function FileUploader({ onFileSelect, file, multiple = false }) {
   const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
 
@@ -18,14 +18,31 @@ export default function FileUploader({ onFileSelect, file }) {
     e.preventDefault();
     setIsDragging(false);
 
-    const droppedFile = e.dataTransfer.files[0];
-    if (droppedFile && validateFile(droppedFile)) {
-      onFileSelect(droppedFile);
-    }
+    selectFiles(e.dataTransfer.files);
   };
 
   const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
+    selectFiles(e.target.files);
+
+    // Allow the same files to be picked again in batch mode
+    if (multiple && fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const selectFiles = (fileList) => {
+    if (multiple) {
+      const pdfFiles = Array.from(fileList).filter(f => f.type === 'application/pdf');
+      if (pdfFiles.length < fileList.length) {
+        alert('Only PDF files can be added; other files were skipped');
+      }
+      if (pdfFiles.length > 0) {
+        onFileSelect(pdfFiles);
+      }
+      return;
+    }
+
+    const selectedFile = fileList[0];
     if (selectedFile && validateFile(selectedFile)) {
       onFileSelect(selectedFile);
     }
@@ -54,7 +71,7 @@ export default function FileUploader({ onFileSelect, file }) {
   return (
     <div className="w-full">
       <label className="block text-sm font-medium text-gray-700 mb-2">
-        Upload Quotation PDF
+        {multiple ? 'Upload Quotation PDFs' : 'Upload Quotation PDF'}
       </label>
 
       <div
@@ -77,11 +94,12 @@ export default function FileUploader({ onFileSelect, file }) {
           ref={fileInputRef}
           type="file"
           accept=".pdf,application/pdf"
+          multiple={multiple}
           onChange={handleFileChange}
           className="hidden"
         />
 
-        {file ? (
+        {file && !multiple ? (
           <div className="flex flex-col items-center">
             <div className="w-12 h-12 rounded-full bg-green-100 flex items-center justify-center mb-3">
               <svg className="w-6 h-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -107,7 +125,9 @@ export default function FileUploader({ onFileSelect, file }) {
               </svg>
             </div>
             <p className="text-sm font-medium text-gray-700">
-              {isDragging ? 'Drop your PDF here' : 'Drag and drop your PDF here'}
+              {multiple
+                ? (isDragging ? 'Drop your PDFs here' : 'Drag and drop one or more PDFs here')
+                : (isDragging ? 'Drop your PDF here' : 'Drag and drop your PDF here')}
             </p>
             <p className="text-xs text-gray-500 mt-1">or click to browse</p>
           </div>
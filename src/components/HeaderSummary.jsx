@@ -0,0 +1,63 @@
+import { HEADER_FIELDS } from '../utils/constants';
+
+const CONFIDENCE_STYLES = {
+  high: 'border-gray-300',
+  manual: 'border-gray-300',
+  medium: 'border-yellow-400 bg-yellow-50',
+  low: 'border-yellow-400 bg-yellow-50'
+};
+
+/**
+ * Describe how a field was found, for the hover hint
+ */
+function describeExtraction(extraction) {
+  if (!extraction || extraction.missing) return 'Not found in the PDF';
+  if (extraction.confidence === 'manual') return 'Edited manually';
+  const source = extraction.ocr ? ' in OCR text' : '';
+  return `Matched "${extraction.pattern}"${source} (${extraction.confidence} confidence)`;
+}
+
+export default function HeaderSummary({ header, onChange }) {
+  const extraction = header.extraction || {};
+
+  return (
+    <div className="w-full border border-gray-200 rounded-md p-4">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">Quote Header</h3>
+
+      <div className="grid md:grid-cols-2 gap-x-4 gap-y-3">
+        {HEADER_FIELDS.map(field => {
+          const fieldExtraction = extraction[field.key];
+          const isBlank = !String(header[field.key] ?? '').trim();
+          const isMissingRequired = field.required && isBlank;
+          const style = isMissingRequired
+            ? 'border-red-400 bg-red-50'
+            : CONFIDENCE_STYLES[fieldExtraction?.confidence] || 'border-gray-300';
+
+          return (
+            <label key={field.key} className="block text-sm">
+              <span className="flex items-center justify-between mb-1">
+                <span className="font-medium text-gray-700">
+                  {field.label}
+                  {field.required && <span className="text-red-500"> *</span>}
+                </span>
+                <span className="text-xs text-gray-400">
+                  {isMissingRequired
+                    ? <span className="text-red-600">Missing</span>
+                    : fieldExtraction?.confidence && fieldExtraction.confidence !== 'high' && fieldExtraction.confidence}
+                </span>
+              </span>
+              <input
+                type="text"
+                value={header[field.key] ?? ''}
+                onChange={(e) => onChange(field, e.target.value)}
+                placeholder={field.date ? 'YYYY-MM-DD' : undefined}
+                title={describeExtraction(fieldExtraction)}
+                className={`w-full px-3 py-2 rounded-md border focus:outline-none focus:border-[#0066cc] ${style}`}
+              />
+            </label>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
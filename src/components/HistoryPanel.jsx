@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import StatusMessage from './StatusMessage';
+import ExportProfileSelect from './ExportProfileSelect';
+import DateFormatSelect from './DateFormatSelect';
+import {
+  listHistoryEntries,
+  searchHistoryEntries,
+  deleteHistoryEntries,
+  clearHistory,
+  getHistoryPdf,
+  applyHistoryRetention,
+  loadHistorySettings,
+  saveHistorySettings
+} from '../services/conversionHistory';
+import { buildQuoteExport, EXPORT_FORMATS } from '../services/quoteExport';
+import { getExportProfile } from '../services/exportProfiles';
+import { downloadBlob } from '../services/csvGenerator';
+import { DEFAULT_DATE_FORMAT } from '../utils/constants';
+
+const inputClass = 'w-full px-2 py-1.5 rounded-md border border-gray-300 focus:outline-none focus:border-[#0066cc]';
+const linkClass = 'text-[#0066cc] hover:text-[#004080] hover:underline';
+
+export default function HistoryPanel() {
+  const [entries, setEntries] = useState(null);
+  const [query, setQuery] = useState('');
+  const [settings, setSettings] = useState(loadHistorySettings);
+  const [exportProfileId, setExportProfileId] = useState('default');
+  const [dateFormat, setDateFormat] = useState(DEFAULT_DATE_FORMAT);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const report = (nextStatus, nextMessage) => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+  };
+
+  const refresh = async () => {
+    try {
+      setEntries(await listHistoryEntries());
+    } catch (error) {
+      setEntries([]);
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const handleDownload = (entry, format) => {
+    try {
+      const { blob, filename } = buildQuoteExport(format, entry, {
+        profile: getExportProfile(exportProfileId),
+        dateFormat
+      });
+      downloadBlob(blob, filename);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleDownloadPdf = async (entry) => {
+    try {
+      const pdf = await getHistoryPdf(entry.id);
+      if (!pdf) throw new Error(`The PDF for ${entry.sourceFile} was not kept`);
+      downloadBlob(pdf, entry.sourceFile || `${entry.quoteNumber || 'quote'}.pdf`);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      await deleteHistoryEntries([entry.id]);
+      await refresh();
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete every stored conversion and PDF from this browser?')) return;
+
+    try {
+      await clearHistory();
+      await refresh();
+      report('success', 'History deleted.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      const saved = saveHistorySettings(settings);
+      setSettings(saved);
+      const removed = await applyHistoryRetention(saved);
+      await refresh();
+      report('success', removed > 0
+        ? `History settings saved. Removed ${removed} conversion${removed === 1 ? '' : 's'} outside the limits.`
+        : 'History settings saved.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const updateSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
+    setStatus(null);
+  };
+
+  const matches = entries ? searchHistoryEntries(entries, query) : [];
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Conversion History</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Past conversions are stored in this browser only, so a quote can be downloaded again
+          without the PDF. Downloads use the rows as last reviewed.
+        </p>
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <ExportProfileSelect value={exportProfileId} onChange={setExportProfileId} />
+        <DateFormatSelect value={dateFormat} onChange={setDateFormat} />
+      </div>
+
+      <div className="space-y-3">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search by quote number, customer or Opportunity ID"
+          className="w-full px-4 py-2.5 rounded-md border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-100 focus:border-[#0066cc]"
+        />
+
+        {entries === null ? (
+          <p className="text-sm text-gray-500">Loading history...</p>
+        ) : matches.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {entries.length === 0 ? 'No conversions stored yet.' : 'No conversions match the search.'}
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {matches.map(entry => (
+              <li key={entry.id} className="px-4 py-3 text-sm">
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <span className="font-medium text-gray-900">
+                    {entry.quoteNumber || 'No quote number'}
+                    {entry.customer && <span className="font-normal text-gray-600"> &bull; {entry.customer}</span>}
+                  </span>
+                  <span className="text-xs text-gray-500">{new Date(entry.convertedAt).toLocaleString()}</span>
+                </div>
+                <div className="mt-1 text-xs text-gray-500">
+                  {entry.sourceFile} &bull; {entry.rows.length} rows
+                  {entry.opportunityId && <> &bull; {entry.opportunityId}</>}
+                </div>
+                <div className="mt-2 flex flex-wrap gap-4 text-xs">
+                  {EXPORT_FORMATS.map(format => (
+                    <button key={format.id} onClick={() => handleDownload(entry, format.id)} className={linkClass}>
+                      {format.label}
+                    </button>
+                  ))}
+                  {entry.hasPdf && (
+                    <button onClick={() => handleDownloadPdf(entry)} className={linkClass}>
+                      PDF
+                    </button>
+                  )}
+                  <button onClick={() => handleDelete(entry)} className="text-gray-500 hover:text-red-600 hover:underline">
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="pt-8 border-t border-gray-200 space-y-4">
+        <h3 className="font-semibold text-gray-900">Storage</h3>
+
+        <div className="space-y-2 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => updateSetting('enabled', e.target.checked)}
+            />
+            Record new conversions
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.keepPdfs}
+              onChange={(e) => updateSetting('keepPdfs', e.target.checked)}
+            />
+            Keep a copy of each source PDF
+          </label>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-4 text-sm">
+          <label className="block text-gray-700">
+            Delete conversions older than (days)
+            <input
+              type="number"
+              min="1"
+              value={settings.maxAgeDays ?? ''}
+              onChange={(e) => updateSetting('maxAgeDays', e.target.value)}
+              placeholder="No limit"
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+          <label className="block text-gray-700">
+            Keep at most (conversions)
+            <input
+              type="number"
+              min="1"
+              value={settings.maxEntries ?? ''}
+              onChange={(e) => updateSetting('maxEntries', e.target.value)}
+              placeholder="No limit"
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={handleSaveSettings}
+            className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+          >
+            Save
+          </button>
+          <button
+            onClick={handleClear}
+            disabled={!entries || entries.length === 0}
+            className="py-2 px-5 rounded-md font-medium text-red-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Delete all history
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
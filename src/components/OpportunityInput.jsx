@@ -1,11 +1,29 @@
-export default function OpportunityInput({ value, onChange }) {
+import { parseOpportunityId } from '../utils/salesforceId';
+
+/**
+ * Opportunity ID field
+ * Accepts an 18- or 15-character ID or a Salesforce link; pasted values and the value on
+ * blur are replaced by the 18-character ID they resolve to.
+ * @param {Object} props
+ * @param {string} props.value - Entered text
+ * @param {Function} props.onChange - Called with the new text
+ * @param {string} [props.note] - Shown under a valid ID, e.g. where it came from
+ */
+export default function OpportunityInput({ value, onChange, note = null }) {
   const maxLength = 18;
-  const isValid = value.length === maxLength;
+  const { id, error } = parseOpportunityId(value);
   const isEmpty = value.length === 0;
+  const isValid = id !== null;
 
   const handleChange = (e) => {
-    const newValue = e.target.value.slice(0, maxLength);
-    onChange(newValue);
+    const newValue = e.target.value;
+    // More than one new character at once is a paste or autofill
+    const pasted = newValue.length - value.length > 1;
+    onChange(pasted ? parseOpportunityId(newValue).id || newValue : newValue);
+  };
+
+  const handleBlur = () => {
+    if (id && id !== value) onChange(id);
   };
 
   return (
@@ -20,9 +38,10 @@ export default function OpportunityInput({ value, onChange }) {
           type="text"
           value={value}
           onChange={handleChange}
-          placeholder="Enter 18-character Opportunity ID"
+          onBlur={handleBlur}
+          placeholder="Enter the Opportunity ID or paste its Salesforce link"
           className={`
-            w-full px-4 py-3 rounded-md border transition-colors duration-200
+            w-full px-4 py-3 pr-20 rounded-md border transition-colors duration-200
             focus:outline-none focus:ring-2 focus:ring-offset-0
             ${isEmpty
               ? 'border-gray-300 focus:border-[#0066cc] focus:ring-blue-100'
@@ -48,10 +67,14 @@ export default function OpportunityInput({ value, onChange }) {
         </div>
       </div>
 
-      {!isEmpty && !isValid && (
-        <p className="mt-2 text-sm text-yellow-600">
-          {maxLength - value.length} more character{maxLength - value.length !== 1 ? 's' : ''} needed
-        </p>
+      {!isEmpty && error && (
+        <p className="mt-2 text-sm text-yellow-600">{error}</p>
+      )}
+      {isValid && id !== value && (
+        <p className="mt-2 text-sm text-gray-500">Will be used as {id}</p>
+      )}
+      {isValid && id === value && note && (
+        <p className="mt-2 text-sm text-gray-500">{note}</p>
       )}
     </div>
   );
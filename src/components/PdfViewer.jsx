@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Padding around a highlighted region, in PDF points
+const REGION_PADDING = 3;
+
+/**
+ * One rendered page with clickable regions for the rows read from it
+ */
+function PdfPage({ pdf, pageNumber, width, regions, selectedKey, onSelectRegion }) {
+  const canvasRef = useRef(null);
+  const regionRefs = useRef({});
+  const [viewport, setViewport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    (async () => {
+      const page = await pdf.getPage(pageNumber);
+      if (cancelled) return;
+
+      const scale = width / page.getViewport({ scale: 1 }).width;
+      const pageViewport = page.getViewport({ scale });
+      const outputScale = window.devicePixelRatio || 1;
+
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      canvas.width = Math.floor(pageViewport.width * outputScale);
+      canvas.height = Math.floor(pageViewport.height * outputScale);
+      canvas.style.width = `${pageViewport.width}px`;
+      canvas.style.height = `${pageViewport.height}px`;
+
+      renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: pageViewport,
+        transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null
+      });
+      setViewport(pageViewport);
+
+      await renderTask.promise;
+    })().catch(error => {
+      if (!cancelled && error.name !== 'RenderingCancelledException') {
+        console.error('PDF render error:', error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, pageNumber, width]);
+
+  useEffect(() => {
+    regionRefs.current[selectedKey]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [selectedKey, viewport]);
+
+  return (
+    <div className="relative mx-auto mb-3 shadow bg-white" style={{ width }}>
+      <canvas ref={canvasRef} className="block" />
+
+      {viewport && regions.map(region => {
+        const { x, y, width: w, height: h } = region.bounds;
+        const [left, top, right, bottom] = viewport.convertToViewportRectangle([
+          x - REGION_PADDING,
+          y - REGION_PADDING,
+          x + w + REGION_PADDING,
+          y + h + REGION_PADDING
+        ]);
+        const isSelected = region.key === selectedKey;
+
+        return (
+          <button
+            key={region.key}
+            ref={el => { regionRefs.current[region.key] = el; }}
+            onClick={() => onSelectRegion(region)}
+            title={`Row ${region.rowIndex + 1}`}
+            className={`
+              absolute rounded-sm border transition-colors
+              ${isSelected
+                ? 'border-[#0066cc] bg-[#0066cc]/20'
+                : 'border-transparent hover:border-[#0066cc]/60 hover:bg-[#0066cc]/10'
+              }
+            `}
+            style={{
+              left: Math.min(left, right),
+              top: Math.min(top, bottom),
+              width: Math.abs(right - left),
+              height: Math.abs(bottom - top)
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Render the uploaded quote next to the preview grid
+ * Selecting a row highlights where it was read; clicking a highlighted region selects its row.
+ * @param {Object} props
+ * @param {File} props.file - The converted PDF
+ * @param {Array} props.locations - Per row, { page, bounds } or null (see locateRows)
+ * @param {number|null} props.selectedRow - Index of the selected row
+ * @param {Function} props.onSelectRow - Called with a row index
+ */
+export default function PdfViewer({ file, locations, selectedRow, onSelectRow }) {
+  const [pdf, setPdf] = useState(null);
+  const [error, setError] = useState(null);
+  const [width, setWidth] = useState(0);
+  const containerRef = useRef(null);
+
+  // pdf.js is only loaded once the viewer is opened
+  useEffect(() => {
+    let cancelled = false;
+    let doc = null;
+
+    setPdf(null);
+    setError(null);
+
+    import('../services/pdfParser')
+      .then(({ openPdfDocument }) => openPdfDocument(file))
+      .then(loaded => {
+        doc = loaded;
+        if (cancelled) {
+          loaded.destroy();
+        } else {
+          setPdf(loaded);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+      doc?.destroy();
+    };
+  }, [file]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.floor(entry.contentRect.width));
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // One region per source line; bundle children share their parent's region
+  const regionsByPage = new Map();
+  locations.forEach((location, rowIndex) => {
+    if (!location) return;
+    const key = `${location.page}:${location.bounds.x}:${location.bounds.y}`;
+    const regions = regionsByPage.get(location.page) || [];
+    if (!regions.some(region => region.key === key)) {
+      regions.push({ key, rowIndex, bounds: location.bounds });
+    }
+    regionsByPage.set(location.page, regions);
+  });
+
+  const selected = selectedRow !== null ? locations[selectedRow] : null;
+  const selectedKey = selected ? `${selected.page}:${selected.bounds.x}:${selected.bounds.y}` : null;
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">Source PDF</label>
+        {selectedRow !== null && !selected && (
+          <span className="text-xs text-gray-500">Row {selectedRow + 1} has no source region</span>
+        )}
+      </div>
+
+      <div ref={containerRef} className="overflow-y-scroll max-h-[32rem] border border-gray-200 rounded-md bg-gray-100 p-3">
+        {error && <p className="text-sm text-red-600">Could not display the PDF: {error}</p>}
+        {!pdf && !error && <p className="text-sm text-gray-500">Loading PDF...</p>}
+
+        {pdf && width > 0 && Array.from({ length: pdf.numPages }, (_, i) => i + 1).map(pageNumber => (
+          <PdfPage
+            key={pageNumber}
+            pdf={pdf}
+            pageNumber={pageNumber}
+            width={width}
+            regions={regionsByPage.get(pageNumber) || []}
+            selectedKey={selectedKey}
+            onSelectRegion={region => onSelectRow(region.rowIndex)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
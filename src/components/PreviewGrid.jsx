@@ -0,0 +1,223 @@
+import { useEffect, useRef } from 'react';
+import { CSV_HEADERS, CSV_FIELDS } from '../utils/constants';
+
+// Fields copied from the neighbouring row when inserting a new one
+const QUOTE_FIELDS = [
+  'quoteDate',
+  'opportunityId',
+  'customerName',
+  'partnerName',
+  'preparedBy',
+  'email',
+  'quoteNumber',
+  'baseProductCode',
+  'baseDescription',
+  'currency',
+  'quoteExpires',
+  'status'
+];
+
+/**
+ * Assign each row to a group so VDURACare children render under their parent
+ */
+function groupRows(rows) {
+  let group = -1;
+  let parentCode = null;
+
+  return rows.map((row) => {
+    const isChild = Boolean(row.parentProductCode) && row.parentProductCode === parentCode;
+    if (!isChild) {
+      group += 1;
+      parentCode = row.productCode;
+    }
+    return { group, isChild };
+  });
+}
+
+export default function PreviewGrid({
+  rows,
+  onChange,
+  onDownload,
+  issues = [],
+  downloadBlockedReason = null,
+  selectedRow = null,
+  onSelectRow = () => {}
+}) {
+  const rowRefs = useRef([]);
+  const grouping = groupRows(rows);
+  const issueRows = new Set(issues.map(issue => issue.rowIndex).filter(i => i !== null));
+  const canDownload = rows.length > 0 && !downloadBlockedReason;
+  const hasChildren = new Set(grouping.filter(g => g.isChild).map(g => g.group));
+
+  // Rows selected from the PDF viewer may be scrolled out of view
+  useEffect(() => {
+    if (selectedRow !== null) {
+      rowRefs.current[selectedRow]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [selectedRow]);
+
+  const handleCellChange = (rowIndex, field, value) => {
+    const next = rows.map((row, i) => (i === rowIndex ? { ...row, [field]: value } : row));
+    onChange(next);
+  };
+
+  const handleDelete = (rowIndex) => {
+    onChange(rows.filter((_, i) => i !== rowIndex));
+  };
+
+  const handleInsert = (rowIndex) => {
+    const source = rows[rowIndex] || {};
+    const newRow = Object.fromEntries(CSV_FIELDS.map(field => [field, '']));
+    for (const field of QUOTE_FIELDS) {
+      newRow[field] = source[field] ?? '';
+    }
+
+    const next = [...rows];
+    next.splice(rowIndex + 1, 0, newRow);
+    onChange(next);
+  };
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Review Rows ({rows.length})
+        </label>
+        <button
+          onClick={() => handleInsert(rows.length - 1)}
+          className="text-sm text-[#0066cc] hover:text-[#004080] hover:underline"
+        >
+          + Add row
+        </button>
+      </div>
+
+      <div className="overflow-auto max-h-[32rem] border border-gray-200 rounded-md">
+        <table className="min-w-max text-xs">
+          <thead className="bg-gray-50 sticky top-0 z-10">
+            <tr>
+              <th className="px-2 py-2 border-b border-gray-200" />
+              {CSV_HEADERS.map(label => (
+                <th
+                  key={label}
+                  className="px-2 py-2 text-left font-medium text-gray-600 whitespace-nowrap border-b border-gray-200"
+                >
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, rowIndex) => {
+              const { group, isChild } = grouping[rowIndex];
+              const isParent = !isChild && hasChildren.has(group);
+              const isAdjustment = row.lineType === 'adjustment';
+
+              return (
+                <tr
+                  key={rowIndex}
+                  ref={el => { rowRefs.current[rowIndex] = el; }}
+                  onFocus={() => onSelectRow(rowIndex)}
+                  onClick={() => onSelectRow(rowIndex)}
+                  className={`
+                    ${rowIndex === selectedRow
+                      ? 'bg-blue-50'
+                      : issueRows.has(rowIndex) ? 'bg-yellow-50' : group % 2 === 0 ? 'bg-white' : 'bg-gray-50'
+                    }
+                    ${isParent ? 'font-semibold' : ''}
+                    ${isAdjustment ? 'italic' : ''}
+                  `}
+                  title={isAdjustment ? `Adjustment (${row.adjustmentType}): counts towards the quote total` : undefined}
+                >
+                  <td
+                    className={`
+                      px-2 py-1 whitespace-nowrap border-b border-gray-100
+                      ${isChild ? 'border-l-4 border-l-[#0066cc] pl-4' : ''}
+                    `}
+                  >
+                    <button
+                      onClick={() => handleInsert(rowIndex)}
+                      title="Insert row below"
+                      className="text-gray-400 hover:text-[#0066cc] px-1"
+                    >
+                      +
+                    </button>
+                    <button
+                      onClick={() => handleDelete(rowIndex)}
+                      title="Delete row"
+                      className="text-gray-400 hover:text-red-600 px-1"
+                    >
+                      &times;
+                    </button>
+                  </td>
+                  {CSV_FIELDS.map(field => (
+                    <td key={field} className="px-1 py-1 border-b border-gray-100">
+                      <input
+                        type="text"
+                        value={row[field] ?? ''}
+                        onChange={(e) => handleCellChange(rowIndex, field, e.target.value)}
+                        className={`
+                          w-full min-w-[6rem] px-1 py-0.5 rounded border border-transparent bg-transparent
+                          hover:border-gray-300 focus:border-[#0066cc] focus:outline-none focus:bg-white
+                          ${field === 'productCode' && isChild ? 'pl-3' : ''}
+                        `}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {downloadBlockedReason && (
+        <p className="mt-4 text-sm text-yellow-700">{downloadBlockedReason}</p>
+      )}
+
+      <div className="mt-4 flex gap-4">
+        <button
+          onClick={() => onDownload(rows, 'csv')}
+          disabled={!canDownload}
+          className={`
+            flex-1 py-3 px-6 rounded-md font-medium text-white
+            transition-all duration-200
+            ${canDownload
+              ? 'bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080]'
+              : 'bg-gray-300 cursor-not-allowed'
+            }
+          `}
+        >
+          Download CSV
+        </button>
+        <button
+          onClick={() => onDownload(rows, 'xlsx')}
+          disabled={!canDownload}
+          className={`
+            flex-1 py-3 px-6 rounded-md font-medium border
+            transition-colors
+            ${canDownload
+              ? 'text-gray-700 bg-gray-100 hover:bg-gray-200 border-gray-300'
+              : 'text-gray-400 bg-gray-100 border-gray-200 cursor-not-allowed'
+            }
+          `}
+        >
+          Download Excel (.xlsx)
+        </button>
+        <button
+          onClick={() => onDownload(rows, 'json')}
+          disabled={!canDownload}
+          className={`
+            flex-1 py-3 px-6 rounded-md font-medium border
+            transition-colors
+            ${canDownload
+              ? 'text-gray-700 bg-gray-100 hover:bg-gray-200 border-gray-300'
+              : 'text-gray-400 bg-gray-100 border-gray-200 cursor-not-allowed'
+            }
+          `}
+        >
+          Download JSON
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useState, useRef } from 'react';
+import StatusMessage from './StatusMessage';
+import {
+  loadProductFamilies,
+  saveProductFamilies,
+  resetProductFamilies,
+  exportProductFamilies,
+  importProductFamilies
+} from '../services/productFamilies';
+import { downloadBlob } from '../services/csvGenerator';
+import { LINE_ITEM_FIELDS } from '../utils/constants';
+
+export default function ProductFamilySettings() {
+  const [families, setFamilies] = useState(loadProductFamilies);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+  const importInputRef = useRef(null);
+
+  const report = (nextStatus, nextMessage) => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+  };
+
+  const updateFamily = (index, changes) => {
+    setFamilies(prev => prev.map((family, i) => (i === index ? { ...family, ...changes } : family)));
+    setStatus(null);
+  };
+
+  const toggleDedupField = (index, field) => {
+    const current = families[index].dedupKey || [];
+    const dedupKey = current.includes(field)
+      ? current.filter(f => f !== field)
+      : LINE_ITEM_FIELDS.filter(f => f === field || current.includes(f));
+    updateFamily(index, { dedupKey });
+  };
+
+  const handleAdd = () => {
+    setFamilies(prev => [
+      ...prev,
+      { id: '', name: '', pattern: '', hasMonths: false, dedupKey: ['partNo', 'qty', 'extendedPrice'] }
+    ]);
+  };
+
+  const handleRemove = (index) => {
+    setFamilies(prev => prev.filter((_, i) => i !== index));
+    setStatus(null);
+  };
+
+  const handleSave = () => {
+    try {
+      setFamilies(saveProductFamilies(families));
+      report('success', 'Product families saved. They apply to the next conversion.');
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleReset = () => {
+    setFamilies(resetProductFamilies());
+    report('success', 'Restored the default product families.');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportProductFamilies(families)], { type: 'application/json' });
+    downloadBlob(blob, 'quote2csv-product-families.json');
+  };
+
+  const handleImport = async (e) => {
+    const importFile = e.target.files[0];
+    e.target.value = '';
+    if (!importFile) return;
+
+    try {
+      setFamilies(importProductFamilies(await importFile.text()));
+      report('success', `Imported ${importFile.name}. Review and save to apply.`);
+    } catch (error) {
+      report('error', `Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Product Families</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Part numbers matching a family pattern are extracted as line items. Families are
+          matched in order; rows with the same dedup key are only kept once.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {families.map((family, index) => (
+          <div key={index} className="border border-gray-200 rounded-md p-4 space-y-3">
+            <div className="grid md:grid-cols-2 gap-3">
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Name</span>
+                <input
+                  type="text"
+                  value={family.name}
+                  onChange={(e) => updateFamily(index, { name: e.target.value })}
+                  className="w-full px-3 py-2 rounded-md border border-gray-300 focus:outline-none focus:border-[#0066cc]"
+                />
+              </label>
+              <label className="block text-sm">
+                <span className="block font-medium text-gray-700 mb-1">Part number pattern (regex)</span>
+                <input
+                  type="text"
+                  value={family.pattern}
+                  onChange={(e) => updateFamily(index, { pattern: e.target.value })}
+                  className="w-full px-3 py-2 rounded-md border border-gray-300 font-mono focus:outline-none focus:border-[#0066cc]"
+                />
+              </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={family.hasMonths}
+                  onChange={(e) => updateFamily(index, { hasMonths: e.target.checked })}
+                />
+                Has MONTHS column
+              </label>
+
+              <span className="text-gray-500">Dedup key:</span>
+              {LINE_ITEM_FIELDS.map(field => (
+                <label key={field} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={(family.dedupKey || []).includes(field)}
+                    onChange={() => toggleDedupField(index, field)}
+                  />
+                  {field}
+                </label>
+              ))}
+
+              <button
+                onClick={() => handleRemove(index)}
+                className="ml-auto text-red-600 hover:text-red-800 hover:underline"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          onClick={handleAdd}
+          className="text-sm text-[#0066cc] hover:text-[#004080] hover:underline"
+        >
+          + Add product family
+        </button>
+      </div>
+
+      {status && (
+        <StatusMessage status={status} message={message} />
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={handleSave}
+          className="py-2 px-5 rounded-md font-medium text-white bg-[#0066cc] hover:bg-[#0052a3] active:bg-[#004080] transition-all duration-200"
+        >
+          Save
+        </button>
+        <button
+          onClick={handleReset}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Reset to defaults
+        </button>
+        <button
+          onClick={handleExport}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="py-2 px-5 rounded-md font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 transition-colors border border-gray-300"
+        >
+          Import JSON
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
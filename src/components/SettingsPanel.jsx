@@ -0,0 +1,21 @@
+import ProductFamilySettings from './ProductFamilySettings';
+import BundleRulesSettings from './BundleRulesSettings';
+import ColumnLayoutSettings from './ColumnLayoutSettings';
+import ExchangeRateSettings from './ExchangeRateSettings';
+
+export default function SettingsPanel() {
+  return (
+    <div className="space-y-10 divide-y divide-gray-200">
+      <ProductFamilySettings />
+      <div className="pt-10">
+        <BundleRulesSettings />
+      </div>
+      <div className="pt-10">
+        <ColumnLayoutSettings />
+      </div>
+      <div className="pt-10">
+        <ExchangeRateSettings />
+      </div>
+    </div>
+  );
+}
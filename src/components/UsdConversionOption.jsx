@@ -0,0 +1,37 @@
+import { DEFAULT_CURRENCY } from '../utils/constants';
+import { findExchangeRate } from '../services/exchangeRates';
+
+/**
+ * Checkbox to convert CSV and Excel downloads to USD with the saved exchange rates
+ * Hidden when every row is already in USD.
+ * @param {Object} props
+ * @param {Array} props.currencies - Currency codes in the rows being downloaded
+ * @param {Array} props.rates - Saved exchange rates
+ * @param {boolean} props.checked - Whether conversion is on
+ * @param {Function} props.onChange - Called with the new checked state
+ */
+export default function UsdConversionOption({ currencies, rates, checked, onChange }) {
+  const foreign = [...new Set(currencies)].filter(currency => currency && currency !== DEFAULT_CURRENCY);
+  if (foreign.length === 0) return null;
+
+  const missing = foreign.filter(currency => findExchangeRate(currency, rates) === null);
+
+  return (
+    <div className="w-full text-sm text-gray-700">
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={checked && missing.length === 0}
+          disabled={missing.length > 0}
+          onChange={(e) => onChange(e.target.checked)}
+        />
+        Convert prices from {foreign.join(', ')} to USD in CSV and Excel downloads
+      </label>
+      <p className="mt-1 ml-6 text-xs text-gray-500">
+        {missing.length > 0
+          ? `Add an exchange rate for ${missing.join(', ')} under Settings to convert.`
+          : foreign.map(currency => `1 ${currency} = ${findExchangeRate(currency, rates)} USD`).join(', ') + '. JSON keeps the quote currency.'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+export default function ValidationReport({ issues, overridden, onOverrideChange }) {
+  if (issues.length === 0) {
+    return (
+      <div className="flex items-center gap-2 p-3 rounded-md border border-green-200 bg-green-50 text-sm text-green-800">
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+        </svg>
+        All rows reconcile with the quote totals.
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 rounded-md border border-yellow-300 bg-yellow-50">
+      <p className="text-sm font-medium text-yellow-800 mb-2">
+        {issues.length} discrepanc{issues.length === 1 ? 'y' : 'ies'} found
+      </p>
+
+      <ul className="list-disc pl-5 space-y-1 text-sm text-yellow-800 max-h-48 overflow-auto">
+        {issues.map((issue, i) => (
+          <li key={i}>
+            {issue.rowIndex !== null && (
+              <span className="font-medium">Row {issue.rowIndex + 1}: </span>
+            )}
+            {issue.message}
+          </li>
+        ))}
+      </ul>
+
+      <label className="mt-3 flex items-center gap-2 text-sm text-yellow-900">
+        <input
+          type="checkbox"
+          checked={overridden}
+          onChange={(e) => onOverrideChange(e.target.checked)}
+        />
+        I have reviewed these discrepancies; allow download anyway
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { ADJUSTMENT_TYPES, LINE_TYPES } from '../utils/constants.js';
+
+/**
+ * JSON Schema for the canonical quote model (see services/quoteModel.js)
+ * Versioned: any change to the model's shape bumps schemaVersion and $id.
+ */
+
+const money = { type: ['number', 'null'] };
+
+const extraction = {
+  type: ['object', 'null'],
+  properties: {
+    source: { enum: ['table', 'text'] },
+    page: { type: 'integer', description: 'Page the item was read from, when it could be placed' },
+    bounds: {
+      type: 'object',
+      required: ['x', 'y', 'width', 'height'],
+      properties: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        width: { type: 'number' },
+        height: { type: 'number' }
+      },
+      description: 'Region of the item on its page, in PDF points from the bottom-left corner'
+    },
+    family: { type: 'string' },
+    confidence: { enum: ['high', 'medium', 'low'] },
+    missing: { type: 'array', items: { type: 'string' } },
+    ocr: { type: 'boolean', description: 'Read from OCR text; confidence lowered one level' }
+  }
+};
+
+export const QUOTE_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'urn:quote2csv:schema:quote:1.4.0',
+  title: 'Quote2CSV quote',
+  description: 'A VDURA quotation extracted by Quote2CSV.',
+  type: 'object',
+  required: ['schemaVersion', 'header', 'sections', 'lineItems', 'totals', 'extraction'],
+  properties: {
+    schemaVersion: { const: '1.4.0' },
+    header: {
+      type: 'object',
+      required: ['quoteNumber', 'quoteDate', 'expires', 'customer', 'opportunityId'],
+      properties: {
+        quoteNumber: { type: 'string' },
+        quoteDate: { type: 'string', description: 'ISO date (YYYY-MM-DD) when parsed, otherwise the raw text' },
+        expires: { type: 'string', description: 'ISO date (YYYY-MM-DD) when parsed, otherwise the raw text' },
+        customer: { type: 'string' },
+        partner: { type: 'string' },
+        preparedBy: { type: 'string' },
+        email: { type: 'string' },
+        opportunityId: { type: 'string' },
+        baseProductCode: { type: 'string' },
+        baseDescription: { type: 'string' },
+        status: { type: 'string' },
+        currency: { type: 'string', description: 'ISO 4217 code of every amount in the quote' }
+      }
+    },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'total', 'lineNumbers'],
+        properties: {
+          name: { type: 'string' },
+          total: { type: 'number', description: 'Section total printed on the quote' },
+          lineNumbers: { type: 'array', items: { type: 'integer' } }
+        }
+      }
+    },
+    lineItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['lineNumber', 'lineType', 'partNo', 'quantity', 'extendedPrice'],
+        properties: {
+          lineNumber: { type: 'integer', minimum: 1 },
+          lineType: { enum: LINE_TYPES, description: 'Product line, or an adjustment such as a discount or freight' },
+          adjustmentType: { enum: [...ADJUSTMENT_TYPES.map(type => type.id), null] },
+          partNo: { type: 'string' },
+          description: { type: 'string' },
+          family: { type: ['string', 'null'] },
+          quantity: { type: ['number', 'null'] },
+          months: { type: ['number', 'null'] },
+          listPrice: money,
+          discountPercentage: money,
+          discountPrice: money,
+          extendedPrice: money,
+          bundle: {
+            type: ['object', 'null'],
+            required: ['children'],
+            properties: {
+              rule: { type: ['string', 'null'] },
+              children: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['productCode', 'unitPrice', 'extendedPrice'],
+                  properties: {
+                    productCode: { type: 'string' },
+                    description: { type: 'string' },
+                    quantity: { type: ['number', 'null'] },
+                    months: { type: ['number', 'null'] },
+                    unitPrice: money,
+                    extendedPrice: money
+                  }
+                }
+              }
+            }
+          },
+          extraction
+        }
+      }
+    },
+    totals: {
+      type: 'object',
+      required: ['quoted', 'extracted'],
+      properties: {
+        quoted: { ...money, description: 'Grand total printed on the quote, if found' },
+        extracted: { type: 'number', description: 'Sum of line item extended prices, adjustments included' }
+      }
+    },
+    extraction: {
+      type: 'object',
+      required: ['generatedAt'],
+      properties: {
+        generatedAt: { type: 'string', format: 'date-time' },
+        sourceFile: { type: ['string', 'null'] },
+        ocrPages: {
+          type: 'array',
+          items: { type: 'integer' },
+          description: 'Pages with no text layer that were read with OCR'
+        },
+        header: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              pattern: { type: ['string', 'null'] },
+              confidence: { enum: ['high', 'medium', 'low', 'manual', null] },
+              missing: { type: 'boolean' },
+              ocr: { type: 'boolean' }
+            }
+          }
+        },
+        issues: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              type: { type: 'string' },
+              rowIndex: { type: ['integer', 'null'] },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,151 @@
+import { DEFAULT_BUNDLE_RULES, BUNDLE_PRICING_TYPES } from '../utils/constants.js';
+import { createConfigStore } from '../utils/configStore.js';
+
+/**
+ * Validate a single bundle rule
+ * @param {Object} rule - Rule to check
+ * @returns {Object} - A normalized copy of the rule
+ * @throws {Error} - If the rule is malformed
+ */
+export function validateBundleRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Bundle rule must be an object');
+  }
+
+  const name = String(rule.name || '').trim();
+  if (!name) {
+    throw new Error('Bundle rule is missing a name');
+  }
+
+  const parentPattern = String(rule.parentPattern || '').trim();
+  if (!parentPattern) {
+    throw new Error(`Bundle rule "${name}" is missing a parent pattern`);
+  }
+  try {
+    new RegExp(parentPattern);
+  } catch (error) {
+    throw new Error(`Bundle rule "${name}" has an invalid parent pattern: ${error.message}`);
+  }
+
+  if (!Array.isArray(rule.children) || rule.children.length === 0) {
+    throw new Error(`Bundle rule "${name}" needs at least one child`);
+  }
+
+  const children = rule.children.map((child, i) => {
+    const code = String(child?.code || '').trim();
+    if (!code) {
+      throw new Error(`Bundle rule "${name}" child ${i + 1} is missing a product code`);
+    }
+    if (!BUNDLE_PRICING_TYPES.includes(child.pricing)) {
+      throw new Error(`Bundle rule "${name}" child ${code} has unknown pricing "${child.pricing}"`);
+    }
+
+    const value = child.pricing === 'remainder' ? null : Number(child.value);
+    if (value !== null && !Number.isFinite(value)) {
+      throw new Error(`Bundle rule "${name}" child ${code} needs a numeric ${child.pricing} value`);
+    }
+
+    return {
+      code,
+      description: String(child.description || ''),
+      pricing: child.pricing,
+      value
+    };
+  });
+
+  if (children.filter(child => child.pricing === 'remainder').length > 1) {
+    throw new Error(`Bundle rule "${name}" can have only one remainder child`);
+  }
+
+  return {
+    id: String(rule.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-')),
+    name,
+    parentPattern,
+    children
+  };
+}
+
+/**
+ * Validate a list of bundle rules
+ * @param {Array} rules - Rules to check
+ * @returns {Array} - Normalized rules
+ */
+export function validateBundleRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Bundle rules must be a JSON array');
+  }
+  return rules.map(validateBundleRule);
+}
+
+const store = createConfigStore({
+  storageKey: 'quote2csv.bundleRules',
+  defaults: DEFAULT_BUNDLE_RULES,
+  validate: validateBundleRules,
+  label: 'bundle rules'
+});
+
+/**
+ * Load bundle rules from localStorage, falling back to the defaults
+ * @returns {Array} - Bundle rules
+ */
+export const loadBundleRules = store.load;
+
+/**
+ * Persist bundle rules to localStorage
+ * @param {Array} rules - Rules to save
+ * @returns {Array} - The normalized rules that were saved
+ */
+export const saveBundleRules = store.save;
+
+/**
+ * Remove saved bundle rules so the defaults apply again
+ * @returns {Array} - The default rules
+ */
+export const resetBundleRules = store.reset;
+
+/**
+ * Serialize bundle rules for export
+ * @param {Array} rules - Rules to export
+ * @returns {string} - Pretty-printed JSON
+ */
+export const exportBundleRules = store.exportJson;
+
+/**
+ * Parse and validate an exported bundle rules JSON file
+ * @param {string} json - File contents
+ * @returns {Array} - Normalized rules
+ */
+export const importBundleRules = store.importJson;
+
+/**
+ * Find the first rule whose parent pattern matches a part number
+ * @param {string} partNo - Parent part number
+ * @param {Array} rules - Bundle rules
+ * @returns {Object|null} - Matching rule
+ */
+export function findBundleRule(partNo, rules) {
+  return rules.find(rule => new RegExp(`^(?:${rule.parentPattern})$`, 'i').test(partNo)) || null;
+}
+
+/**
+ * Resolve per-unit child prices for a bundle
+ * Fixed and percentage children are priced first; the remainder child takes what is left
+ * @param {Object} rule - Bundle rule
+ * @param {number} parentPrice - Parent discount price
+ * @returns {Array} - Children in rule order ({ code, description, price })
+ */
+export function priceBundleChildren(rule, parentPrice) {
+  const prices = rule.children.map(child => {
+    if (child.pricing === 'fixed') return child.value;
+    if (child.pricing === 'percent') return parentPrice * child.value / 100;
+    return null;
+  });
+
+  const allocated = prices.reduce((sum, price) => sum + (price ?? 0), 0);
+
+  return rule.children.map((child, i) => ({
+    code: child.code,
+    description: child.description,
+    price: prices[i] ?? parentPrice - allocated
+  }));
+}
@@ -0,0 +1,125 @@
+import { CSV_FIELDS } from '../utils/constants.js';
+import { createConfigStore } from '../utils/configStore.js';
+
+export const LINE_ENDINGS = {
+  lf: '\n',
+  crlf: '\r\n'
+};
+
+/**
+ * Validate a single column layout
+ * A column either reads a row field ({ header, field }) or repeats a constant ({ header, constant })
+ * @param {Object} layout - Layout to check
+ * @returns {Object} - A normalized copy of the layout
+ * @throws {Error} - If the layout is malformed
+ */
+export function validateColumnLayout(layout) {
+  if (!layout || typeof layout !== 'object') {
+    throw new Error('Column layout must be an object');
+  }
+
+  const name = String(layout.name || '').trim();
+  if (!name) {
+    throw new Error('Column layout is missing a name');
+  }
+
+  if (!Array.isArray(layout.columns) || layout.columns.length === 0) {
+    throw new Error(`Column layout "${name}" needs at least one column`);
+  }
+
+  const columns = layout.columns.map((column, i) => {
+    const header = String(column?.header || '').trim();
+    if (!header) {
+      throw new Error(`Column layout "${name}" column ${i + 1} is missing a header`);
+    }
+
+    if (column.field !== undefined && column.field !== null) {
+      if (!CSV_FIELDS.includes(column.field)) {
+        throw new Error(`Column layout "${name}" column "${header}" uses unknown field "${column.field}"`);
+      }
+      return { header, field: column.field };
+    }
+
+    return { header, constant: String(column.constant ?? '') };
+  });
+
+  // Layout ids share a namespace with the built-in export profiles
+  const id = String(layout.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-'));
+
+  return {
+    id: id.startsWith('layout-') ? id : `layout-${id}`,
+    name,
+    lineEnding: layout.lineEnding === 'crlf' ? 'crlf' : 'lf',
+    columns
+  };
+}
+
+/**
+ * Validate a list of column layouts
+ * @param {Array} layouts - Layouts to check
+ * @returns {Array} - Normalized layouts
+ */
+export function validateColumnLayouts(layouts) {
+  if (!Array.isArray(layouts)) {
+    throw new Error('Column layouts must be a JSON array');
+  }
+
+  const validated = layouts.map(validateColumnLayout);
+  const ids = new Set();
+  for (const layout of validated) {
+    if (ids.has(layout.id)) {
+      throw new Error(`Two column layouts are named "${layout.name}"`);
+    }
+    ids.add(layout.id);
+  }
+  return validated;
+}
+
+const store = createConfigStore({
+  storageKey: 'quote2csv.columnLayouts',
+  defaults: [],
+  validate: validateColumnLayouts,
+  label: 'column layouts'
+});
+
+/**
+ * Load saved column layouts from localStorage
+ * @returns {Array} - Column layouts
+ */
+export const loadColumnLayouts = store.load;
+
+/**
+ * Persist column layouts to localStorage
+ * @param {Array} layouts - Layouts to save
+ * @returns {Array} - The normalized layouts that were saved
+ */
+export const saveColumnLayouts = store.save;
+
+/**
+ * Serialize column layouts for export
+ * @param {Array} layouts - Layouts to export
+ * @returns {string} - Pretty-printed JSON
+ */
+export const exportColumnLayouts = store.exportJson;
+
+/**
+ * Parse and validate an exported column layouts JSON file
+ * @param {string} json - File contents
+ * @returns {Array} - Normalized layouts
+ */
+export const importColumnLayouts = store.importJson;
+
+/**
+ * Turn a saved layout into an export profile for generateCSV
+ * @param {Object} layout - Column layout
+ * @returns {Object} - Export profile
+ */
+export function layoutToProfile(layout) {
+  return {
+    id: layout.id,
+    name: layout.name,
+    description: `Custom layout with ${layout.columns.length} column${layout.columns.length === 1 ? '' : 's'}.`,
+    lineEnding: LINE_ENDINGS[layout.lineEnding] || LINE_ENDINGS.lf,
+    columns: layout.columns
+  };
+}
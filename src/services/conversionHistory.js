@@ -0,0 +1,293 @@
+import { createConfigStore } from '../utils/configStore.js';
+
+/**
+ * Conversion history
+ * Every conversion is kept in IndexedDB in this browser, so a lost download can be
+ * produced again without the PDF. Nothing leaves the machine.
+ */
+
+const DB_NAME = 'quote2csv';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'conversions';
+// PDFs are kept apart so listing the history does not load them
+const PDF_STORE = 'pdfs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_HISTORY_SETTINGS = {
+  enabled: true,
+  keepPdfs: false,
+  maxAgeDays: 90,
+  maxEntries: 200
+};
+
+/**
+ * Validate a retention limit: a positive whole number, or null for no limit
+ */
+function validateLimit(value, name) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`History ${name} must be a whole number of at least 1, or empty for no limit`);
+  }
+  return number;
+}
+
+/**
+ * Validate history settings
+ * @param {Object} settings - Settings to check
+ * @returns {Object} - Normalized settings
+ * @throws {Error} - If the settings are malformed
+ */
+export function validateHistorySettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('History settings must be a JSON object');
+  }
+
+  return {
+    enabled: settings.enabled !== false,
+    keepPdfs: settings.keepPdfs === true,
+    maxAgeDays: validateLimit(settings.maxAgeDays, 'age limit'),
+    maxEntries: validateLimit(settings.maxEntries, 'entry limit')
+  };
+}
+
+const settingsStore = createConfigStore({
+  storageKey: 'quote2csv.historySettings',
+  defaults: DEFAULT_HISTORY_SETTINGS,
+  validate: validateHistorySettings,
+  label: 'history settings'
+});
+
+/**
+ * Load history settings from localStorage
+ * @returns {Object} - History settings
+ */
+export const loadHistorySettings = settingsStore.load;
+
+/**
+ * Persist history settings to localStorage
+ * @param {Object} settings - Settings to save
+ * @returns {Object} - The normalized settings that were saved
+ */
+export const saveHistorySettings = settingsStore.save;
+
+/**
+ * Build a history entry for a finished conversion
+ * @param {Object} quote
+ * @param {string} quote.sourceFile - Original PDF filename
+ * @param {string} quote.opportunityId - Opportunity ID the quote was converted for
+ * @param {Object} quote.header - Header from extractHeader
+ * @param {Array} quote.rows - Transformed rows
+ * @param {Object} [quote.totals] - Totals from extractTotals
+ * @param {Array} [quote.lineItems] - Items from extractLineItems
+ * @param {Array} [quote.issues] - Validation issues
+ * @param {Array} [quote.ocrPages] - Page numbers read with OCR
+ * @returns {Object} - Entry for addHistoryEntry
+ */
+export function buildHistoryEntry({
+  sourceFile,
+  opportunityId,
+  header,
+  rows,
+  totals = null,
+  lineItems = [],
+  issues = [],
+  ocrPages = []
+}) {
+  return {
+    sourceFile: sourceFile || null,
+    quoteNumber: header?.quoteNumber || '',
+    customer: header?.customer || '',
+    opportunityId: opportunityId || '',
+    convertedAt: new Date().toISOString(),
+    header,
+    rows,
+    totals,
+    lineItems,
+    issues,
+    ocrPages
+  };
+}
+
+/**
+ * Filter entries by quote number, customer, Opportunity ID or file name
+ * @param {Array} entries - History entries
+ * @param {string} query - Search text; blank matches everything
+ * @returns {Array} - Matching entries
+ */
+export function searchHistoryEntries(entries, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter(entry => {
+    const haystack = [entry.quoteNumber, entry.customer, entry.opportunityId, entry.sourceFile]
+      .join(' ')
+      .toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * Find entries outside the retention limits
+ * @param {Array} entries - History entries
+ * @param {Object} settings - History settings
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array} - Ids of entries to delete
+ */
+export function findExpiredEntries(entries, { maxAgeDays, maxEntries }, now = Date.now()) {
+  const newestFirst = [...entries].sort((a, b) => b.convertedAt.localeCompare(a.convertedAt));
+
+  return newestFirst
+    .filter((entry, index) =>
+      (maxEntries !== null && index >= maxEntries) ||
+      (maxAgeDays !== null && now - Date.parse(entry.convertedAt) > maxAgeDays * DAY_MS))
+    .map(entry => entry.id);
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('This browser does not support IndexedDB, so history is unavailable'));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+        request.result.createObjectStore(PDF_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry, e.g. after the user allows storage
+    databasePromise.catch(() => { databasePromise = null; });
+  }
+
+  return databasePromise;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+  });
+}
+
+/**
+ * Store a conversion
+ * @param {Object} entry - Entry from buildHistoryEntry
+ * @param {Blob} [pdf] - The source PDF, when PDFs are kept
+ * @returns {Promise<number>} - Id of the new entry
+ */
+export async function addHistoryEntry(entry, pdf = null) {
+  const database = await openDatabase();
+  const transaction = database.transaction([ENTRY_STORE, PDF_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+
+  const id = await requestResult(transaction.objectStore(ENTRY_STORE).add({ ...entry, hasPdf: Boolean(pdf) }));
+  if (pdf) transaction.objectStore(PDF_STORE).put(pdf, id);
+
+  await done;
+  return id;
+}
+
+/**
+ * Update a stored conversion, e.g. with the rows as edited before download
+ * @param {number} id - Entry id
+ * @param {Object} changes - Fields to replace
+ */
+export async function updateHistoryEntry(id, changes) {
+  const database = await openDatabase();
+  const transaction = database.transaction(ENTRY_STORE, 'readwrite');
+  const done = transactionDone(transaction);
+  const store = transaction.objectStore(ENTRY_STORE);
+
+  const entry = await requestResult(store.get(id));
+  if (entry) store.put({ ...entry, ...changes, id });
+
+  await done;
+}
+
+/**
+ * List stored conversions, newest first, without their PDFs
+ * @returns {Promise<Array>} - History entries
+ */
+export async function listHistoryEntries() {
+  const database = await openDatabase();
+  const entries = await requestResult(database.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).getAll());
+  return entries.sort((a, b) => b.convertedAt.localeCompare(a.convertedAt));
+}
+
+/**
+ * Load the PDF stored with a conversion
+ * @param {number} id - Entry id
+ * @returns {Promise<Blob|null>} - The PDF, or null if it was not kept
+ */
+export async function getHistoryPdf(id) {
+  const database = await openDatabase();
+  return (await requestResult(database.transaction(PDF_STORE).objectStore(PDF_STORE).get(id))) || null;
+}
+
+/**
+ * Delete conversions and their PDFs
+ * @param {Array} ids - Entry ids
+ */
+export async function deleteHistoryEntries(ids) {
+  if (ids.length === 0) return;
+
+  const database = await openDatabase();
+  const transaction = database.transaction([ENTRY_STORE, PDF_STORE], 'readwrite');
+  for (const id of ids) {
+    transaction.objectStore(ENTRY_STORE).delete(id);
+    transaction.objectStore(PDF_STORE).delete(id);
+  }
+  await transactionDone(transaction);
+}
+
+/**
+ * Delete every stored conversion
+ */
+export async function clearHistory() {
+  const database = await openDatabase();
+  const transaction = database.transaction([ENTRY_STORE, PDF_STORE], 'readwrite');
+  transaction.objectStore(ENTRY_STORE).clear();
+  transaction.objectStore(PDF_STORE).clear();
+  await transactionDone(transaction);
+}
+
+/**
+ * Delete conversions outside the retention limits
+ * @param {Object} [settings] - History settings
+ * @returns {Promise<number>} - Number of entries deleted
+ */
+export async function applyHistoryRetention(settings = loadHistorySettings()) {
+  const expired = findExpiredEntries(await listHistoryEntries(), settings);
+  await deleteHistoryEntries(expired);
+  return expired.length;
+}
+
+/**
+ * Store a finished conversion if history is on, then apply the retention limits
+ * @param {Object} quote - See buildHistoryEntry
+ * @param {Blob} [pdf] - The source PDF; kept only if the settings say so
+ * @returns {Promise<number|null>} - Id of the new entry, or null when history is off
+ */
+export async function recordConversion(quote, pdf = null) {
+  const settings = loadHistorySettings();
+  if (!settings.enabled) return null;
+
+  const id = await addHistoryEntry(buildHistoryEntry(quote), settings.keepPdfs ? pdf : null);
+  await applyHistoryRetention(settings);
+  return id;
+}
@@ -1,11 +1,13 @@
-import { CSV_HEADERS } from '../utils/constants.js';
+import { DATE_FIELDS, DEFAULT_DATE_FORMAT } from '../utils/constants.js';
+import { formatDate } from '../utils/dates.js';
+import { DEFAULT_EXPORT_PROFILE, selectProfileRows } from './exportProfiles.js';
 
 /**
  * Escape a value for CSV (handle quotes and commas)
  * @param {string|number} value - Value to escape
  * @returns {string} - Escaped value
  */
-function escapeCSVValue(value) {
+export function escapeCSVValue(value) {
   if (value === null || value === undefined) {
     return '';
   }
@@ -13,7 +15,7 @@ function escapeCSVValue(value) {
   const stringValue = String(value);
 
   // If value contains comma, quote, or newline, wrap in quotes and escape internal quotes
-  if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+  if (/[,"\r\n]/.test(stringValue)) {
     return `"${stringValue.replace(/"/g, '""')}"`;
   }
 
@@ -23,31 +25,17 @@ function escapeCSVValue(value) {
 /**
  * Convert row object to CSV line
  * @param {Object} row - Row object with all fields
+ * @param {Array} columns - Profile columns ({ header, field }, { header, value } or { header, constant })
+ * @param {string} dateFormat - Id from DATE_FORMATS for date fields
  * @returns {string} - CSV line
  */
-function rowToCSVLine(row) {
-  const values = [
-    row.quoteDate,
-    row.opportunityId,
-    row.customerName,
-    row.partnerName,
-    row.preparedBy,
-    row.email,
-    row.quoteNumber,
-    row.baseProductCode,
-    row.baseDescription,
-    row.productCode,
-    row.parentProductCode,
-    row.listPrice,
-    row.discountPercentage,
-    row.discountPrice,
-    row.optionQty,
-    row.month,
-    row.extendedPrice,
-    row.optionDescription,
-    row.quoteExpires,
-    row.status
-  ];
+function rowToCSVLine(row, columns, dateFormat) {
+  const values = columns.map(column => {
+    if (column.value) return column.value(row);
+    if (column.field && DATE_FIELDS.includes(column.field)) return formatDate(row[column.field], dateFormat);
+    if (column.field) return row[column.field];
+    return column.constant;
+  });
 
   return values.map(escapeCSVValue).join(',');
 }
@@ -55,32 +43,35 @@ function rowToCSVLine(row) {
 /**
  * Generate CSV content from transformed rows
  * @param {Array} rows - Array of row objects
+ * @param {Object} [profile] - Export profile (see exportProfiles.js)
+ * @param {Object} [options]
+ * @param {string} [options.dateFormat] - Id from DATE_FORMATS for the quote date columns
  * @returns {string} - Complete CSV content
  */
-export function generateCSV(rows) {
-  const headerLine = CSV_HEADERS.join(',');
-  const dataLines = rows.map(rowToCSVLine);
+export function generateCSV(rows, profile = DEFAULT_EXPORT_PROFILE, { dateFormat = DEFAULT_DATE_FORMAT } = {}) {
+  const headerLine = profile.columns.map(column => escapeCSVValue(column.header)).join(',');
+  const dataLines = selectProfileRows(rows, profile).map(row => rowToCSVLine(row, profile.columns, dateFormat));
 
-  return [headerLine, ...dataLines].join('\n');
+  return [headerLine, ...dataLines].join(profile.lineEnding || '\n');
 }
 
 /**
  * Generate filename for the CSV
  * @param {string} quoteNumber - Quote number from the PDF
+ * @param {string} [extension] - File extension for other export formats
  * @returns {string} - Filename
  */
-export function generateFilename(quoteNumber) {
+export function generateFilename(quoteNumber, extension = 'csv') {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  return `Quote_Number_${quoteNumber}_BOM_${timestamp}.csv`;
+  return `Quote_Number_${quoteNumber}_BOM_${timestamp}.${extension}`;
 }
 
 /**
- * Trigger CSV file download
- * @param {string} csvContent - CSV content
+ * Trigger a browser download for a Blob
+ * @param {Blob} blob - File contents
  * @param {string} filename - Filename for download
  */
-export function downloadCSV(csvContent, filename) {
-  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+export function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
 
   const link = document.createElement('a');
@@ -95,3 +86,13 @@ export function downloadCSV(csvContent, filename) {
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
 }
+
+/**
+ * Trigger CSV file download
+ * @param {string} csvContent - CSV content
+ * @param {string} filename - Filename for download
+ */
+export function downloadCSV(csvContent, filename) {
+  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  downloadBlob(blob, filename);
+}
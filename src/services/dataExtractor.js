@@ -1,271 +1,604 @@
+import { loadProductFamilies } from './productFamilies.js';
+import { CURRENCIES, DEFAULT_CURRENCY, ADJUSTMENT_TYPES } from '../utils/constants.js';
+import { parseDate, detectDateOrder } from '../utils/dates.js';
+import { DEFAULT_QUOTE_TEMPLATE } from './quoteTemplates.js';
+import { lineItemKeys } from './rowSources.js';
+
 /**
  * Extract structured data from PDF text
  * Handles variations in VDURA quotation formats
  */
 
+// Fixes for text that pdf.js splits with extra spaces, applied in order.
+// Labels name each fix in the diagnostics drawer.
+const NORMALIZATION_FIXES = [
+  // VDP - VDURACare - 10 - HP -> VDP-VDURACare-10-HP
+  { label: 'Spaces around hyphens', pattern: /(\w)\s+-\s+(\w)/g, replacement: '$1-$2' },
+  // pdf.js sometimes splits letter-digit boundaries within hyphenated part numbers (-J 78 -> -J78)
+  { label: 'Split part number segment', pattern: /(-[A-Za-z])\s+(\d)/g, replacement: '$1$2' },
+  // 4 digit years only (202 6 -> 2026); not "100 5,00" where a quantity precedes a price
+  { label: 'Split year', pattern: /\b(20\d)\s+(\d)(?![\d.,])/g, replacement: '$1$2' },
+  // Day numbers in dates (2 3 , 2026 -> 23, 2026); not "36 5,00" in decimal-comma quotes
+  { label: 'Split day', pattern: /(\d)\s+(\d)\s*,(?=\s*\d{4})/g, replacement: '$1$2,' },
+  { label: 'Split word', pattern: /Quot\s*ation/gi, replacement: 'Quotation' },
+  { label: 'Split word', pattern: /Com\s*pany/gi, replacement: 'Company' },
+  { label: 'Split word', pattern: /Q\s*TY/gi, replacement: 'QTY' },
+  { label: 'Split word', pattern: /VDURA\s+Care/gi, replacement: 'VDURA Care' },
+  { label: 'Split word', pattern: /Phy\s*sical/gi, replacement: 'Physical' },
+  { label: 'Split word', pattern: /Sub\s*scription/gi, replacement: 'Subscription' },
+  { label: 'Split word', pattern: /Sup\s*port/gi, replacement: 'Support' },
+  { label: 'Split word', pattern: /Soft\s*ware/gi, replacement: 'Software' },
+  { label: 'Split word', pattern: /Dis\s*counted/gi, replacement: 'Discounted' },
+  { label: 'Split word', pattern: /Ex\s*tended/gi, replacement: 'Extended' },
+  // xxx @ yyy -> xxx@yyy
+  { label: 'Split email address', pattern: /(\S+)\s*@\s*(\S+)/g, replacement: '$1@$2' },
+  // $ 500 -> $500, € 500 -> €500; a symbol straight after an amount trails it ("9,50 € 41")
+  { label: 'Split currency', pattern: /(\$|(?<![\d.,]\s?)[€£¥])\s+(\d)/g, replacement: '$1$2' },
+  // Not traced: it touches every line break
+  { label: 'Collapse whitespace', pattern: /\s+/g, replacement: ' ', traced: false }
+];
+
 /**
  * Normalize PDF text that has extra spaces inserted
  * pdf.js sometimes adds spaces in the middle of words
  */
-function normalizePdfText(text) {
-  let normalized = text;
+export function normalizePdfText(text) {
+  return NORMALIZATION_FIXES.reduce(
+    (normalized, fix) => normalized.replace(fix.pattern, fix.replacement),
+    text
+  );
+}
 
-  // Fix spaces around hyphens in product codes (VDP - VDURACare - 10 - HP -> VDP-VDURACare-10-HP)
-  normalized = normalized.replace(/(\w)\s+-\s+(\w)/g, '$1-$2');
+/**
+ * Expand a String.replace replacement pattern ($1, $$) for one match
+ */
+function expandReplacement(replacement, groups) {
+  return replacement.replace(/\$(\$|\d)/g, (_, token) => (token === '$' ? '$' : groups[token - 1] ?? ''));
+}
 
-  // Fix split alphanumeric segments in product codes (e.g., -J 78 -> -J78, -J 108 -> -J108)
-  // pdf.js sometimes splits letter-digit boundaries within hyphenated part numbers
-  normalized = normalized.replace(/(-[A-Za-z])\s+(\d)/g, '$1$2');
+/**
+ * Normalize PDF text and record what each fix changed
+ * @param {string} text - Flattened PDF text
+ * @returns {Object} - { normalized, fixes } where fixes lists each fix that applied
+ *   as { label, count, changes: [{ before, after, count }] }
+ */
+export function traceNormalization(text) {
+  let normalized = text;
+  // Fixes sharing a label (the split words) are reported together
+  const fixes = new Map();
+
+  for (const fix of NORMALIZATION_FIXES) {
+    normalized = normalized.replace(fix.pattern, (match, ...rest) => {
+      const after = expandReplacement(fix.replacement, rest.slice(0, -2));
+      if (fix.traced === false || after === match) return after;
+
+      const entry = fixes.get(fix.label) || { label: fix.label, count: 0, changes: new Map() };
+      const key = `${match}\u0000${after}`;
+      const change = entry.changes.get(key) || { before: match, after, count: 0 };
+      change.count++;
+      entry.count++;
+      entry.changes.set(key, change);
+      fixes.set(fix.label, entry);
+      return after;
+    });
+  }
 
-  // Fix split year numbers only (202 6 -> 2026) - 4 digit years
-  normalized = normalized.replace(/(\d{3})\s+(\d{1})(?!\d)/g, '$1$2');
+  return {
+    normalized,
+    fixes: [...fixes.values()].map(entry => ({ ...entry, changes: [...entry.changes.values()] }))
+  };
+}
 
-  // Fix split day numbers in dates (2 3 , -> 23,)
-  normalized = normalized.replace(/(\d)\s+(\d)\s*,/g, '$1$2,');
+/**
+ * Parse currency string to number
+ * Negative amounts may carry a leading or trailing minus sign (-$1,500.00, $-1,500.00, 1,500.00-)
+ * or parentheses (($1,500.00)).
+ * @param {string} str - Amount as printed, with any currency symbol, code or grouping
+ * @param {string} [decimalSeparator] - '.' (1,234.56) or ',' (1.234,56), see detectDecimalSeparator
+ */
+export function parseCurrency(str, decimalSeparator = '.') {
+  if (!str) return 0;
+  const text = String(str).trim();
+  // A trailing minus follows the last digit, as ERP exports print credits
+  const negative = /^\(.*\)$/.test(text) || /^[^\d]*[-\u2212]/.test(text) || /\d\s?[-\u2212][^\d]*$/.test(text);
+  // Keep digits and the decimal separator; drop signs, symbols, codes and grouping
+  const cleaned = text
+    .replace(decimalSeparator === ',' ? /[^\d,]/g : /[^\d.]/g, '')
+    .replace(',', '.');
+  const amount = parseFloat(cleaned) || 0;
+  return negative && amount ? -amount : amount;
+}
+
+// A currency symbol or code printed next to an amount
+const CURRENCY_SYMBOLS = `[${CURRENCIES.filter(c => c.symbol).map(c => `\\${c.symbol}`).join('')}]`;
+const CURRENCY_MARK = `(?:${CURRENCY_SYMBOLS}|${CURRENCIES.map(c => c.code).join('|')})`;
 
-  // Fix common split words
-  normalized = normalized.replace(/Quot\s*ation/gi, 'Quotation');
-  normalized = normalized.replace(/Com\s*pany/gi, 'Company');
-  normalized = normalized.replace(/Q\s*TY/gi, 'QTY');
-  normalized = normalized.replace(/VDURA\s+Care/gi, 'VDURA Care');
-  normalized = normalized.replace(/Phy\s*sical/gi, 'Physical');
-  normalized = normalized.replace(/Sub\s*scription/gi, 'Subscription');
-  normalized = normalized.replace(/Sup\s*port/gi, 'Support');
-  normalized = normalized.replace(/Soft\s*ware/gi, 'Software');
-  normalized = normalized.replace(/Dis\s*counted/gi, 'Discounted');
-  normalized = normalized.replace(/Ex\s*tended/gi, 'Extended');
+// An amount with an optional leading or trailing currency mark, in either number format
+const amountPattern = (group) => `(?:${CURRENCY_MARK}\\s?)?${group}(?:\\s?${CURRENCY_MARK})?`;
 
-  // Fix split email addresses (xxx @ yyy -> xxx@yyy)
-  normalized = normalized.replace(/(\S+)\s*@\s*(\S+)/g, '$1@$2');
+// A possibly negative amount, captured whole with its sign, parentheses and currency mark for parseCurrency
+const signedAmountPattern = (name, digits) => `(?<${name}>[-\u2212]?\\(?${amountPattern(`[-\u2212]?${digits}(?:[-\u2212](?!\\w))?`)}\\)?)`;
 
-  // Fix split currency ($ 500 -> $500)
-  normalized = normalized.replace(/\$\s+(\d)/g, '$$1');
+/**
+ * Work out whether the quote writes amounts as 1,234.56 or 1.234,56
+ * Votes on every number that ends in a separator and two decimals.
+ * @param {string} text - Normalized PDF text
+ * @returns {string} - The decimal separator, '.' or ','
+ */
+export function detectDecimalSeparator(text) {
+  let points = 0;
+  let commas = 0;
 
-  // Normalize multiple spaces to single space
-  normalized = normalized.replace(/\s+/g, ' ');
+  for (const [, separator] of text.matchAll(/\d([.,])\d{2}(?!\d)/g)) {
+    if (separator === '.') points++;
+    else commas++;
+  }
 
-  return normalized;
+  return commas > points ? ',' : '.';
 }
 
 /**
- * Parse a date string to MM/DD/YYYY format
+ * Work out the quote currency from the codes and symbols printed with amounts
+ * @param {string} text - Normalized PDF text
+ * @returns {Object} - { code, pattern, confidence, match } where match is the text behind the
+ *   decision, or null when falling back to the default currency
  */
-function parseDate(dateStr) {
-  if (!dateStr) return '';
-
-  // Clean up any remaining split numbers in date
-  let cleaned = dateStr.replace(/(\d)\s+(\d)/g, '$1$2');
-
-  // If already in MM/DD/YYYY format
-  if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(cleaned)) {
-    return cleaned;
+export function detectCurrency(text) {
+  const label = text.match(/Currency\s*:?\s*([A-Z]{3})\b/i);
+  if (label && CURRENCIES.some(c => c.code === label[1].toUpperCase())) {
+    return { code: label[1].toUpperCase(), pattern: 'Currency label', confidence: 'high', match: label[0] };
   }
 
-  // Month name mappings (full and abbreviated)
-  const months = {
-    'january': '01', 'jan': '01',
-    'february': '02', 'feb': '02',
-    'march': '03', 'mar': '03',
-    'april': '04', 'apr': '04',
-    'may': '05',
-    'june': '06', 'jun': '06',
-    'july': '07', 'jul': '07',
-    'august': '08', 'aug': '08',
-    'september': '09', 'sep': '09', 'sept': '09',
-    'october': '10', 'oct': '10',
-    'november': '11', 'nov': '11',
-    'december': '12', 'dec': '12'
-  };
-
-  // Parse "January 30, 2026" or "Jan 23, 2026" format
-  const match = cleaned.match(/(\w+)\s*(\d{1,2})\s*,?\s*(\d{4})/i);
-  if (match) {
-    const month = months[match[1].toLowerCase()] || '01';
-    const day = match[2].padStart(2, '0');
-    const year = match[3];
-    return `${month}/${day}/${year}`;
+  // Codes name the currency outright, so they outrank symbols ("CAD $1,200.00")
+  for (const kind of ['code', 'symbol']) {
+    const counts = CURRENCIES
+      .filter(currency => currency[kind])
+      .map(currency => {
+        const pattern = kind === 'code'
+          ? `\\b${currency.code}\\s?${CURRENCY_SYMBOLS}?\\d|\\d\\s?${currency.code}\\b`
+          : `\\${currency.symbol}\\d|\\d\\s?\\${currency.symbol}`;
+        const matches = [...text.matchAll(new RegExp(pattern, 'g'))];
+        return { code: currency.code, count: matches.length, match: matches[0]?.[0] };
+      })
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count);
+
+    if (counts.length > 0) {
+      return {
+        code: counts[0].code,
+        pattern: kind === 'code' ? 'Currency code' : 'Currency symbol',
+        // More than one currency on a quote needs a second look
+        confidence: counts.length > 1 ? 'medium' : 'high',
+        match: counts[0].match
+      };
+    }
   }
 
-  return dateStr;
+  return { code: DEFAULT_CURRENCY, pattern: 'Default currency', confidence: 'low', match: null };
 }
 
+const trimValue = (value) => value.trim();
+
 /**
- * Parse currency string to number
+ * Match a header field against its patterns
+ * Dates are stored as ISO; one that reads two ways or not at all keeps its printed text
+ * at low confidence so validation flags it.
+ * @param {string} normalized - Normalized PDF text
+ * @param {Array} patterns - Patterns from a template's headerPatterns
+ * @param {string|null} dateOrder - Numeric date order seen elsewhere on the quote
+ * @returns {Object} - { value, pattern, confidence, missing, match } where match is the
+ *   regex and text that produced the value, or null
  */
-function parseCurrency(str) {
-  if (!str) return 0;
-  // Remove $ and commas, handle spaces
-  const cleaned = str.replace(/[$,\s]/g, '');
-  return parseFloat(cleaned) || 0;
+function matchHeaderField(normalized, patterns, dateOrder) {
+  for (const { label, regex, confidence, parse = trimValue, date = false } of patterns) {
+    const match = normalized.match(regex);
+    if (!match) continue;
+
+    let value = parse(match[1]);
+    let fieldConfidence = confidence;
+    if (date) {
+      const parsed = parseDate(value, { order: dateOrder });
+      value = parsed.value || value;
+      // Settled by the order of another date on the quote rather than by this one
+      if (parsed.status !== 'parsed') fieldConfidence = 'low';
+      else if (parsed.readings.length > 1) fieldConfidence = 'medium';
+    }
+    if (!value) continue;
+
+    return {
+      value,
+      pattern: label,
+      confidence: fieldConfidence,
+      missing: false,
+      match: { regex: regex.source, text: match[0], capture: match[1] }
+    };
+  }
+
+  return { value: '', pattern: null, confidence: null, missing: true, match: null };
 }
 
 /**
  * Extract header information from PDF text
+ * @param {string} text - Flattened PDF text
+ * @param {Object} [diagnostics] - Record from createDiagnostics; receives the regex match per field
+ * @param {Object} [template] - Quote template whose header anchors to use (see quoteTemplates.js)
+ * @returns {Object} - Header values plus `extraction`, recording per field
+ *   which pattern matched, its confidence ('high' | 'medium' | 'low') and whether it is missing
  */
-export function extractHeader(text) {
+export function extractHeader(text, diagnostics = null, template = DEFAULT_QUOTE_TEMPLATE) {
   const normalized = normalizePdfText(text);
 
-  const header = {
-    quoteNumber: '',
-    quoteDate: '',
-    expires: '',
-    customer: '',
-    partner: '',
-    preparedBy: '',
-    email: ''
-  };
-
-  // Quote Number
-  const quoteNumMatch = normalized.match(/Quote\s*Number\s*(\d+[-\d]*)/i);
-  if (quoteNumMatch) {
-    header.quoteNumber = quoteNumMatch[1];
+  const header = {};
+  const extraction = {};
+  const dateOrder = detectDateOrder(normalized);
+
+  for (const [field, patterns] of Object.entries(template.headerPatterns)) {
+    const { value, match, ...fieldExtraction } = matchHeaderField(normalized, patterns, dateOrder);
+    header[field] = value;
+    extraction[field] = fieldExtraction;
+
+    if (diagnostics) {
+      diagnostics.header[field] = {
+        value,
+        ...fieldExtraction,
+        regex: match?.regex || null,
+        matchedText: match?.text || null,
+        capture: match?.capture || null,
+        candidates: patterns.map(pattern => pattern.label)
+      };
+    }
   }
 
-  // Quote Date
-  const quoteDateMatch = normalized.match(/Quote\s*Date\s*([A-Za-z]+\s*\d{1,2}\s*,?\s*\d{4})/i);
-  if (quoteDateMatch) {
-    header.quoteDate = parseDate(quoteDateMatch[1]);
+  // The currency is worked out from the amounts rather than a labelled field
+  const { code, match, ...currencyExtraction } = detectCurrency(normalized);
+  header.currency = code;
+  extraction.currency = { ...currencyExtraction, missing: false };
+  if (diagnostics) {
+    diagnostics.header.currency = {
+      value: code,
+      ...extraction.currency,
+      regex: null,
+      matchedText: match,
+      capture: match,
+      candidates: ['Currency label', 'Currency code', 'Currency symbol']
+    };
   }
 
-  // Quote Expires
-  const expiresMatch = normalized.match(/Quote\s*Expires\s*([A-Za-z]+\s*\d{1,2}\s*,?\s*\d{4})/i);
-  if (expiresMatch) {
-    header.expires = parseDate(expiresMatch[1]);
-  }
+  header.extraction = extraction;
 
-  // Customer Name or Company
-  let customerMatch = normalized.match(/Customer\s*Name\s+([A-Za-z0-9\s]+?)(?=\s+Quote|\s+Partner|\s+SOFTWARE)/i);
-  if (!customerMatch) {
-    customerMatch = normalized.match(/Company\s+([A-Za-z0-9\s]+?)(?=\s+Quote|\s+SOFTWARE)/i);
-  }
-  if (customerMatch) {
-    header.customer = customerMatch[1].trim();
-  }
+  return header;
+}
 
-  // Partner Name (optional)
-  const partnerMatch = normalized.match(/Partner\s*Name\s+([A-Za-z0-9\s]+?)(?=\s+SOFTWARE|\s+COMMODITY)/i);
-  if (partnerMatch) {
-    header.partner = partnerMatch[1].trim();
+/**
+ * Extract the base product code, e.g. from a "V5000 Configuration" note
+ * @param {string} text - Flattened PDF text
+ * @param {Object} [diagnostics] - Record from createDiagnostics
+ * @param {Object} [template] - Quote template saying where the code is printed and its fallback
+ */
+export function extractBaseProductCode(text, diagnostics = null, template = DEFAULT_QUOTE_TEMPLATE) {
+  const normalized = normalizePdfText(text);
+  const { patterns, fallback } = template.baseProductCode;
+
+  let found = null;
+  for (const pattern of patterns) {
+    const match = normalized.match(pattern.regex);
+    if (match) {
+      found = { value: pattern.format(match), pattern: pattern.label, matchedText: match[0] };
+      break;
+    }
   }
 
-  // Prepared By
-  const preparedByMatch = normalized.match(/Prepared\s*By\s+([A-Za-z\s]+?)(?=\s+Email|\s+Quote)/i);
-  if (preparedByMatch) {
-    header.preparedBy = preparedByMatch[1].trim();
-  }
+  const value = found ? found.value : fallback;
 
-  // Email
-  const emailMatch = normalized.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i);
-  if (emailMatch) {
-    header.email = emailMatch[1];
+  if (diagnostics) {
+    diagnostics.baseProductCode = {
+      value,
+      pattern: found?.pattern || null,
+      matchedText: found?.matchedText || null,
+      defaulted: !found,
+      candidates: patterns.map(pattern => pattern.label)
+    };
   }
 
-  console.log('Parsed header:', header);
+  return value;
+}
 
-  return header;
+// Table row columns, in print order, for the diagnostics view of a row
+const TABLE_ROW_FIELDS = ['partNo', 'description', 'qty', 'months', 'listPrice', 'discountPrice', 'extendedPrice'];
+
+/**
+ * Build the identity key used to drop repeated rows of a family
+ */
+function itemDedupKey(family, item) {
+  return [family.id, ...family.dedupKey.map(field => item[field])].join('-');
 }
 
 /**
- * Extract base product code from Notes section
+ * Build line items from layout-extracted table rows (see extractTableRows)
+ * @param {Array} [trace] - Receives one entry per table row, including skipped ones
  */
-export function extractBaseProductCode(text) {
-  const normalized = normalizePdfText(text);
-  const configMatch = normalized.match(/V(\d+)\s*Configuration/i);
-  if (configMatch) {
-    return `v${configMatch[1]}`;
+function lineItemsFromTableRows(tableRows, families, decimalSeparator, trace = null) {
+  const items = [];
+  const seen = new Set();
+  const matchers = families.map(family => ({
+    family,
+    regex: new RegExp(`^(?:${family.pattern})$`, 'i')
+  }));
+
+  for (const row of tableRows) {
+    const matcher = matchers.find(m => m.regex.test(row.partNo));
+    const entry = {
+      partNo: row.partNo,
+      source: 'table',
+      page: row.page,
+      family: matcher?.family.name || null,
+      regex: matcher ? matcher.regex.source : null,
+      matchedText: TABLE_ROW_FIELDS.map(field => row[field]).filter(Boolean).join(' '),
+      skipped: null
+    };
+    trace?.push(entry);
+
+    if (!matcher) {
+      entry.skipped = 'No product family matches this part number';
+      continue;
+    }
+
+    const qty = parseInt(row.qty);
+    if (isNaN(qty)) {
+      entry.skipped = 'Quantity is not a number';
+      continue;
+    }
+
+    const item = {
+      partNo: row.partNo,
+      description: cleanDescription(row.description),
+      qty,
+      months: matcher.family.hasMonths ? parseInt(row.months) || null : null,
+      listPrice: parseCurrency(row.listPrice, decimalSeparator),
+      discountPrice: parseCurrency(row.discountPrice, decimalSeparator),
+      extendedPrice: parseCurrency(row.extendedPrice, decimalSeparator)
+    };
+
+    const missing = ['listPrice', 'discountPrice', 'extendedPrice'].filter(field => !row[field]);
+    if (!item.description) missing.push('description');
+    if (matcher.family.hasMonths && item.months === null) missing.push('months');
+    item.extraction = {
+      source: 'table',
+      page: row.page,
+      bounds: row.bounds,
+      family: matcher.family.name,
+      confidence: missing.length > 0 ? 'low' : 'high',
+      missing
+    };
+
+    const itemKey = itemDedupKey(matcher.family, item);
+    if (seen.has(itemKey)) {
+      entry.skipped = 'Repeats an earlier row';
+      continue;
+    }
+    seen.add(itemKey);
+
+    items.push(item);
   }
-  return 'v5000';
+
+  return items;
 }
 
 /**
- * Extract line items from the quotation table
+ * Build the flattened-text regex for a product family
+ * Pattern: PARTNO description QTY [MONTHS] $LIST $DISCOUNT $EXTENDED
  */
-export function extractLineItems(text) {
-  const items = [];
-  const normalized = normalizePdfText(text);
+function buildFamilyPattern(family) {
+  // Named groups keep capture positions stable whatever groups the family pattern uses
+  const price = (name) => signedAmountPattern(name, '\\d[\\d.,]*');
+  const months = family.hasMonths ? '(?<months>\\d+)\\s+' : '';
+  return new RegExp(
+    `(?<partNo>${family.pattern})\\s+(?<description>.+?)\\s+(?<qty>\\d+)\\s+${months}` +
+    `${price('listPrice')}\\s+${price('discountPrice')}\\s+${price('extendedPrice')}`,
+    'gi'
+  );
+}
 
-  console.log('=== NORMALIZED TEXT (first 2000 chars) ===');
-  console.log(normalized.substring(0, 2000));
+// An adjustment's label, an optional rate and its one amount; "Total Discount" lines restate
+// the adjustments above them, so labels after "Total" are skipped
+const ADJUSTMENT_PATTERNS = ADJUSTMENT_TYPES.map(type => ({
+  type,
+  regex: new RegExp(
+    `(?<![\\w-])(?<!Total\\s+(?:\\w+\\s+)?)(?<label>${type.pattern})\\b\\s*` +
+    `(?:\\(?\\d+(?:[.,]\\d+)?\\s?%\\)?\\s*)?:?\\s*${signedAmountPattern('amount', '\\d[\\d.,]*[.,]\\d{2}')}(?!\\d)`,
+    'gi'
+  )
+}));
 
-  // ============================================
-  // VDURACare items - HAVE months
-  // Pattern: VDP-VDURACare-10-HP description QTY MONTHS $LIST $DISCOUNT $EXTENDED
-  // ============================================
-  // More flexible pattern that handles various spacing
-  const vduraCarePattern = /(VDP-VDURACare-\d+-[A-Z]+)\s+(.+?)\s+(\d+)\s+(\d+)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)/gi;
-  let match;
-  const seenVduraCare = new Set();
-
-  while ((match = vduraCarePattern.exec(normalized)) !== null) {
-    const code = match[1];
-    const itemKey = `${code}-${match[3]}-${match[4]}`;
-    if (!seenVduraCare.has(itemKey)) {
-      seenVduraCare.add(itemKey);
-      console.log('Found VDURACare:', code, 'QTY:', match[3], 'MONTHS:', match[4]);
-      items.push({
-        partNo: code,
-        description: cleanDescription(match[2]),
-        qty: parseInt(match[3]),
-        months: parseInt(match[4]),
-        listPrice: parseCurrency(match[5]),
-        discountPrice: parseCurrency(match[6]),
-        extendedPrice: parseCurrency(match[7])
-      });
+/**
+ * Find discounts, credits, freight and tax printed as a label and one amount
+ * Discounts and credits always reduce the total, whichever way the quote signs them.
+ * @returns {Object} - { items, trace } with items in quote order
+ */
+function extractAdjustments(normalized, decimalSeparator) {
+  const found = [];
+
+  for (const { type, regex } of ADJUSTMENT_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(normalized)) !== null) {
+      found.push({ type, regex, match });
     }
   }
+  found.sort((a, b) => a.match.index - b.match.index);
 
-  // ============================================
-  // Service items (SVC-*) - NO months
-  // Pattern: SVC-xxx description QTY $LIST $DISCOUNT $EXTENDED
-  // ============================================
-  const svcPattern = /(SVC-[A-Za-z0-9-]+)\s+(.+?)\s+(\d+)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)/gi;
-  const seenSvc = new Set();
-
-  while ((match = svcPattern.exec(normalized)) !== null) {
-    const code = match[1];
-    const itemKey = `${code}-${match[3]}-${match[6]}`;
-    if (!seenSvc.has(itemKey)) {
-      seenSvc.add(itemKey);
-      console.log('Found SVC:', code, 'QTY:', match[3]);
-      items.push({
-        partNo: code,
-        description: cleanDescription(match[2]),
-        qty: parseInt(match[3]),
-        months: null,
-        listPrice: parseCurrency(match[4]),
-        discountPrice: parseCurrency(match[5]),
-        extendedPrice: parseCurrency(match[6])
-      });
+  const items = [];
+  const trace = [];
+  const seen = new Set();
+  let end = 0;
+
+  for (const { type, regex, match } of found) {
+    // A label inside another adjustment's text ("Trade-in Credit") is part of that adjustment
+    if (match.index < end) continue;
+    end = match.index + match[0].length;
+
+    const printed = parseCurrency(match.groups.amount, decimalSeparator);
+    const amount = type.reducesTotal ? -Math.abs(printed) : printed;
+    const description = match.groups.label.replace(/\s+/g, ' ');
+
+    // Tables repeated across pages repeat their adjustments too
+    const key = `${type.id}-${description.toLowerCase()}-${amount}`;
+    const duplicate = seen.has(key);
+    trace.push({
+      partNo: type.productCode,
+      source: 'text',
+      family: null,
+      adjustment: type.label,
+      regex: regex.source,
+      matchedText: match[0],
+      skipped: duplicate ? 'Repeats an earlier match' : null
+    });
+    if (duplicate) continue;
+    seen.add(key);
+
+    items.push({
+      partNo: type.productCode,
+      description,
+      qty: 1,
+      months: null,
+      listPrice: amount,
+      discountPrice: amount,
+      extendedPrice: amount,
+      adjustment: { type: type.id, text: match[0] },
+      extraction: { source: 'text', confidence: 'medium', missing: [] }
+    });
+  }
+
+  return { items, trace };
+}
+
+/**
+ * Extract line items from the quotation table
+ * Adjustments (discounts, credits, freight and tax) follow the product lines as items with
+ * an `adjustment` ({ type, text }) and an ADJ- part number.
+ * @param {string} text - Flattened PDF text
+ * @param {Array} [tableRows] - Layout-extracted rows; used in preference to regex matching when present
+ * @param {Array} [families] - Product family registry (defaults to the saved configuration)
+ * @param {Object} [diagnostics] - Record from createDiagnostics; receives the row or regex match behind each item
+ */
+export function extractLineItems(text, tableRows = null, families = loadProductFamilies(), diagnostics = null) {
+  const normalized = normalizePdfText(text);
+  const decimalSeparator = detectDecimalSeparator(normalized);
+  const adjustments = extractAdjustments(normalized, decimalSeparator);
+
+  // Table rows that matched no family stay in the trace when falling back to text
+  const tableTrace = [];
+
+  if (tableRows && tableRows.length > 0) {
+    const tableItems = lineItemsFromTableRows(tableRows, families, decimalSeparator, tableTrace);
+    if (tableItems.length > 0) {
+      if (diagnostics) {
+        diagnostics.lineItemSource = 'table';
+        diagnostics.lineItems = [...tableTrace, ...adjustments.trace];
+      }
+      return [...tableItems, ...adjustments.items];
     }
   }
 
-  // ============================================
-  // Hardware items (VCH-*) - NO months
-  // Pattern: VCH-xxx description QTY $LIST $DISCOUNT $EXTENDED
-  // ============================================
-  const vchPattern = /(VCH-[A-Za-z0-9.-]+)\s+(.+?)\s+(\d+)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)\s+\$?([\d,]+\.?\d*)/gi;
-  const seenVch = new Set();
-
-  while ((match = vchPattern.exec(normalized)) !== null) {
-    const code = match[1];
-    const itemKey = `${code}-${match[3]}-${match[6]}`;
-    if (!seenVch.has(itemKey)) {
-      seenVch.add(itemKey);
-      console.log('Found VCH:', code, 'QTY:', match[3]);
-      items.push({
-        partNo: code,
-        description: cleanDescription(match[2]),
-        qty: parseInt(match[3]),
-        months: null,
-        listPrice: parseCurrency(match[4]),
-        discountPrice: parseCurrency(match[5]),
-        extendedPrice: parseCurrency(match[6])
+  const items = [];
+  const trace = [];
+
+  // Families are matched in registry order so the output keeps the quote's grouping
+  for (const family of families) {
+    const pattern = buildFamilyPattern(family);
+    const seen = new Set();
+    let match;
+
+    while ((match = pattern.exec(normalized)) !== null) {
+      const { groups } = match;
+      const item = {
+        partNo: groups.partNo,
+        description: cleanDescription(groups.description),
+        qty: parseInt(groups.qty),
+        months: family.hasMonths ? parseInt(groups.months) : null,
+        listPrice: parseCurrency(groups.listPrice, decimalSeparator),
+        discountPrice: parseCurrency(groups.discountPrice, decimalSeparator),
+        extendedPrice: parseCurrency(groups.extendedPrice, decimalSeparator)
+      };
+
+      // Flattened-text matches can swallow neighbouring words, so they rank below table rows
+      const missing = item.description ? [] : ['description'];
+      item.extraction = {
+        source: 'text',
+        family: family.name,
+        confidence: missing.length > 0 ? 'low' : 'medium',
+        missing
+      };
+
+      const itemKey = itemDedupKey(family, item);
+      const duplicate = seen.has(itemKey);
+      trace.push({
+        partNo: item.partNo,
+        source: 'text',
+        family: family.name,
+        regex: pattern.source,
+        matchedText: match[0],
+        skipped: duplicate ? 'Repeats an earlier match' : null
       });
+
+      if (!duplicate) {
+        seen.add(itemKey);
+        items.push(item);
+      }
     }
   }
 
-  console.log('Total items found:', items.length);
-  return items;
+  if (diagnostics) {
+    diagnostics.lineItemSource = 'text';
+    diagnostics.lineItems = [...tableTrace, ...trace, ...adjustments.trace];
+  }
+
+  return [...items, ...adjustments.items];
+}
+
+/**
+ * Extract section totals ("Total Software $X") and the grand total from the quote
+ * Each section lists the part numbers that appear between the previous total and its own
+ * @param {string} text - Flattened PDF text
+ * @param {Array} lineItems - Items from extractLineItems
+ * @param {Object} [template] - Quote template naming the sections and grand total
+ * @returns {Object} - { sections: [{ name, amount, partNos }], grandTotal } where partNos holds
+ *   keys from lineItemKeys
+ */
+export function extractTotals(text, lineItems = [], template = DEFAULT_QUOTE_TEMPLATE) {
+  const normalized = normalizePdfText(text);
+  const decimalSeparator = detectDecimalSeparator(normalized);
+  const amount = amountPattern('(\\d[\\d.,]*[.,]\\d{2})(?!\\d)');
+
+  const sectionPattern = new RegExp(`Total\\s+(${template.sectionNames.join('|')})\\s*:?\\s*${amount}`, 'gi');
+  const sections = [];
+  const seenSections = new Set();
+  let match;
+
+  while ((match = sectionPattern.exec(normalized)) !== null) {
+    const name = match[1][0].toUpperCase() + match[1].slice(1).toLowerCase();
+    // Tables repeated across pages repeat their totals too
+    if (seenSections.has(name)) continue;
+    seenSections.add(name);
+    sections.push({ name, amount: parseCurrency(match[2], decimalSeparator), index: match.index, partNos: [] });
+  }
+
+  // Assign each item to the first section total that follows it in the text
+  const keys = lineItemKeys(lineItems);
+  lineItems.forEach((item, i) => {
+    const position = normalized.indexOf(item.adjustment ? item.adjustment.text : item.partNo);
+    const section = sections.find(s => position !== -1 && position < s.index);
+    if (section && !section.partNos.includes(keys[i])) {
+      section.partNos.push(keys[i]);
+    }
+  });
+
+  const grandMatch = normalized.match(new RegExp(`(?:${template.grandTotalLabels.join('|')})\\s*:?\\s*${amount}`, 'i'));
+
+  return {
+    sections: sections.map(({ name, amount, partNos }) => ({ name, amount, partNos })),
+    grandTotal: grandMatch ? parseCurrency(grandMatch[1], decimalSeparator) : null
+  };
 }
 
 /**
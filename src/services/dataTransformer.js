@@ -1,10 +1,11 @@
-import { VDURACARE_CHILDREN, VDURACARE_PATTERN, DEFAULT_STATUS, BASE_PRODUCT_CODE, BASE_DESCRIPTION } from '../utils/constants.js';
+import { DEFAULT_STATUS, DEFAULT_CURRENCY, BASE_PRODUCT_CODE, BASE_DESCRIPTION } from '../utils/constants.js';
+import { loadBundleRules, findBundleRule, priceBundleChildren } from './bundleRules.js';
 
 /**
  * Calculate discount percentage
  * Formula: ((List - Discounted) / List) × 100
  */
-function calculateDiscountPercentage(listPrice, discountPrice) {
+export function calculateDiscountPercentage(listPrice, discountPrice) {
   if (listPrice === 0) return 0;
   return ((listPrice - discountPrice) / listPrice) * 100;
 }
@@ -19,55 +20,36 @@ function formatPrice(num) {
 
 /**
  * Transform extracted data into CSV-ready rows
+ * Each row has a lineType: 'item' for products and their bundle children, 'adjustment' for
+ * discounts, credits, freight and tax, which keep their sign so the rows add up to the quote total.
+ * @param {Array} [bundleRules] - Bundle explosion rules (defaults to the saved configuration)
  */
-export function transformData(header, lineItems, opportunityId, baseProductCode = BASE_PRODUCT_CODE) {
+export function transformData(header, lineItems, opportunityId, baseProductCode = BASE_PRODUCT_CODE, bundleRules = loadBundleRules()) {
   const rows = [];
 
   for (const item of lineItems) {
-    // Check if this is a VDURACare item
-    const vduraCareMatch = item.partNo.match(VDURACARE_PATTERN);
-
-    if (vduraCareMatch) {
-      // This is a VDURACare parent item - generates parent + 2 children
-      const tier = vduraCareMatch[1]; // "HP" or "C"
-      const childDefs = VDURACARE_CHILDREN[tier];
-
-      // Add parent row
-      rows.push(createRow(header, item, opportunityId, baseProductCode, null));
-
-      if (childDefs) {
-        // Calculate child prices based on parent's discount price
-        const parentDiscountPrice = item.discountPrice;
-        const supportPrice = childDefs.support.fixedPrice;
-        const softwarePrice = parentDiscountPrice - supportPrice;
+    if (item.adjustment) {
+      rows.push(createAdjustmentRow(header, item, opportunityId, baseProductCode));
+      continue;
+    }
 
-        // Add software child (price = parent discount price - support price)
-        rows.push(createVduraCareChildRow(
-          header,
-          item,
-          opportunityId,
-          baseProductCode,
-          childDefs.software.code,
-          childDefs.software.description,
-          softwarePrice,
-          item.partNo
-        ));
+    rows.push(createRow(header, item, opportunityId, baseProductCode, null));
 
-        // Add support child (fixed price)
-        rows.push(createVduraCareChildRow(
+    // Bundle parents (e.g. VDURACare) are followed by their child rows
+    const rule = findBundleRule(item.partNo, bundleRules);
+    if (rule) {
+      for (const child of priceBundleChildren(rule, item.discountPrice)) {
+        rows.push(createBundleChildRow(
           header,
           item,
           opportunityId,
           baseProductCode,
-          childDefs.support.code,
-          childDefs.support.description,
-          supportPrice,
+          child.code,
+          child.description,
+          child.price,
           item.partNo
         ));
       }
-    } else {
-      // Regular item - add single row
-      rows.push(createRow(header, item, opportunityId, baseProductCode, null));
     }
   }
 
@@ -99,26 +81,34 @@ function createRow(header, item, opportunityId, baseProductCode, parentProductCo
     month: item.months || '',
     extendedPrice: formatPrice(item.extendedPrice),
     optionDescription: item.description,
+    currency: header.currency || DEFAULT_CURRENCY,
     quoteExpires: header.expires,
-    status: DEFAULT_STATUS
+    status: DEFAULT_STATUS,
+    lineType: 'item',
+    adjustmentType: ''
   };
 }
 
 /**
- * Create a child row for VDURACare items
- *
- * For HP tier:
- *   - HW-Support-HP-NBD: fixed price $3.00
- *   - VDP-SW-P-10-HP: price = parent discount price - $3.00
- *
- * For C tier:
- *   - HW-Support-C-NBD: fixed price $0.30
- *   - VDP-SW-P-10-C: price = parent discount price - $0.30
+ * Create a row for a discount, credit, freight or tax line
+ * One unit at the adjustment amount, with no discount of its own
+ */
+function createAdjustmentRow(header, item, opportunityId, baseProductCode) {
+  return {
+    ...createRow(header, item, opportunityId, baseProductCode, null),
+    discountPercentage: formatPrice(0),
+    lineType: 'adjustment',
+    adjustmentType: item.adjustment.type
+  };
+}
+
+/**
+ * Create a child row for a bundle parent (see bundleRules.js for pricing)
  *
  * List Price = Discount Price (0% discount on children)
  * Extended Price = price × QTY × MONTHS
  */
-function createVduraCareChildRow(header, parentItem, opportunityId, baseProductCode, childCode, childDescription, childPrice, parentProductCode) {
+function createBundleChildRow(header, parentItem, opportunityId, baseProductCode, childCode, childDescription, childPrice, parentProductCode) {
   const qty = parentItem.qty;
   const months = parentItem.months || 1;
   const extendedPrice = childPrice * qty * months;
@@ -142,7 +132,10 @@ function createVduraCareChildRow(header, parentItem, opportunityId, baseProductC
     month: months,
     extendedPrice: formatPrice(extendedPrice),
     optionDescription: childDescription,
+    currency: header.currency || DEFAULT_CURRENCY,
     quoteExpires: header.expires,
-    status: DEFAULT_STATUS
+    status: DEFAULT_STATUS,
+    lineType: 'item',
+    adjustmentType: ''
   };
 }
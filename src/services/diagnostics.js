@@ -0,0 +1,194 @@
+/**
+ * Conversion diagnostics
+ * A plain record of how a quote was read: page text, normalization fixes and the
+ * regex match or table row behind every header field and line item. Kept as plain
+ * data so it can cross the worker boundary and be exported for bug reports.
+ */
+
+import { CURRENCIES } from '../utils/constants.js';
+
+export const DIAGNOSTIC_BUNDLE_VERSION = 1;
+
+// Bundle keys holding money; price redaction blanks them wherever they appear
+const PRICE_KEYS = new Set([
+  'listPrice', 'discountPrice', 'extendedPrice', 'amount', 'total', 'grandTotal', 'quoted', 'extracted'
+]);
+
+// An amount with its currency symbol or code before or after it (the mark is kept), or a bare
+// amount with two decimals as quote tables print them; not dates such as 05.01.2026
+const CURRENCY_MARK = `(?:[${CURRENCIES.filter(c => c.symbol).map(c => `\\${c.symbol}`).join('')}]|\\b(?:${CURRENCIES.map(c => c.code).join('|')})\\b)`;
+const PRICE_PATTERN = new RegExp(
+  `(${CURRENCY_MARK}\\s?)\\d(?:[\\d.,]*\\d)?|(?<![\\w-])\\d[\\d.,]*[.,]\\d{2}(?:\\s?(${CURRENCY_MARK})|(?![.,]?\\d))`,
+  'g'
+);
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// Header fields that identify the customer, with their redaction placeholders
+const CUSTOMER_FIELDS = [
+  { field: 'customer', placeholder: '[customer]' },
+  { field: 'partner', placeholder: '[partner]' },
+  { field: 'preparedBy', placeholder: '[prepared by]' },
+  { field: 'email', placeholder: '[email]' }
+];
+
+/**
+ * Create an empty diagnostics record for the extractors to fill in
+ * @returns {Object} - Diagnostics record
+ */
+export function createDiagnostics() {
+  return {
+    pages: [],
+    normalization: { normalized: '', fixes: [] },
+    template: null,
+    header: {},
+    baseProductCode: null,
+    tableRowCount: 0,
+    lineItemSource: null,
+    lineItems: []
+  };
+}
+
+/**
+ * Split normalized text into segments, marking text produced by a normalization fix
+ * The same text elsewhere in the quote is marked too, since positions are not tracked through the fixes.
+ * @param {string} normalized - Text from traceNormalization
+ * @param {Array} fixes - Fixes from traceNormalization
+ * @returns {Array} - Segments ({ text, fix }) where fix is the label or null
+ */
+export function highlightNormalization(normalized, fixes) {
+  const marks = [];
+
+  for (const fix of fixes) {
+    for (const change of fix.changes) {
+      const after = change.after.replace(/\s+/g, ' ');
+      if (!after.trim()) continue;
+
+      for (let index = normalized.indexOf(after); index !== -1; index = normalized.indexOf(after, index + after.length)) {
+        marks.push({ start: index, end: index + after.length, fix: fix.label });
+      }
+    }
+  }
+
+  marks.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const segments = [];
+  let position = 0;
+
+  for (const mark of marks) {
+    if (mark.start < position) continue;
+    if (mark.start > position) {
+      segments.push({ text: normalized.slice(position, mark.start), fix: null });
+    }
+    segments.push({ text: normalized.slice(mark.start, mark.end), fix: mark.fix });
+    position = mark.end;
+  }
+
+  if (position < normalized.length) {
+    segments.push({ text: normalized.slice(position), fix: null });
+  }
+
+  return segments;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace identifying and price text throughout a value
+ */
+function redactValue(value, redactText, redactPrices) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(entry => redactValue(entry, redactText, redactPrices));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      redactPrices && PRICE_KEYS.has(key) && entry !== null ? null : redactValue(entry, redactText, redactPrices)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Assemble a diagnostic bundle to attach to a bug report
+ * Customer redaction replaces the header values found on the quote; text that pdf.js
+ * split differently from the header may still contain them.
+ * @param {Object} report
+ * @param {Object} report.diagnostics - Record from createDiagnostics
+ * @param {Object} [report.header] - Header from extractHeader
+ * @param {Array} [report.rows] - Transformed rows
+ * @param {Object} [report.totals] - Totals from extractTotals
+ * @param {Array} [report.issues] - Validation issues
+ * @param {string} [report.sourceFile] - Original PDF filename
+ * @param {string} [report.error] - Conversion error message
+ * @param {Object} [options]
+ * @param {boolean} [options.redactPrices] - Blank every price and currency amount
+ * @param {boolean} [options.redactCustomer] - Replace customer, partner, preparer and email addresses
+ * @returns {Object} - Diagnostic bundle
+ */
+export function buildDiagnosticBundle(
+  { diagnostics, header = null, rows = [], totals = null, issues = [], sourceFile = null, error = null },
+  { redactPrices = false, redactCustomer = false } = {}
+) {
+  const bundle = {
+    bundleVersion: DIAGNOSTIC_BUNDLE_VERSION,
+    generatedAt: new Date().toISOString(),
+    userAgent: globalThis.navigator?.userAgent || null,
+    sourceFile: redactCustomer && sourceFile ? '[redacted].pdf' : sourceFile,
+    error,
+    redaction: { prices: redactPrices, customer: redactCustomer },
+    header,
+    rows,
+    totals,
+    issues: issues.map(({ type, rowIndex, message }) => ({ type, rowIndex, message })),
+    diagnostics
+  };
+
+  if (!redactPrices && !redactCustomer) return bundle;
+
+  // Longest values first so "Northwind Labs Inc" is replaced before "Northwind Labs"
+  const replacements = redactCustomer
+    ? CUSTOMER_FIELDS
+      .map(({ field, placeholder }) => ({ value: (header?.[field] || diagnostics?.header[field]?.value || '').trim(), placeholder }))
+      .filter(({ value }) => value.length >= 3)
+      .sort((a, b) => b.value.length - a.value.length)
+      .map(({ value, placeholder }) => ({ regex: new RegExp(escapeRegExp(value), 'gi'), placeholder }))
+    : [];
+
+  const redactText = (text) => {
+    let redacted = text;
+    for (const { regex, placeholder } of replacements) {
+      redacted = redacted.replace(regex, placeholder);
+    }
+    if (redactCustomer) redacted = redacted.replace(EMAIL_PATTERN, '[email]');
+    if (redactPrices) {
+      redacted = redacted.replace(PRICE_PATTERN, (match, before, after) => {
+        if (before) return `${before}[price]`;
+        return after ? `[price] ${after}` : '[price]';
+      });
+    }
+    return redacted;
+  };
+
+  const { bundleVersion, generatedAt, userAgent, redaction, ...content } = bundle;
+  return { bundleVersion, generatedAt, userAgent, redaction, ...redactValue(content, redactText, redactPrices) };
+}
+
+/**
+ * Serialize a diagnostic bundle for download
+ * @param {Object} bundle - Bundle from buildDiagnosticBundle
+ * @returns {string} - Pretty-printed JSON
+ */
+export function generateDiagnosticBundleJSON(bundle) {
+  return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Generate a filename for a diagnostic bundle
+ * @param {string} quoteNumber - Quote number, if one was read
+ * @returns {string} - Filename
+ */
+export function generateDiagnosticsFilename(quoteNumber) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return `Quote_Number_${quoteNumber || 'unknown'}_diagnostics_${timestamp}.json`;
+}
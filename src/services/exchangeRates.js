@@ -0,0 +1,165 @@
+import { DEFAULT_CURRENCY } from '../utils/constants.js';
+import { createConfigStore } from '../utils/configStore.js';
+
+// Row fields holding an amount in the quote currency
+const AMOUNT_FIELDS = ['listPrice', 'discountPrice', 'extendedPrice'];
+
+/**
+ * Validate a single exchange rate
+ * @param {Object} entry - Rate to check ({ currency, rate } where rate is USD per unit)
+ * @returns {Object} - A normalized copy of the rate
+ * @throws {Error} - If the rate is malformed
+ */
+export function validateExchangeRate(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Exchange rate must be an object');
+  }
+
+  const currency = String(entry.currency || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    throw new Error(`Exchange rate currency "${entry.currency ?? ''}" must be a three-letter ISO code`);
+  }
+  if (currency === DEFAULT_CURRENCY) {
+    throw new Error(`${DEFAULT_CURRENCY} needs no exchange rate`);
+  }
+
+  const rate = Number(entry.rate);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Exchange rate for ${currency} must be a positive number`);
+  }
+
+  return { currency, rate };
+}
+
+/**
+ * Validate a list of exchange rates
+ * @param {Array} rates - Rates to check
+ * @returns {Array} - Normalized rates
+ */
+export function validateExchangeRates(rates) {
+  if (!Array.isArray(rates)) {
+    throw new Error('Exchange rates must be a JSON array');
+  }
+
+  const validated = rates.map(validateExchangeRate);
+  const currencies = new Set();
+  for (const { currency } of validated) {
+    if (currencies.has(currency)) {
+      throw new Error(`${currency} has more than one exchange rate`);
+    }
+    currencies.add(currency);
+  }
+  return validated;
+}
+
+const store = createConfigStore({
+  storageKey: 'quote2csv.exchangeRates',
+  defaults: [],
+  validate: validateExchangeRates,
+  label: 'exchange rates'
+});
+
+/**
+ * Load saved exchange rates from localStorage
+ * @returns {Array} - Exchange rates
+ */
+export const loadExchangeRates = store.load;
+
+/**
+ * Persist exchange rates to localStorage
+ * @param {Array} rates - Rates to save
+ * @returns {Array} - The normalized rates that were saved
+ */
+export const saveExchangeRates = store.save;
+
+/**
+ * Serialize exchange rates for export
+ * @param {Array} rates - Rates to export
+ * @returns {string} - Pretty-printed JSON
+ */
+export const exportExchangeRates = store.exportJson;
+
+/**
+ * Parse and validate an exported exchange rates JSON file
+ * @param {string} json - File contents
+ * @returns {Array} - Normalized rates
+ */
+export const importExchangeRates = store.importJson;
+
+/**
+ * Find the USD value of one unit of a currency
+ * @param {string} currency - ISO code
+ * @param {Array} rates - Exchange rates
+ * @returns {number|null} - USD per unit, or null when no rate is set
+ */
+export function findExchangeRate(currency, rates) {
+  if (!currency || currency === DEFAULT_CURRENCY) return 1;
+  return rates.find(entry => entry.currency === currency)?.rate ?? null;
+}
+
+/**
+ * List the currencies in a set of rows that have no exchange rate
+ * @param {Array} rows - Transformed rows
+ * @param {Array} rates - Exchange rates
+ * @returns {Array} - ISO codes without a rate
+ */
+export function findMissingExchangeRates(rows, rates) {
+  const currencies = new Set(rows.map(row => row.currency));
+  return [...currencies].filter(currency => findExchangeRate(currency, rates) === null);
+}
+
+/**
+ * Convert row amounts to USD
+ * Unit prices are converted and rounded first, then each extended price is recomputed from them,
+ * so qty × months × price still adds up. Bundle children are kept summing to their parent's price.
+ * Discount percentages and quantities are unchanged; converted rows are tagged USD.
+ * @param {Array} rows - Transformed rows
+ * @param {Array} rates - Exchange rates
+ * @returns {Array} - Converted copies of the rows
+ * @throws {Error} - If a row's currency has no exchange rate
+ */
+export function convertRowsToUsd(rows, rates) {
+  const missing = findMissingExchangeRates(rows, rates);
+  if (missing.length > 0) {
+    throw new Error(`No exchange rate for ${missing.join(', ')}.`);
+  }
+
+  // Work in cents so sums are exact
+  const cents = rows.map(row => {
+    const rate = findExchangeRate(row.currency, rates);
+    return Object.fromEntries(AMOUNT_FIELDS.map(field => {
+      const amount = parseFloat(row[field]);
+      return [field, Number.isFinite(amount) ? Math.round(amount * rate * 100) : null];
+    }));
+  });
+
+  rows.forEach((parent, parentIndex) => {
+    let end = parentIndex + 1;
+    while (end < rows.length && rows[end].parentProductCode === parent.productCode) end++;
+    const children = cents.slice(parentIndex + 1, end);
+    if (children.length === 0 || parent.parentProductCode || cents[parentIndex].discountPrice === null) return;
+
+    // Only restore a split that held before conversion
+    const childTotal = rows.slice(parentIndex + 1, end).reduce((sum, row) => sum + parseFloat(row.discountPrice), 0);
+    if (!(Math.abs(childTotal - parseFloat(parent.discountPrice)) <= 0.005)) return;
+
+    // Rounding each child separately can drift a cent; the last child absorbs it
+    const last = children[children.length - 1];
+    const others = children.slice(0, -1).reduce((sum, child) => sum + child.discountPrice, 0);
+    last.discountPrice = cents[parentIndex].discountPrice - others;
+  });
+
+  return rows.map((row, i) => {
+    const converted = { ...row, currency: DEFAULT_CURRENCY };
+    for (const field of AMOUNT_FIELDS) {
+      if (cents[i][field] !== null) converted[field] = (cents[i][field] / 100).toFixed(2);
+    }
+
+    const qty = parseFloat(row.optionQty);
+    const months = parseFloat(row.month) || 1;
+    if (cents[i].discountPrice !== null && cents[i].extendedPrice !== null && Number.isFinite(qty)) {
+      converted.extendedPrice = (cents[i].discountPrice * qty * months / 100).toFixed(2);
+    }
+    return converted;
+  });
+}
@@ -0,0 +1,76 @@
+import { CSV_HEADERS, CSV_FIELDS } from '../utils/constants.js';
+import { formatDate } from '../utils/dates.js';
+import { loadColumnLayouts, layoutToProfile } from './columnLayouts.js';
+
+/**
+ * Parse a row number (rows hold formatted strings)
+ */
+function toNumber(value) {
+  const number = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Built-in export profiles
+ * Each column reads a row field, computes a value from the row, or repeats a constant.
+ * A profile's optional rowFilter picks the rows it writes (all rows without one).
+ */
+export const EXPORT_PROFILES = [
+  {
+    id: 'default',
+    name: 'Quote2CSV (21 columns)',
+    description: 'All row fields with human-readable headers.',
+    lineEnding: '\n',
+    columns: CSV_FIELDS.map((field, i) => ({ header: CSV_HEADERS[i], field }))
+  },
+  {
+    id: 'salesforce-oli',
+    name: 'Salesforce OpportunityLineItem',
+    description: 'API field names for Data Loader / Bulk API. ISO dates, CRLF line endings. ' +
+      'ProductCode is read-only on OpportunityLineItem, so products are looked up by Product2.ProductCode; ' +
+      'map that column to the Product2 relationship when importing. ' +
+      'Quantity counts unit-months so Quantity × UnitPrice × (1 − Discount%) equals the extended price. ' +
+      'Bundles are written as their parent product only, since the child rows restate its amount. ' +
+      'Discounts, credits, freight and tax (ADJ-* rows) are left out, as no pricebook product matches them.',
+    lineEnding: '\r\n',
+    rowFilter: row => !row.parentProductCode && row.lineType !== 'adjustment',
+    columns: [
+      { header: 'OpportunityId', field: 'opportunityId' },
+      { header: 'Product2.ProductCode', field: 'productCode' },
+      { header: 'Quantity', value: row => toNumber(row.optionQty) * (toNumber(row.month) || 1) },
+      { header: 'UnitPrice', field: 'listPrice' },
+      { header: 'Discount', field: 'discountPercentage' },
+      { header: 'ServiceDate', value: row => formatDate(row.quoteDate, 'iso') },
+      { header: 'Description', field: 'optionDescription' }
+    ]
+  }
+];
+
+export const DEFAULT_EXPORT_PROFILE = EXPORT_PROFILES[0];
+
+/**
+ * Pick the rows an export profile writes
+ * @param {Array} rows - Transformed rows
+ * @param {Object} profile - Export profile
+ * @returns {Array} - The rows passing the profile's rowFilter
+ */
+export function selectProfileRows(rows, profile) {
+  return profile.rowFilter ? rows.filter(profile.rowFilter) : rows;
+}
+
+/**
+ * List built-in profiles followed by the user's saved column layouts
+ * @returns {Array} - Export profiles
+ */
+export function listExportProfiles() {
+  return [...EXPORT_PROFILES, ...loadColumnLayouts().map(layoutToProfile)];
+}
+
+/**
+ * Look up an export profile by id
+ * @param {string} id - Profile id
+ * @returns {Object} - The profile, or the default profile if the id is unknown
+ */
+export function getExportProfile(id) {
+  return listExportProfiles().find(profile => profile.id === id) || DEFAULT_EXPORT_PROFILE;
+}
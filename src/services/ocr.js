@@ -0,0 +1,97 @@
+import { createWorker } from 'tesseract.js';
+import tesseractWorkerUrl from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCoreUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import { OffscreenCanvasFactory } from '../utils/offscreenCanvasFactory.js';
+
+/**
+ * OCR for pages without a text layer (scanned or image-only quotes)
+ * Runs in the conversion worker: pages are rendered to an OffscreenCanvas and
+ * read with Tesseract. Everything it needs ships with the build, so it works offline.
+ */
+
+// Render scale (1 = 72 dpi); 3 gives Tesseract roughly 216 dpi to work with
+const OCR_SCALE = 3;
+
+// Tesseract's LSTM-only engine mode
+const OEM_LSTM_ONLY = 1;
+
+// Copied from @tesseract.js-data/eng by vite/vendorAssets.js
+const OCR_LANG_PATH = '/ocr/eng';
+
+let ocrWorkerPromise = null;
+
+function absoluteUrl(url) {
+  return new URL(url, self.location.href).href;
+}
+
+function getOcrWorker() {
+  if (!ocrWorkerPromise) {
+    ocrWorkerPromise = createWorker('eng', OEM_LSTM_ONLY, {
+      workerPath: absoluteUrl(tesseractWorkerUrl),
+      corePath: absoluteUrl(tesseractCoreUrl),
+      langPath: absoluteUrl(OCR_LANG_PATH),
+      workerBlobURL: false,
+      // The service worker already keeps the language data for offline use
+      cacheMethod: 'none'
+    });
+
+    // Let a failed start be retried on the next page
+    ocrWorkerPromise.catch(() => { ocrWorkerPromise = null; });
+  }
+  return ocrWorkerPromise;
+}
+
+/**
+ * Render a pdf.js page and OCR it into positioned text items
+ * @param {Object} page - pdf.js PDFPageProxy
+ * @returns {Promise<Array>} - Items ({ str, x, y, width, height, confidence }) in PDF user space,
+ *   one per recognised word, so the table extractor can use them like a text layer
+ */
+export async function ocrPage(page) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const canvasFactory = new OffscreenCanvasFactory();
+  const { canvas, context } = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  // Scans are often transparent images; Tesseract needs a white background
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport }).promise;
+  const image = await canvas.convertToBlob({ type: 'image/png' });
+  canvasFactory.destroy({ canvas, context });
+
+  const worker = await getOcrWorker();
+  const { data } = await worker.recognize(image, {}, { blocks: true });
+
+  const pageHeight = viewport.height / OCR_SCALE;
+  const words = (data.blocks || [])
+    .flatMap(block => block.paragraphs)
+    .flatMap(paragraph => paragraph.lines)
+    .flatMap(line => line.words);
+
+  // Tesseract boxes are in image pixels from the top-left; pdf.js items use points from the bottom-left
+  return words
+    .filter(word => word.text.trim())
+    .map(({ text, bbox, confidence }) => ({
+      str: text,
+      x: bbox.x0 / OCR_SCALE,
+      y: pageHeight - bbox.y1 / OCR_SCALE,
+      width: (bbox.x1 - bbox.x0) / OCR_SCALE,
+      height: (bbox.y1 - bbox.y0) / OCR_SCALE,
+      confidence
+    }));
+}
+
+/**
+ * Stop the OCR engine and free its memory
+ */
+export async function terminateOcr() {
+  if (!ocrWorkerPromise) return;
+  const promise = ocrWorkerPromise;
+  ocrWorkerPromise = null;
+  try {
+    await (await promise).terminate();
+  } catch {
+    // Nothing to clean up if it never started
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * PDF page reading shared by the browser app and the Node CLI
+ * Each caller passes in the pdf.js build that suits its environment.
+ */
+
+/**
+ * Extract positioned text items from every page of a PDF document
+ * @param {Object} pdfjsLib - A pdf.js module (browser or legacy Node build)
+ * @param {ArrayBuffer|Uint8Array} data - Raw PDF bytes
+ * @param {Object} [options]
+ * @param {Function} [options.onPage] - Called with (pageNumber, pageCount) after each page is read
+ * @param {Function} [options.ocrPage] - Called with (page, pageNumber, pageCount) for pages with no
+ *   text layer; resolves to replacement items. Without it such pages are returned empty.
+ * @param {Object} [options.documentOptions] - Extra pdf.js getDocument options
+ * @returns {Promise<Array>} - Pages ({ pageNumber, width, height, items, ocr })
+ *   where each item is { str, x, y, width, height } in PDF user space
+ */
+export async function readPdfPages(pdfjsLib, data, { onPage = () => {}, ocrPage = null, documentOptions = {} } = {}) {
+  const pdf = await pdfjsLib.getDocument({ data, ...documentOptions }).promise;
+
+  const pages = [];
+
+  // Release the worker's copy of the document even when a page fails or the read is aborted
+  try {
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const viewport = page.getViewport({ scale: 1 });
+      const textContent = await page.getTextContent();
+
+      // Keep the position data pdf.js returns so tables can be rebuilt by layout
+      let items = textContent.items
+        .filter(item => typeof item.str === 'string')
+        .map(item => ({
+          str: item.str,
+          x: item.transform[4],
+          y: item.transform[5],
+          width: item.width,
+          height: item.height || Math.hypot(item.transform[2], item.transform[3])
+        }));
+
+      // Scanned pages have no text layer
+      const needsOcr = ocrPage && items.every(item => !item.str.trim());
+      if (needsOcr) {
+        items = await ocrPage(page, i, pdf.numPages);
+      }
+
+      pages.push({
+        pageNumber: i,
+        width: viewport.width,
+        height: viewport.height,
+        items,
+        ocr: Boolean(needsOcr)
+      });
+
+      onPage(i, pdf.numPages);
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
+
+/**
+ * Flatten extracted pages into plain text (one line per page)
+ * @param {Array} pages - Pages from readPdfPages
+ * @returns {string} - The text content
+ */
+export function pagesToText(pages) {
+  return pages
+    .map(page => page.items.map(item => item.str).join(' ') + '\n')
+    .join('');
+}
@@ -1,30 +1,85 @@
 import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { readPdfPages, pagesToText } from './pdfPages.js';
+import { OffscreenCanvasFactory } from '../utils/offscreenCanvasFactory.js';
+import { findOpportunityIdInText } from '../utils/salesforceId.js';
 
-// Use the worker from CDN with the exact version installed
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.10.38/pdf.worker.min.mjs';
+// Serve the worker from our own build so it always matches the installed library and works offline
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+export { pagesToText };
+
+// Without a DOM (in a worker), pages are rendered for OCR on an OffscreenCanvas
+const DOCUMENT_OPTIONS = typeof document === 'undefined'
+  ? { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true }
+  : {};
 
 /**
- * Extract text content from a PDF file
+ * Extract positioned text items from every page of a PDF file
+ * Pages without a text layer are rendered and read with OCR.
  * @param {File} file - The PDF file to parse
- * @returns {Promise<string>} - The extracted text content
+ * @param {Object} [options]
+ * @param {Function} [options.onPage] - Called with (pageNumber, pageCount) after each page is read
+ * @param {Function} [options.onOcrPage] - Called with (pageNumber, pageCount) before a page is OCR'd
+ * @returns {Promise<Array>} - Pages ({ pageNumber, width, height, items, ocr })
+ *   where each item is { str, x, y, width, height } in PDF user space
  */
-export async function extractTextFromPDF(file) {
+export async function extractPagesFromPDF(file, { onPage, onOcrPage = () => {} } = {}) {
   const arrayBuffer = await file.arrayBuffer();
-  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
-  let fullText = '';
+  // The OCR engine is only loaded for scanned quotes
+  let ocr = null;
+  const ocrPage = async (page, pageNumber, pageCount) => {
+    onOcrPage(pageNumber, pageCount);
+    ocr ??= await import('./ocr.js');
+    return ocr.ocrPage(page);
+  };
 
-  for (let i = 1; i <= pdf.numPages; i++) {
-    const page = await pdf.getPage(i);
-    const textContent = await page.getTextContent();
+  try {
+    return await readPdfPages(pdfjsLib, arrayBuffer, {
+      onPage,
+      ocrPage,
+      documentOptions: DOCUMENT_OPTIONS
+    });
+  } catch (error) {
+    // A worker cached from an older deploy reports a version mismatch
+    if (/does not match the Worker version/.test(error.message)) {
+      throw new Error(`The PDF reader is out of date (library ${pdfjsLib.version}). Reload the page to update it.`);
+    }
+    throw error;
+  } finally {
+    await ocr?.terminateOcr();
+  }
+}
 
-    // Extract text items and join them
-    const pageText = textContent.items
-      .map(item => item.str)
-      .join(' ');
+/**
+ * Extract text content from a PDF file
+ * @param {File} file - The PDF file to parse
+ * @returns {Promise<string>} - The extracted text content
+ */
+export async function extractTextFromPDF(file) {
+  const pages = await extractPagesFromPDF(file);
+  return pagesToText(pages);
+}
 
-    fullText += pageText + '\n';
-  }
+/**
+ * Find an Opportunity ID printed in a PDF, to prefill the form before converting
+ * Only the text layer is read; scanned pages are not OCR'd for this.
+ * @param {File} file - The PDF file to search
+ * @returns {Promise<string|null>} - 18-character Opportunity ID
+ */
+export async function detectOpportunityId(file) {
+  const pages = await readPdfPages(pdfjsLib, await file.arrayBuffer(), { documentOptions: DOCUMENT_OPTIONS });
+  return findOpportunityIdInText(pagesToText(pages));
+}
 
-  return fullText;
+/**
+ * Open a PDF file for on-screen rendering
+ * Call destroy() on the returned document when done with it.
+ * @param {File} file - The PDF file to open
+ * @returns {Promise<Object>} - pdf.js document
+ */
+export async function openPdfDocument(file) {
+  const arrayBuffer = await file.arrayBuffer();
+  return pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 }
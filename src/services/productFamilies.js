@@ -0,0 +1,97 @@
+import { DEFAULT_PRODUCT_FAMILIES, LINE_ITEM_FIELDS } from '../utils/constants.js';
+import { createConfigStore } from '../utils/configStore.js';
+
+/**
+ * Validate a single product family definition
+ * @param {Object} family - Family to check
+ * @returns {Object} - A normalized copy of the family
+ * @throws {Error} - If the family is malformed
+ */
+export function validateProductFamily(family) {
+  if (!family || typeof family !== 'object') {
+    throw new Error('Product family must be an object');
+  }
+
+  const name = String(family.name || '').trim();
+  if (!name) {
+    throw new Error('Product family is missing a name');
+  }
+
+  const pattern = String(family.pattern || '').trim();
+  if (!pattern) {
+    throw new Error(`Product family "${name}" is missing a part number pattern`);
+  }
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Product family "${name}" has an invalid pattern: ${error.message}`);
+  }
+
+  const dedupKey = Array.isArray(family.dedupKey) && family.dedupKey.length > 0
+    ? family.dedupKey
+    : ['partNo', 'qty', 'extendedPrice'];
+  const unknownField = dedupKey.find(field => !LINE_ITEM_FIELDS.includes(field));
+  if (unknownField) {
+    throw new Error(`Product family "${name}" has an unknown dedup field "${unknownField}"`);
+  }
+
+  return {
+    id: String(family.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-')),
+    name,
+    pattern,
+    hasMonths: Boolean(family.hasMonths),
+    dedupKey
+  };
+}
+
+/**
+ * Validate a list of product families
+ * @param {Array} families - Families to check
+ * @returns {Array} - Normalized families
+ */
+export function validateProductFamilies(families) {
+  if (!Array.isArray(families)) {
+    throw new Error('Product families must be a JSON array');
+  }
+  return families.map(validateProductFamily);
+}
+
+const store = createConfigStore({
+  storageKey: 'quote2csv.productFamilies',
+  defaults: DEFAULT_PRODUCT_FAMILIES,
+  validate: validateProductFamilies,
+  label: 'product families'
+});
+
+/**
+ * Load product families from localStorage, falling back to the defaults
+ * @returns {Array} - Product families
+ */
+export const loadProductFamilies = store.load;
+
+/**
+ * Persist product families to localStorage
+ * @param {Array} families - Families to save
+ * @returns {Array} - The normalized families that were saved
+ */
+export const saveProductFamilies = store.save;
+
+/**
+ * Remove saved product families so the defaults apply again
+ * @returns {Array} - The default families
+ */
+export const resetProductFamilies = store.reset;
+
+/**
+ * Serialize product families for export
+ * @param {Array} families - Families to export
+ * @returns {string} - Pretty-printed JSON
+ */
+export const exportProductFamilies = store.exportJson;
+
+/**
+ * Parse and validate an exported product family JSON file
+ * @param {string} json - File contents
+ * @returns {Array} - Normalized families
+ */
+export const importProductFamilies = store.importJson;
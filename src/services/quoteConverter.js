@@ -0,0 +1,73 @@
+import { loadProductFamilies } from './productFamilies.js';
+import { loadBundleRules } from './bundleRules.js';
+import { CONVERSION_TIMEOUT_MS } from '../utils/constants.js';
+
+/**
+ * Run the full extraction pipeline on a single quotation PDF
+ * The work happens in a dedicated worker so large quotes do not freeze the page.
+ * @param {File} file - The PDF file to convert
+ * @param {string} opportunityId - Opportunity ID applied to every row
+ * @param {Function} [onStep] - Called with a progress message before each stage and page
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborting stops the worker and rejects with an AbortError
+ * @param {number} [options.timeoutMs] - Stop and reject if no progress is reported for this long
+ * @returns {Promise<Object>} - { header, lineItems, baseProductCode, totals, rows, issues, ocrPages, pdfOpportunityId, template, diagnostics }.
+ *   Extraction errors carry `diagnostics` when the PDF was read.
+ */
+export function convertQuote(file, opportunityId, onStep = () => {}, { signal, timeoutMs = CONVERSION_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Conversion cancelled.', 'AbortError'));
+      return;
+    }
+
+    const worker = new Worker(new URL('../workers/quoteWorker.js', import.meta.url), { type: 'module' });
+
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+      settle(value);
+    };
+
+    const handleAbort = () => finish(reject, new DOMException('Conversion cancelled.', 'AbortError'));
+
+    // Restarted on every progress message, so long OCR runs are not cut off while pages keep coming
+    let timer;
+    const startTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        finish(reject, new Error(`Conversion stalled for ${Math.round(timeoutMs / 1000)} seconds and was stopped. The PDF may be damaged.`));
+      }, timeoutMs);
+    };
+    startTimer();
+
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.onmessage = (event) => {
+      const { type, message, result, diagnostics } = event.data;
+      if (type === 'progress') {
+        startTimer();
+        onStep(message);
+      }
+      if (type === 'result') finish(resolve, result);
+      if (type === 'error') {
+        const error = new Error(message);
+        if (diagnostics) error.diagnostics = diagnostics;
+        finish(reject, error);
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(reject, new Error(event.message || 'The conversion worker failed to start.'));
+    };
+
+    // Settings live in localStorage, which workers cannot read
+    worker.postMessage({
+      file,
+      opportunityId,
+      config: { families: loadProductFamilies(), bundleRules: loadBundleRules() }
+    });
+  });
+}
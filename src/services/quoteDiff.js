@@ -0,0 +1,182 @@
+import { HEADER_FIELDS } from '../utils/constants.js';
+import { formatDate } from '../utils/dates.js';
+import { escapeCSVValue } from './csvGenerator.js';
+
+/**
+ * Compare two revisions of a quote (e.g. 12345-1 and 12345-2)
+ * Only top-level rows are compared: bundle children are derived from their parent,
+ * so a parent change already covers them.
+ */
+
+// Row fields compared between revisions
+export const DIFF_FIELDS = [
+  { key: 'optionQty', label: 'Qty' },
+  { key: 'month', label: 'Months' },
+  { key: 'listPrice', label: 'List Price' },
+  { key: 'discountPercentage', label: 'Discount %' },
+  { key: 'discountPrice', label: 'Discount Price' },
+  { key: 'extendedPrice', label: 'Extended Price' }
+];
+
+const CHANGE_CSV_HEADERS = ['Change', 'Product Code', 'Description', 'Field', 'Before', 'After', 'Delta'];
+
+/**
+ * Parse a row value (rows hold formatted strings once edited in the grid)
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Whether two row values differ, comparing numbers as numbers so "1,200.00" equals 1200
+ */
+function valuesDiffer(before, after) {
+  const a = toNumber(before);
+  const b = toNumber(after);
+  if (a !== null && b !== null) return Math.abs(a - b) > 0.005;
+  return String(before ?? '').trim() !== String(after ?? '').trim();
+}
+
+function numericDelta(before, after) {
+  const a = toNumber(before);
+  const b = toNumber(after);
+  return a !== null && b !== null ? roundCents(b - a) : null;
+}
+
+/**
+ * Pair rows by product code; a code that appears more than once is paired in quote order
+ */
+function pairRows(beforeRows, afterRows) {
+  const remaining = new Map();
+  for (const row of beforeRows) {
+    if (!remaining.has(row.productCode)) remaining.set(row.productCode, []);
+    remaining.get(row.productCode).push(row);
+  }
+
+  const pairs = afterRows.map(row => ({ before: remaining.get(row.productCode)?.shift() || null, after: row }));
+  const removed = [...remaining.values()].flat().map(row => ({ before: row, after: null }));
+  return [...removed, ...pairs];
+}
+
+function sumExtended(rows) {
+  return roundCents(rows.reduce((sum, row) => sum + (toNumber(row.extendedPrice) || 0), 0));
+}
+
+/**
+ * Compare two converted quotes
+ * @param {Object} before - Earlier revision, { header, rows }
+ * @param {Object} after - Later revision, { header, rows }
+ * @returns {Object} - { header, lines, unchanged, totals }: header lists changed fields as
+ *   { key, label, before, after }; lines lists added, removed and changed line items as
+ *   { change, productCode, description, before, after, fields, delta } with the paired rows;
+ *   totals is { before, after, delta } over extended prices
+ */
+export function diffQuotes(before, after) {
+  const header = [];
+  for (const field of HEADER_FIELDS) {
+    const normalize = value => (field.date ? formatDate(value || '', 'iso') : String(value ?? '').trim());
+    const beforeValue = normalize(before.header?.[field.key]);
+    const afterValue = normalize(after.header?.[field.key]);
+    if (beforeValue !== afterValue) {
+      header.push({ key: field.key, label: field.label, before: beforeValue, after: afterValue });
+    }
+  }
+
+  const topLevel = rows => (rows || []).filter(row => !row.parentProductCode);
+  const beforeRows = topLevel(before.rows);
+  const afterRows = topLevel(after.rows);
+
+  const lines = [];
+  let unchanged = 0;
+
+  for (const pair of pairRows(beforeRows, afterRows)) {
+    const row = pair.after || pair.before;
+    const line = {
+      productCode: row.productCode,
+      description: row.optionDescription || '',
+      before: pair.before,
+      after: pair.after,
+      fields: [],
+      delta: roundCents((toNumber(pair.after?.extendedPrice) || 0) - (toNumber(pair.before?.extendedPrice) || 0))
+    };
+
+    if (!pair.before) {
+      lines.push({ change: 'added', ...line });
+    } else if (!pair.after) {
+      lines.push({ change: 'removed', ...line });
+    } else {
+      line.fields = DIFF_FIELDS
+        .filter(field => valuesDiffer(pair.before[field.key], pair.after[field.key]))
+        .map(field => ({ ...field, before: pair.before[field.key], after: pair.after[field.key] }));
+
+      if (line.fields.length > 0) {
+        lines.push({ change: 'changed', ...line });
+      } else {
+        unchanged += 1;
+      }
+    }
+  }
+
+  const beforeTotal = sumExtended(beforeRows);
+  const afterTotal = sumExtended(afterRows);
+
+  return {
+    header,
+    lines,
+    unchanged,
+    totals: { before: beforeTotal, after: afterTotal, delta: roundCents(afterTotal - beforeTotal) }
+  };
+}
+
+/**
+ * Render a diff as a change CSV: one line per changed header field, line item field,
+ * added or removed item, then the net total
+ * @param {Object} diff - Result of diffQuotes
+ * @returns {string} - CSV content
+ */
+export function generateChangeCSV(diff) {
+  const lines = [];
+
+  for (const field of diff.header) {
+    lines.push(['header', '', '', field.label, field.before, field.after, '']);
+  }
+
+  for (const line of diff.lines) {
+    if (line.change === 'changed') {
+      for (const field of line.fields) {
+        lines.push([
+          'changed',
+          line.productCode,
+          line.description,
+          field.label,
+          field.before,
+          field.after,
+          numericDelta(field.before, field.after)?.toFixed(2) ?? ''
+        ]);
+      }
+    } else {
+      lines.push([
+        line.change,
+        line.productCode,
+        line.description,
+        'Extended Price',
+        line.before?.extendedPrice ?? '',
+        line.after?.extendedPrice ?? '',
+        line.delta.toFixed(2)
+      ]);
+    }
+  }
+
+  const { before, after, delta } = diff.totals;
+  lines.push(['total', '', '', 'Extended Price', before.toFixed(2), after.toFixed(2), delta.toFixed(2)]);
+
+  return [CHANGE_CSV_HEADERS, ...lines]
+    .map(values => values.map(escapeCSVValue).join(','))
+    .join('\n');
+}
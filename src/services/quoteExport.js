@@ -0,0 +1,49 @@
+import { generateCSV, generateFilename } from './csvGenerator.js';
+import { generateXLSX, XLSX_MIME_TYPE } from './xlsxGenerator.js';
+import { buildQuoteModel, generateQuoteJSON } from './quoteModel.js';
+import { DEFAULT_EXPORT_PROFILE } from './exportProfiles.js';
+import { DEFAULT_DATE_FORMAT } from '../utils/constants.js';
+
+// Download formats offered for a converted quote
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel' },
+  { id: 'json', label: 'JSON' }
+];
+
+/**
+ * Render a converted quote as a downloadable file
+ * @param {string} format - Id from EXPORT_FORMATS
+ * @param {Object} quote
+ * @param {Object} quote.header - Header from extractHeader (possibly edited)
+ * @param {Array} quote.rows - Transformed rows (possibly edited)
+ * @param {Object} [quote.totals] - Totals from extractTotals
+ * @param {Array} [quote.lineItems] - Items from extractLineItems
+ * @param {Array} [quote.issues] - Validation issues
+ * @param {string} [quote.sourceFile] - Original PDF filename
+ * @param {Array} [quote.ocrPages] - Page numbers read with OCR
+ * @param {string} [quote.opportunityId] - Opportunity ID for the Excel summary sheet
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Export profile for CSV and Excel columns
+ * @param {string} [options.dateFormat] - Id from DATE_FORMATS for CSV and Excel dates
+ * @returns {Object} - { blob, filename }
+ */
+export function buildQuoteExport(
+  format,
+  { header, rows, totals = null, lineItems = [], issues = [], sourceFile = null, ocrPages = [], opportunityId },
+  { profile = DEFAULT_EXPORT_PROFILE, dateFormat = DEFAULT_DATE_FORMAT } = {}
+) {
+  const filename = generateFilename(header?.quoteNumber || 'unknown', format);
+
+  if (format === 'xlsx') {
+    const workbook = generateXLSX(rows, { profile, header, opportunityId, dateFormat });
+    return { blob: new Blob([workbook], { type: XLSX_MIME_TYPE }), filename };
+  }
+
+  if (format === 'json') {
+    const model = buildQuoteModel({ header, rows, totals: totals || undefined, lineItems, issues, sourceFile, ocrPages });
+    return { blob: new Blob([generateQuoteJSON(model)], { type: 'application/json' }), filename };
+  }
+
+  return { blob: new Blob([generateCSV(rows, profile, { dateFormat })], { type: 'text/csv;charset=utf-8;' }), filename };
+}
@@ -0,0 +1,161 @@
+import { QUOTE_SCHEMA } from '../schemas/quoteSchema.js';
+import { loadProductFamilies } from './productFamilies.js';
+import { loadBundleRules, findBundleRule } from './bundleRules.js';
+import { formatDate } from '../utils/dates.js';
+import { matchRowsToItems, rowKeys } from './rowSources.js';
+
+/**
+ * Canonical quote model
+ * A structured, versioned view of one converted quote for JSON export.
+ * The shape is described by QUOTE_SCHEMA in schemas/quoteSchema.js, which owns the version.
+ */
+
+export const QUOTE_MODEL_VERSION = QUOTE_SCHEMA.properties.schemaVersion.const;
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build the canonical quote model from (possibly edited) transformed rows
+ * @param {Object} quote
+ * @param {Object} quote.header - Header from extractHeader
+ * @param {Array} quote.rows - Rows from transformData
+ * @param {Object} [quote.totals] - Totals from extractTotals
+ * @param {Array} [quote.lineItems] - Items from extractLineItems, for extraction metadata
+ * @param {Array} [quote.issues] - Validation issues
+ * @param {string} [quote.sourceFile] - Original PDF filename
+ * @param {Array} [quote.ocrPages] - Page numbers that were read with OCR
+ * @param {Array} [quote.families] - Product families used to classify line items
+ * @param {Array} [quote.bundleRules] - Bundle rules used to name bundles
+ * @returns {Object} - Quote model
+ */
+export function buildQuoteModel({
+  header,
+  rows,
+  totals = { sections: [], grandTotal: null },
+  lineItems = [],
+  issues = [],
+  sourceFile = null,
+  ocrPages = [],
+  families = loadProductFamilies(),
+  bundleRules = loadBundleRules()
+}) {
+  const familyMatchers = families.map(family => ({
+    name: family.name,
+    regex: new RegExp(`^(?:${family.pattern})$`, 'i')
+  }));
+
+  const items = [];
+  const keys = rowKeys(rows);
+  const sources = matchRowsToItems(rows, lineItems);
+  // Section totals list items by key, which the model does not carry
+  const itemKeys = new Map();
+  let current = null;
+
+  for (const [rowIndex, row] of rows.entries()) {
+    const child = {
+      productCode: row.productCode,
+      description: row.optionDescription,
+      quantity: toNumber(row.optionQty),
+      months: toNumber(row.month),
+      unitPrice: toNumber(row.discountPrice),
+      extendedPrice: toNumber(row.extendedPrice)
+    };
+
+    // Child rows follow their parent directly
+    if (row.parentProductCode && current && current.partNo === row.parentProductCode) {
+      current.bundle.children.push(child);
+      continue;
+    }
+
+    const extracted = row.parentProductCode ? null : sources[rowIndex];
+    const rule = findBundleRule(row.productCode, bundleRules);
+
+    current = {
+      lineNumber: items.length + 1,
+      lineType: row.lineType || 'item',
+      adjustmentType: row.adjustmentType || null,
+      partNo: row.productCode,
+      description: row.optionDescription,
+      family: familyMatchers.find(m => m.regex.test(row.productCode))?.name || null,
+      quantity: toNumber(row.optionQty),
+      months: toNumber(row.month),
+      listPrice: toNumber(row.listPrice),
+      discountPercentage: toNumber(row.discountPercentage),
+      discountPrice: toNumber(row.discountPrice),
+      extendedPrice: toNumber(row.extendedPrice),
+      bundle: { rule: rule?.name || null, children: [] },
+      extraction: extracted?.extraction || null
+    };
+    items.push(current);
+    itemKeys.set(current, keys[rowIndex]);
+  }
+
+  // Only bundle parents carry a bundle
+  for (const item of items) {
+    if (item.bundle.children.length === 0) item.bundle = null;
+  }
+
+  const sections = totals.sections.map(section => ({
+    name: section.name,
+    total: section.amount,
+    lineNumbers: items.filter(item => section.partNos.includes(itemKeys.get(item))).map(item => item.lineNumber)
+  }));
+
+  const firstRow = rows[0] || {};
+
+  return {
+    schemaVersion: QUOTE_MODEL_VERSION,
+    header: {
+      quoteNumber: header?.quoteNumber || '',
+      quoteDate: formatDate(header?.quoteDate || '', 'iso'),
+      expires: formatDate(header?.expires || '', 'iso'),
+      customer: header?.customer || '',
+      partner: header?.partner || '',
+      preparedBy: header?.preparedBy || '',
+      email: header?.email || '',
+      opportunityId: firstRow.opportunityId || '',
+      baseProductCode: firstRow.baseProductCode || '',
+      baseDescription: firstRow.baseDescription || '',
+      status: firstRow.status || '',
+      currency: firstRow.currency || header?.currency || ''
+    },
+    sections,
+    lineItems: items,
+    totals: {
+      quoted: totals.grandTotal,
+      extracted: roundCents(items.reduce((sum, item) => sum + (item.extendedPrice || 0), 0))
+    },
+    extraction: {
+      generatedAt: new Date().toISOString(),
+      sourceFile,
+      ocrPages,
+      header: header?.extraction || {},
+      issues: issues.map(({ type, rowIndex, message }) => ({ type, rowIndex, message }))
+    }
+  };
+}
+
+/**
+ * Serialize a quote model for download
+ * @param {Object} model - Model from buildQuoteModel
+ * @returns {string} - Pretty-printed JSON
+ */
+export function generateQuoteJSON(model) {
+  return JSON.stringify(model, null, 2);
+}
+
+/**
+ * Serialize the quote model JSON Schema for download
+ * @returns {string} - Pretty-printed JSON Schema
+ */
+export function generateQuoteSchemaJSON() {
+  return JSON.stringify(QUOTE_SCHEMA, null, 2);
+}
@@ -0,0 +1,107 @@
+import { pagesToText } from './pdfPages.js';
+import { extractTableRows, locateText } from './tableExtractor.js';
+import { extractHeader, extractLineItems, extractBaseProductCode, extractTotals, traceNormalization } from './dataExtractor.js';
+import { detectTemplate, getQuoteTemplate } from './quoteTemplates.js';
+import { createDiagnostics } from './diagnostics.js';
+import { transformData } from './dataTransformer.js';
+import { validateQuote } from './quoteValidator.js';
+import { findOpportunityIdInText } from '../utils/salesforceId.js';
+
+// OCR text is less reliable, so everything read from it drops one confidence level
+const OCR_CONFIDENCE = { high: 'medium', medium: 'low', low: 'low' };
+
+function markOcrExtraction(extraction) {
+  return { ...extraction, confidence: OCR_CONFIDENCE[extraction.confidence] || extraction.confidence, ocr: true };
+}
+
+/**
+ * Run extraction, business rules and validation on already-read PDF pages
+ * Kept free of pdf.js so the browser app and the Node CLI can share it.
+ * @param {Array} pages - Pages from readPdfPages
+ * @param {string} opportunityId - Opportunity ID applied to every row; blank uses the one printed on the quote
+ * @param {Function} [onStep] - Called with a progress message before each stage
+ * @param {Object} [config] - Saved settings; defaults to the stored ones
+ * @param {Array} [config.families] - Product families for line item matching
+ * @param {Array} [config.bundleRules] - Bundle rules for child rows
+ * @param {string} [config.templateId] - Quote template to use instead of detecting one
+ * @returns {Object} - { header, lineItems, baseProductCode, totals, rows, issues, ocrPages, pdfOpportunityId,
+ *   template, diagnostics } where template is { id, name, confidence }
+ * @throws {Error} - When no line items are found; the error carries `diagnostics`
+ */
+export function convertQuotePages(pages, opportunityId, onStep = () => {}, { families, bundleRules, templateId } = {}) {
+  const pdfText = pagesToText(pages);
+
+  const diagnostics = createDiagnostics();
+  diagnostics.pages = pages.map(page => ({ pageNumber: page.pageNumber, ocr: page.ocr, text: pagesToText([page]).trimEnd() }));
+  diagnostics.normalization = traceNormalization(pdfText);
+
+  // Step 2: Extract structured data with the layout this quote follows
+  onStep('Extracting data...');
+  const forced = templateId ? getQuoteTemplate(templateId) : null;
+  if (templateId && !forced) throw new Error(`Unknown quote template "${templateId}".`);
+  const detection = forced
+    ? { template: forced, score: null, matched: [], confidence: 'manual' }
+    : detectTemplate(diagnostics.normalization.normalized);
+  const { template } = detection;
+  diagnostics.template = { id: template.id, name: template.name, confidence: detection.confidence, score: detection.score, matched: detection.matched };
+
+  const header = extractHeader(pdfText, diagnostics, template);
+  const tableRows = extractTableRows(pages, template);
+  diagnostics.tableRowCount = tableRows.length;
+  const lineItems = extractLineItems(pdfText, tableRows, families, diagnostics);
+  const baseProductCode = extractBaseProductCode(pdfText, diagnostics, template);
+  const totals = extractTotals(pdfText, lineItems, template);
+  const pdfOpportunityId = findOpportunityIdInText(pdfText);
+
+  // Table rows know where they are; place text matches by finding their part number,
+  // and adjustments, which have none on the quote, by their label and amount
+  for (const item of lineItems) {
+    if (item.extraction.page !== undefined) continue;
+    const location = locateText(pages, item.adjustment ? item.adjustment.text : item.partNo);
+    if (location) item.extraction = { ...item.extraction, ...location };
+  }
+
+  // Items that could not be placed may come from any page
+  const ocrPages = pages.filter(page => page.ocr).map(page => page.pageNumber);
+  if (ocrPages.length > 0) {
+    for (const field of Object.keys(header.extraction)) {
+      if (!header.extraction[field].missing) {
+        header.extraction[field] = markOcrExtraction(header.extraction[field]);
+        Object.assign(diagnostics.header[field], header.extraction[field]);
+      }
+    }
+    for (const item of lineItems) {
+      const { page } = item.extraction;
+      const fromTextPage = page !== undefined && !ocrPages.includes(page);
+      if (!fromTextPage) item.extraction = markOcrExtraction(item.extraction);
+    }
+  }
+
+  // Adjustments alone mean the product table was not read
+  if (lineItems.every(item => item.adjustment)) {
+    const error = new Error('No line items found in PDF. Please check the PDF format.');
+    error.diagnostics = diagnostics;
+    throw error;
+  }
+
+  // Step 3: Transform data with business logic
+  onStep('Applying business rules...');
+  const rows = transformData(header, lineItems, opportunityId || pdfOpportunityId || '', baseProductCode, bundleRules);
+
+  // Step 4: Reconcile against the quote's own totals
+  onStep('Validating totals...');
+  const issues = validateQuote(rows, totals);
+
+  return {
+    header,
+    lineItems,
+    baseProductCode,
+    totals,
+    rows,
+    issues,
+    ocrPages,
+    pdfOpportunityId,
+    template: { id: template.id, name: template.name, confidence: detection.confidence },
+    diagnostics
+  };
+}
@@ -0,0 +1,267 @@
+import { DATE_PATTERN } from '../utils/dates.js';
+
+/**
+ * Quote templates
+ * Each template describes one quote layout: the text that identifies it, the anchors
+ * its header fields follow, its section total names, its table columns and where its
+ * base product code is printed. Line items still come from the product families in Settings.
+ * Add a layout by appending a template; detectTemplate scores every template against the text.
+ */
+
+/**
+ * Header pattern for text between a label and the next of several stop words
+ * @param {string} anchor - Regex source for the label
+ * @param {Array} stops - Regex sources for the words that end the value
+ * @param {string} [chars] - Character class for the value
+ */
+function textBetween(anchor, stops, chars = 'A-Za-z0-9\\s') {
+  return new RegExp(`${anchor}\\s+([${chars}]+?)(?=${stops.map(stop => `\\s+${stop}`).join('|')})`, 'i');
+}
+
+function dateAfter(anchor) {
+  return new RegExp(`${anchor}\\s*:?\\s*(${DATE_PATTERN})`, 'i');
+}
+
+// Header field patterns, tried in order. The first match wins and its
+// confidence is reported alongside the value.
+const VDURA_HEADER_PATTERNS = {
+  quoteNumber: [
+    { label: 'Quote Number', regex: /Quote\s*Number\s*(\d+[-\d]*)/i, confidence: 'high' }
+  ],
+  quoteDate: [
+    { label: 'Quote Date', regex: dateAfter('Quote\\s*Date'), confidence: 'high', date: true }
+  ],
+  expires: [
+    { label: 'Quote Expires', regex: dateAfter('Quote\\s*Expires'), confidence: 'high', date: true }
+  ],
+  customer: [
+    { label: 'Customer Name', regex: textBetween('Customer\\s*Name', ['Quote', 'Partner', 'SOFTWARE']), confidence: 'high' },
+    { label: 'Company', regex: textBetween('Company', ['Quote', 'SOFTWARE']), confidence: 'medium' }
+  ],
+  partner: [
+    { label: 'Partner Name', regex: textBetween('Partner\\s*Name', ['SOFTWARE', 'COMMODITY']), confidence: 'high' }
+  ],
+  preparedBy: [
+    { label: 'Prepared By', regex: textBetween('Prepared\\s*By', ['Email', 'Quote'], 'A-Za-z\\s'), confidence: 'high' }
+  ],
+  email: [
+    { label: 'Email', regex: /Email\s*:?\s*([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i, confidence: 'high' },
+    { label: 'First email address', regex: /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i, confidence: 'medium' }
+  ]
+};
+
+// Table columns in the order they appear on the quote.
+// Labels are matched against the header line with whitespace removed,
+// since pdf.js often splits header words ("Q TY", "DIS COUNTED").
+const VDURA_TABLE_COLUMNS = [
+  { key: 'partNo', label: /PARTNO\.?/, leftAligned: true },
+  { key: 'description', label: /DESCRIPTION/, leftAligned: true },
+  { key: 'qty', label: /QTY/ },
+  { key: 'months', label: /MONTHS/, optional: true },
+  { key: 'listPrice', label: /LISTPRICE/ },
+  { key: 'discountPrice', label: /DISCOUNTED(PRICE)?/ },
+  { key: 'extendedPrice', label: /EXTENDED(PRICE)?/ }
+];
+
+const VDURA_SECTION_NAMES = ['Software', 'Hardware', 'Services?', 'Support', 'Commodity'];
+
+const GRAND_TOTAL_LABELS = ['Grand\\s+Total', 'Quote\\s+Total', 'Total\\s+Price', 'Total\\s+Amount', 'Total\\s+Due'];
+
+const CONFIGURATION_NOTE = { label: 'V#### Configuration', regex: /V(\d+)\s*Configuration/i, format: match => `v${match[1]}` };
+
+export const QUOTE_TEMPLATES = [
+  {
+    id: 'vdura',
+    name: 'VDURA quote',
+    fingerprints: [
+      { label: '"VDURA Quotation" title', regex: /VDURA\s+Quotation/i, weight: 3 },
+      { label: '"Customer Name" or "Company" label', regex: /Customer\s*Name|\bCompany\b/i, weight: 1 },
+      { label: '"Partner Name" label', regex: /Partner\s*Name/i, weight: 1 },
+      { label: 'Configuration note', regex: CONFIGURATION_NOTE.regex, weight: 1 }
+    ],
+    headerPatterns: VDURA_HEADER_PATTERNS,
+    sectionNames: VDURA_SECTION_NAMES,
+    grandTotalLabels: GRAND_TOTAL_LABELS,
+    tableColumns: VDURA_TABLE_COLUMNS,
+    // Lines that close the current row instead of continuing its description
+    tableBreakPattern: /^(Total|Sub\s*total|SOFTWARE|HARDWARE|SERVICES|COMMODITY|Notes?\b)/i,
+    baseProductCode: { patterns: [CONFIGURATION_NOTE], fallback: 'v5000' }
+  },
+  {
+    id: 'panfs-legacy',
+    name: 'Legacy PanFS quote',
+    fingerprints: [
+      { label: 'Panasas name', regex: /\bPanasas\b/i, weight: 3 },
+      { label: 'PanFS name', regex: /\bPanFS\b/i, weight: 2 },
+      { label: 'ActiveStor model', regex: /\bActiveStor\b/i, weight: 1 },
+      { label: '"Quotation #" label', regex: /Quotation\s*#/i, weight: 1 }
+    ],
+    headerPatterns: {
+      ...VDURA_HEADER_PATTERNS,
+      quoteNumber: [
+        { label: 'Quotation #', regex: /Quotation\s*#\s*:?\s*(\d+[-\d]*)/i, confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.quoteNumber
+      ],
+      quoteDate: [
+        { label: 'Quotation Date', regex: dateAfter('Quotation\\s*Date'), confidence: 'high', date: true },
+        ...VDURA_HEADER_PATTERNS.quoteDate
+      ],
+      expires: [
+        { label: 'Valid Until', regex: dateAfter('Valid\\s*Until'), confidence: 'high', date: true },
+        ...VDURA_HEADER_PATTERNS.expires
+      ],
+      customer: [
+        { label: 'Bill To', regex: textBetween('Bill\\s*To', ['Ship', 'Reseller', 'Sales', 'Quotation', 'Valid']), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.customer
+      ],
+      partner: [
+        { label: 'Reseller', regex: textBetween('Reseller', ['Sales', 'Bill', 'Ship', 'Valid', 'ITEM']), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.partner
+      ],
+      preparedBy: [
+        { label: 'Sales Representative', regex: textBetween('Sales\\s*Rep(?:resentative)?', ['Email', 'Phone', 'Quotation', 'Valid'], 'A-Za-z\\s'), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.preparedBy
+      ]
+    },
+    sectionNames: [...VDURA_SECTION_NAMES, 'Maintenance'],
+    grandTotalLabels: GRAND_TOTAL_LABELS,
+    tableColumns: [
+      { key: 'partNo', label: /ITEM(NO\.?|#)?|SKU/, leftAligned: true },
+      { key: 'description', label: /DESCRIPTION/, leftAligned: true },
+      { key: 'qty', label: /QTY/ },
+      { key: 'months', label: /TERM(\(MO\.?\))?|MONTHS/, optional: true },
+      { key: 'listPrice', label: /UNITPRICE|LISTPRICE/ },
+      { key: 'discountPrice', label: /NETPRICE/ },
+      { key: 'extendedPrice', label: /TOTAL(PRICE)?|EXTENDED(PRICE)?/ }
+    ],
+    tableBreakPattern: /^(Total|Sub\s*total|SOFTWARE|HARDWARE|SERVICES|MAINTENANCE|Terms\b|Notes?\b)/i,
+    baseProductCode: {
+      patterns: [
+        CONFIGURATION_NOTE,
+        { label: 'Upgrade platform', regex: /(?:Upgrade|Migrat(?:e|ion))\s+to\s+V(\d+)/i, format: match => `v${match[1]}` }
+      ],
+      fallback: 'v5000'
+    }
+  },
+  {
+    id: 'partner-resold',
+    name: 'Partner-resold quote',
+    fingerprints: [
+      { label: '"Reseller Quote" title', regex: /Reseller\s+Quot(?:e|ation)/i, weight: 3 },
+      { label: '"End Customer" label', regex: /End\s*(?:Customer|User)\b/i, weight: 2 },
+      { label: '"Resold by" line', regex: /Resold\s+by|Authori[sz]ed\s+(?:VDURA\s+)?(?:Partner|Reseller)/i, weight: 2 }
+    ],
+    headerPatterns: {
+      ...VDURA_HEADER_PATTERNS,
+      quoteNumber: [
+        { label: 'Quote No.', regex: /Quote\s*(?:Number|No\.?|#)\s*:?\s*(\d+[-\d]*)/i, confidence: 'high' }
+      ],
+      expires: [
+        { label: 'Valid Until', regex: dateAfter('Valid\\s*Until'), confidence: 'high', date: true },
+        ...VDURA_HEADER_PATTERNS.expires
+      ],
+      customer: [
+        { label: 'End Customer', regex: textBetween('End\\s*(?:Customer|User)', ['Quote', 'Reseller', 'Resold', 'Account', 'Valid', 'SOFTWARE']), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.customer
+      ],
+      partner: [
+        { label: 'Resold by', regex: textBetween('Resold\\s*by', ['End', 'Quote', 'Account', 'Valid', 'SOFTWARE']), confidence: 'high' },
+        { label: 'Reseller', regex: textBetween('Reseller(?!\\s+Quot)', ['End', 'Quote', 'Account', 'Valid', 'SOFTWARE']), confidence: 'medium' },
+        ...VDURA_HEADER_PATTERNS.partner
+      ],
+      preparedBy: [
+        { label: 'Account Manager', regex: textBetween('Account\\s*Manager', ['Email', 'Phone', 'Quote', 'Valid', 'End'], 'A-Za-z\\s'), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.preparedBy
+      ]
+    },
+    sectionNames: VDURA_SECTION_NAMES,
+    grandTotalLabels: GRAND_TOTAL_LABELS,
+    tableColumns: [
+      { key: 'partNo', label: /SKU|PARTNO\.?/, leftAligned: true },
+      { key: 'description', label: /DESCRIPTION/, leftAligned: true },
+      { key: 'qty', label: /QTY/ },
+      { key: 'months', label: /MONTHS|TERM/, optional: true },
+      { key: 'listPrice', label: /MSRP|LISTPRICE/ },
+      { key: 'discountPrice', label: /YOURPRICE|UNITPRICE|DISCOUNTED(PRICE)?/ },
+      { key: 'extendedPrice', label: /TOTAL(PRICE)?|EXTENDED(PRICE)?/ }
+    ],
+    tableBreakPattern: /^(Total|Sub\s*total|SOFTWARE|HARDWARE|SERVICES|COMMODITY|Terms\b|Notes?\b)/i,
+    baseProductCode: { patterns: [CONFIGURATION_NOTE], fallback: 'v5000' }
+  },
+  {
+    id: 'renewal',
+    name: 'Renewal quote',
+    fingerprints: [
+      { label: '"Renewal Quote" title', regex: /Renewal\s+Quot(?:e|ation)/i, weight: 3 },
+      { label: 'Coverage period', regex: /Coverage\s+(?:Period|Start|End)/i, weight: 2 },
+      { label: 'Contract number', regex: /Contract\s*(?:Number|No\.?|#)/i, weight: 1 }
+    ],
+    headerPatterns: {
+      ...VDURA_HEADER_PATTERNS,
+      expires: [
+        { label: 'Renew By', regex: dateAfter('Renew\\s*By'), confidence: 'high', date: true },
+        ...VDURA_HEADER_PATTERNS.expires
+      ],
+      customer: [
+        { label: 'Customer Name', regex: textBetween('Customer\\s*Name', ['Contract', 'Coverage', 'Quote', 'Partner', 'RENEWALS?', 'SUPPORT']), confidence: 'high' },
+        ...VDURA_HEADER_PATTERNS.customer
+      ],
+      partner: [
+        { label: 'Partner Name', regex: textBetween('Partner\\s*Name', ['Contract', 'Coverage', 'RENEWALS?', 'SUPPORT', 'SOFTWARE']), confidence: 'high' }
+      ]
+    },
+    sectionNames: ['Renewals?', ...VDURA_SECTION_NAMES],
+    grandTotalLabels: ['Total\\s+Renewal\\s+Amount', ...GRAND_TOTAL_LABELS],
+    tableColumns: [
+      ...VDURA_TABLE_COLUMNS.slice(0, 5),
+      { key: 'discountPrice', label: /RENEWALPRICE|DISCOUNTED(PRICE)?/ },
+      VDURA_TABLE_COLUMNS[6]
+    ],
+    tableBreakPattern: /^(Total|Sub\s*total|RENEWALS?|SOFTWARE|SUPPORT|SERVICES|Notes?\b)/i,
+    baseProductCode: {
+      patterns: [
+        { label: 'Installed system', regex: /Installed\s*(?:Base|System)\s*:?\s*V(\d+)/i, format: match => `v${match[1]}` },
+        CONFIGURATION_NOTE
+      ],
+      fallback: 'v5000'
+    }
+  }
+];
+
+export const DEFAULT_QUOTE_TEMPLATE = QUOTE_TEMPLATES[0];
+
+/**
+ * Look up a template by id
+ * @param {string} id - Template id
+ * @returns {Object|null} - Template, or null if there is none with that id
+ */
+export function getQuoteTemplate(id) {
+  return QUOTE_TEMPLATES.find(template => template.id === id) || null;
+}
+
+/**
+ * Pick the template whose fingerprints best match a quote
+ * Ties go to the template listed first, and text matching no fingerprint falls back to the default.
+ * @param {string} text - Normalized PDF text
+ * @returns {Object} - { template, score, matched, confidence } where matched lists the
+ *   fingerprint labels found and confidence is 'high', 'medium' or 'low'
+ */
+export function detectTemplate(text) {
+  const scored = QUOTE_TEMPLATES.map(template => {
+    const matched = template.fingerprints.filter(fingerprint => fingerprint.regex.test(text));
+    return {
+      template,
+      score: matched.reduce((sum, fingerprint) => sum + fingerprint.weight, 0),
+      matched: matched.map(fingerprint => fingerprint.label)
+    };
+  });
+
+  const [best, runnerUp] = [...scored].sort((a, b) => b.score - a.score);
+  if (best.score === 0) {
+    return { template: DEFAULT_QUOTE_TEMPLATE, score: 0, matched: [], confidence: 'low' };
+  }
+
+  // A title fingerprint alone is enough, as long as no other layout matches as well
+  const confidence = best.score >= 3 && runnerUp.score < best.score ? 'high' : 'medium';
+  return { ...best, confidence };
+}
@@ -0,0 +1,204 @@
+import { HEADER_FIELDS, DEFAULT_CURRENCY } from '../utils/constants.js';
+import { parseDate } from '../utils/dates.js';
+import { rowKeys } from './rowSources.js';
+
+/**
+ * Reconcile transformed rows against the quote's own arithmetic and printed totals
+ */
+
+/**
+ * Parse a row value (rows hold formatted strings once edited in the grid)
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return 0;
+  // Edited cells may carry any currency symbol or code
+  const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Format an amount in the quote currency for issue messages
+ */
+function formatAmount(amount, currency) {
+  const code = currency || DEFAULT_CURRENCY;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(amount);
+  } catch {
+    // A currency edited into something that is not an ISO code
+    return `${amount.toFixed(2)} ${code}`;
+  }
+}
+
+/**
+ * Allowed difference for qty × months × unit price: unit prices are printed
+ * rounded to cents, so the error grows with the number of units
+ */
+function rowTolerance(qty, months) {
+  return Math.max(0.01, 0.005 * qty * months) + 1e-9;
+}
+
+/**
+ * Check each row's extended price against qty × months × discount price
+ */
+function checkRowArithmetic(rows, issues) {
+  rows.forEach((row, rowIndex) => {
+    const qty = toNumber(row.optionQty);
+    const months = toNumber(row.month) || 1;
+    const unitPrice = toNumber(row.discountPrice);
+    const extendedPrice = toNumber(row.extendedPrice);
+    const expected = qty * months * unitPrice;
+
+    if (Math.abs(expected - extendedPrice) > rowTolerance(qty, months)) {
+      issues.push({
+        type: 'row-arithmetic',
+        rowIndex,
+        message: `${row.productCode || `Row ${rowIndex + 1}`}: ${qty} × ${months} × ${formatAmount(unitPrice, row.currency)} = ${formatAmount(expected, row.currency)}, but extended price is ${formatAmount(extendedPrice, row.currency)}`
+      });
+    }
+  });
+}
+
+/**
+ * Check that bundle children add back up to their parent
+ */
+function checkBundles(rows, issues) {
+  rows.forEach((parent, parentIndex) => {
+    const children = [];
+    for (let i = parentIndex + 1; i < rows.length && rows[i].parentProductCode === parent.productCode; i++) {
+      children.push({ row: rows[i], rowIndex: i });
+    }
+    if (children.length === 0 || parent.parentProductCode) return;
+
+    const childUnitTotal = children.reduce((sum, { row }) => sum + toNumber(row.discountPrice), 0);
+    const parentUnitPrice = toNumber(parent.discountPrice);
+    if (Math.abs(childUnitTotal - parentUnitPrice) > 0.005) {
+      issues.push({
+        type: 'bundle-unit',
+        rowIndex: parentIndex,
+        message: `${parent.productCode}: child prices sum to ${formatAmount(childUnitTotal, parent.currency)}, parent discount price is ${formatAmount(parentUnitPrice, parent.currency)}`
+      });
+    }
+
+    const childExtendedTotal = children.reduce((sum, { row }) => sum + toNumber(row.extendedPrice), 0);
+    const parentExtended = toNumber(parent.extendedPrice);
+    const tolerance = rowTolerance(toNumber(parent.optionQty), toNumber(parent.month) || 1);
+    if (Math.abs(childExtendedTotal - parentExtended) > tolerance) {
+      issues.push({
+        type: 'bundle-extended',
+        rowIndex: parentIndex,
+        message: `${parent.productCode}: child extended prices sum to ${formatAmount(childExtendedTotal, parent.currency)}, parent extended price is ${formatAmount(parentExtended, parent.currency)}`
+      });
+    }
+
+    for (const { row, rowIndex } of children) {
+      if (toNumber(row.discountPrice) < 0) {
+        issues.push({
+          type: 'bundle-negative',
+          rowIndex,
+          message: `${row.productCode}: child price is negative (${formatAmount(toNumber(row.discountPrice), row.currency)})`
+        });
+      }
+    }
+  });
+}
+
+/**
+ * Check extracted rows against the quote's section and grand totals
+ */
+function checkTotals(rows, totals, issues) {
+  // Children restate their parent's amount, so only top-level rows count towards totals
+  const keys = rowKeys(rows);
+  const topLevel = rows.map((row, i) => ({ ...row, key: keys[i] })).filter(row => !row.parentProductCode);
+  const sumOf = (list) => list.reduce((sum, row) => sum + toNumber(row.extendedPrice), 0);
+  const currency = rows[0]?.currency;
+
+  for (const section of totals.sections) {
+    const sectionRows = topLevel.filter(row => section.partNos.includes(row.key));
+    const sectionTotal = sumOf(sectionRows);
+    if (Math.abs(sectionTotal - section.amount) > 0.01) {
+      issues.push({
+        type: 'section-total',
+        rowIndex: null,
+        message: `Total ${section.name} on quote is ${formatAmount(section.amount, currency)}, extracted rows sum to ${formatAmount(sectionTotal, currency)}`
+      });
+    }
+  }
+
+  const expectedTotal = totals.grandTotal ??
+    (totals.sections.length > 0 ? totals.sections.reduce((sum, s) => sum + s.amount, 0) : null);
+  if (expectedTotal !== null) {
+    const extractedTotal = sumOf(topLevel);
+    if (Math.abs(extractedTotal - expectedTotal) > 0.01) {
+      issues.push({
+        type: 'grand-total',
+        rowIndex: null,
+        message: `Quote total is ${formatAmount(expectedTotal, currency)}, extracted rows sum to ${formatAmount(extractedTotal, currency)}`
+      });
+    }
+  }
+}
+
+/**
+ * Check the quote and expiry dates: each must read as one date, and the quote must expire after it is dated
+ */
+function checkDates(rows, issues) {
+  const dates = {};
+
+  for (const field of HEADER_FIELDS.filter(f => f.date)) {
+    // Header edits apply to every row, so each distinct value is reported once
+    const values = [...new Set(rows.map(row => String(row[field.rowField] ?? '').trim()).filter(Boolean))];
+
+    for (const value of values) {
+      const { value: iso, status, readings } = parseDate(value);
+      if (status === 'ambiguous') {
+        issues.push({
+          type: 'date-ambiguous',
+          rowIndex: null,
+          message: `${field.label} "${value}" could be ${readings.join(' or ')}; enter it as YYYY-MM-DD`
+        });
+      } else if (status === 'invalid') {
+        issues.push({
+          type: 'date-invalid',
+          rowIndex: null,
+          message: `${field.label} "${value}" is not a recognised date`
+        });
+      } else if (values.length === 1) {
+        dates[field.rowField] = iso;
+      }
+    }
+  }
+
+  if (dates.quoteDate && dates.quoteExpires && dates.quoteExpires <= dates.quoteDate) {
+    issues.push({
+      type: 'date-order',
+      rowIndex: null,
+      message: `Quote Expires (${dates.quoteExpires}) is not after Quote Date (${dates.quoteDate})`
+    });
+  }
+}
+
+/**
+ * Validate transformed rows
+ * @param {Array} rows - Rows from transformData (possibly edited)
+ * @param {Object} [totals] - Totals from extractTotals
+ * @returns {Array} - Issues ({ type, rowIndex, message }); empty when everything reconciles
+ */
+export function validateQuote(rows, totals = { sections: [], grandTotal: null }) {
+  const issues = [];
+
+  checkRowArithmetic(rows, issues);
+  checkBundles(rows, issues);
+  checkTotals(rows, totals, issues);
+  checkDates(rows, issues);
+
+  return issues;
+}
+
+/**
+ * List required header fields that are still blank
+ * @param {Object} header - Header from extractHeader (possibly edited)
+ * @returns {Array} - Field definitions from HEADER_FIELDS
+ */
+export function findMissingHeaderFields(header) {
+  return HEADER_FIELDS.filter(field => field.required && !String(header?.[field.key] ?? '').trim());
+}
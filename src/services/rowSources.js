@@ -0,0 +1,68 @@
+/**
+ * Map preview rows back to where their line items were read on the PDF
+ */
+
+/**
+ * Key lines by part number; adjustments share codes (two discounts are both
+ * ADJ-DISCOUNT), so each is keyed by its place among its code instead, e.g. ADJ-DISCOUNT#2
+ */
+function keyLines(lines, codeOf, isAdjustment) {
+  const counts = new Map();
+  return lines.map(line => {
+    const code = codeOf(line);
+    if (!isAdjustment(line)) return code;
+    const n = (counts.get(code) || 0) + 1;
+    counts.set(code, n);
+    return `${code}#${n}`;
+  });
+}
+
+/**
+ * Key each line item so rows can be matched back to it (see rowKeys)
+ * @param {Array} lineItems - Items from extractLineItems
+ * @returns {Array} - Per item, its part number, or for adjustments the numbered code
+ */
+export function lineItemKeys(lineItems) {
+  return keyLines(lineItems, item => item.partNo, item => Boolean(item.adjustment));
+}
+
+/**
+ * Key each row like the line item it came from (see lineItemKeys)
+ * Bundle children keep their own product code.
+ * @param {Array} rows - Rows from transformData (possibly edited)
+ * @returns {Array} - Per row, its product code, or for adjustments the numbered code
+ */
+export function rowKeys(rows) {
+  return keyLines(rows, row => row.productCode, row => row.lineType === 'adjustment' && !row.parentProductCode);
+}
+
+/**
+ * Find the line item behind each row
+ * Bundle child rows map to their parent's item; rows added by hand have none.
+ * @param {Array} rows - Rows from transformData (possibly edited)
+ * @param {Array} lineItems - Items from extractLineItems
+ * @returns {Array} - Per row, the line item or null
+ */
+export function matchRowsToItems(rows, lineItems) {
+  const items = new Map();
+  lineItemKeys(lineItems).forEach((key, i) => {
+    if (!items.has(key)) items.set(key, lineItems[i]);
+  });
+
+  const keys = rowKeys(rows);
+  return rows.map((row, i) => items.get(row.parentProductCode || keys[i]) || null);
+}
+
+/**
+ * Find the source region of each row
+ * Bundle child rows point at their parent's region; rows added by hand have none.
+ * @param {Array} rows - Rows from transformData (possibly edited)
+ * @param {Array} lineItems - Items from extractLineItems
+ * @returns {Array} - Per row, { page, bounds } in PDF user space or null
+ */
+export function locateRows(rows, lineItems) {
+  return matchRowsToItems(rows, lineItems).map(item => {
+    const { page, bounds } = item?.extraction || {};
+    return page && bounds ? { page, bounds } : null;
+  });
+}
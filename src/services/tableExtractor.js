@@ -0,0 +1,249 @@
+import { DEFAULT_QUOTE_TEMPLATE } from './quoteTemplates.js';
+
+/**
+ * Layout-aware extraction of the quotation line-item table
+ * Works on positioned text items (see extractPagesFromPDF) instead of flattened text.
+ * Column labels and section breaks come from the quote template (see quoteTemplates.js).
+ */
+
+// Part numbers look like "VDP-VDURACare-10-HP", "SVC-INSTALL", "VCH-J78"
+const PART_NO_PATTERN = /^[A-Za-z]{2,}[A-Za-z0-9.]*-[A-Za-z0-9.-]+$/;
+
+/**
+ * Group a page's text items into lines by y-coordinate
+ * @param {Array} items - Positioned text items ({ str, x, y, width, height })
+ * @returns {Array} - Lines sorted top to bottom, each with items sorted left to right
+ */
+export function groupItemsIntoLines(items) {
+  const sorted = items
+    .filter(item => item.str && item.str.trim() !== '')
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+
+  for (const item of sorted) {
+    const tolerance = Math.max(item.height || 0, 4) * 0.5;
+    const line = lines.find(l => Math.abs(l.y - item.y) <= tolerance);
+
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, height: item.height || 0, items: [item] });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.text = joinItems(line.items);
+  }
+
+  return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Join items left to right, inserting a space only where there is a visible gap
+ */
+function joinItems(items) {
+  let text = '';
+  let prevEnd = null;
+
+  for (const item of items) {
+    const gap = prevEnd === null ? 0 : item.x - prevEnd;
+    const spaceWidth = Math.max(item.height || 0, 4) * 0.2;
+
+    if (prevEnd !== null && gap > spaceWidth) {
+      text += ' ';
+    }
+    text += item.str;
+    prevEnd = item.x + (item.width || 0);
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Detect the table header row and return column x-ranges
+ * @param {Object} line - A line from groupItemsIntoLines
+ * @param {Array} [tableColumns] - Column labels in print order, from a quote template
+ * @returns {Array|null} - Columns ({ key, start, end }) or null if not a header line
+ */
+export function detectHeaderRow(line, tableColumns = DEFAULT_QUOTE_TEMPLATE.tableColumns) {
+  // Build a compacted string with the x-position of every character
+  let compact = '';
+  const positions = [];
+
+  for (const item of line.items) {
+    const chars = item.str.replace(/\s+/g, '');
+    const charWidth = chars.length ? (item.width || 0) / chars.length : 0;
+    for (let i = 0; i < chars.length; i++) {
+      compact += chars[i].toUpperCase();
+      positions.push({ start: item.x + i * charWidth, end: item.x + (i + 1) * charWidth });
+    }
+  }
+
+  const columns = [];
+  let searchFrom = 0;
+
+  for (const column of tableColumns) {
+    const match = compact.slice(searchFrom).match(column.label);
+    if (!match) {
+      if (column.optional) continue;
+      return null;
+    }
+
+    const startIndex = searchFrom + match.index;
+    const endIndex = startIndex + match[0].length - 1;
+    columns.push({
+      key: column.key,
+      leftAligned: Boolean(column.leftAligned),
+      start: positions[startIndex].start,
+      end: positions[endIndex].end
+    });
+    searchFrom = endIndex + 1;
+  }
+
+  // Left-aligned text runs up to the next label; numeric columns split
+  // halfway between neighbouring labels since their values are right-aligned
+  const boundaries = columns.slice(1).map((column, i) => (
+    columns[i].leftAligned ? column.start : (columns[i].end + column.start) / 2
+  ));
+
+  return columns.map((column, i) => ({
+    key: column.key,
+    start: i === 0 ? -Infinity : boundaries[i - 1],
+    end: i === columns.length - 1 ? Infinity : boundaries[i]
+  }));
+}
+
+/**
+ * Assign a line's items to columns by horizontal overlap
+ */
+function splitLineIntoCells(line, columns) {
+  const cellItems = Object.fromEntries(columns.map(c => [c.key, []]));
+
+  for (const item of line.items) {
+    const itemStart = item.x;
+    const itemEnd = item.x + Math.max(item.width || 0, 0.1);
+
+    let best = null;
+    let bestOverlap = -Infinity;
+    for (const column of columns) {
+      const overlap = Math.min(itemEnd, column.end) - Math.max(itemStart, column.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        best = column;
+      }
+    }
+    cellItems[best.key].push(item);
+  }
+
+  const cells = {};
+  for (const [key, items] of Object.entries(cellItems)) {
+    cells[key] = joinItems(items);
+  }
+  return cells;
+}
+
+/**
+ * Bounding box of a line in page coordinates
+ */
+function lineBounds(line) {
+  const left = Math.min(...line.items.map(item => item.x));
+  const right = Math.max(...line.items.map(item => item.x + (item.width || 0)));
+  return { x: left, y: line.y, width: right - left, height: line.height };
+}
+
+function mergeBounds(a, b) {
+  const left = Math.min(a.x, b.x);
+  const right = Math.max(a.x + a.width, b.x + b.width);
+  const bottom = Math.min(a.y, b.y);
+  const top = Math.max(a.y + a.height, b.y + b.height);
+  return { x: left, y: bottom, width: right - left, height: top - bottom };
+}
+
+/**
+ * Extract structured line-item rows from positioned PDF pages
+ * @param {Array} pages - Pages from extractPagesFromPDF ({ pageNumber, items })
+ * @param {Object} [template] - Quote template describing the table layout
+ * @returns {Array} - Rows with raw cell strings, page number and bounds
+ */
+export function extractTableRows(pages, template = DEFAULT_QUOTE_TEMPLATE) {
+  const rows = [];
+  let columns = null;
+
+  for (const page of pages) {
+    const lines = groupItemsIntoLines(page.items);
+    let current = null;
+
+    for (const line of lines) {
+      const headerColumns = detectHeaderRow(line, template.tableColumns);
+      if (headerColumns) {
+        columns = headerColumns;
+        current = null;
+        continue;
+      }
+
+      // Tables may continue onto a page without repeating the header
+      if (!columns) continue;
+
+      if (template.tableBreakPattern.test(line.text)) {
+        current = null;
+        continue;
+      }
+
+      const cells = splitLineIntoCells(line, columns);
+      const partNo = cells.partNo.replace(/\s*-\s*/g, '-').replace(/\s+/g, '');
+
+      if (partNo && PART_NO_PATTERN.test(partNo)) {
+        current = {
+          partNo,
+          description: cells.description,
+          qty: cells.qty,
+          months: cells.months || '',
+          listPrice: cells.listPrice,
+          discountPrice: cells.discountPrice,
+          extendedPrice: cells.extendedPrice,
+          page: page.pageNumber,
+          bounds: lineBounds(line)
+        };
+        rows.push(current);
+        continue;
+      }
+
+      // Wrapped description: text only in the description column
+      const otherCells = columns
+        .filter(c => c.key !== 'description')
+        .some(c => cells[c.key]);
+      if (current && cells.description && !otherCells) {
+        current.description = `${current.description} ${cells.description}`.trim();
+        current.bounds = mergeBounds(current.bounds, lineBounds(line));
+      } else {
+        current = null;
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Find the first line containing some text, ignoring spacing
+ * Used to place line items matched in flattened text back on their page.
+ * @param {Array} pages - Pages from extractPagesFromPDF
+ * @param {string} text - Text to look for, such as a part number
+ * @returns {Object|null} - { page, bounds } in PDF user space, or null when not found
+ */
+export function locateText(pages, text) {
+  const needle = text.replace(/\s+/g, '').toUpperCase();
+  if (!needle) return null;
+
+  for (const page of pages) {
+    for (const line of groupItemsIntoLines(page.items)) {
+      if (line.text.replace(/\s+/g, '').toUpperCase().includes(needle)) {
+        return { page: page.pageNumber, bounds: lineBounds(line) };
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,277 @@
+import {
+  HEADER_FIELDS,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  DATE_FIELDS,
+  DATE_FORMATS,
+  DEFAULT_DATE_FORMAT
+} from '../utils/constants.js';
+import { parseDate } from '../utils/dates.js';
+import { createZip } from '../utils/zip.js';
+import { DEFAULT_EXPORT_PROFILE, selectProfileRows } from './exportProfiles.js';
+import { loadProductFamilies } from './productFamilies.js';
+
+/**
+ * Generate Excel workbooks (.xlsx) in the browser
+ * Writes SpreadsheetML by hand so no data or dependency leaves the page
+ */
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Cell style indexes into cellXfs in styles.xml
+const STYLE = {
+  default: 0,
+  currency: 1,
+  date: 2,
+  decimal: 3,
+  bold: 4,
+  boldCurrency: 5
+};
+
+// Row fields and how their cells are typed
+const CURRENCY_FIELDS = ['listPrice', 'discountPrice', 'extendedPrice'];
+const DECIMAL_FIELDS = ['discountPercentage'];
+const INTEGER_FIELDS = ['optionQty', 'month'];
+
+/**
+ * Excel number format for amounts: the currency symbol where it has one, otherwise its code
+ */
+function currencyFormatCode(code) {
+  const symbol = CURRENCIES.find(currency => currency.code === code)?.symbol;
+  return `&quot;${symbol || `${code} `}&quot;#,##0.00`;
+}
+
+const stylesXml = (currency, dateFormat) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="3">
+<numFmt numFmtId="164" formatCode="${currencyFormatCode(currency)}"/>
+<numFmt numFmtId="165" formatCode="${(DATE_FORMATS.find(format => format.id === dateFormat) || DATE_FORMATS[0]).excelFormat}"/>
+<numFmt numFmtId="166" formatCode="0.00"/>
+</numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * Column letter for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  if (cleaned === '') return null;
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a date to an Excel serial day number; dates that do not parse to one day stay text
+ */
+function toExcelDate(value) {
+  const { value: iso, status } = parseDate(value);
+  if (status !== 'parsed') return null;
+  const [year, month, day] = iso.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * Build a typed cell ({ value, type, style }) for a row field
+ */
+function typedCell(field, value) {
+  if (CURRENCY_FIELDS.includes(field)) {
+    const number = parseNumber(value);
+    if (number !== null) return { value: number, type: 'n', style: STYLE.currency };
+  }
+  if (DATE_FIELDS.includes(field)) {
+    const serial = toExcelDate(value);
+    if (serial !== null) return { value: serial, type: 'n', style: STYLE.date };
+  }
+  if (DECIMAL_FIELDS.includes(field)) {
+    const number = parseNumber(value);
+    if (number !== null) return { value: number, type: 'n', style: STYLE.decimal };
+  }
+  if (INTEGER_FIELDS.includes(field)) {
+    const number = parseNumber(value);
+    if (number !== null) return { value: number, type: 'n', style: STYLE.default };
+  }
+  if (typeof value === 'number') {
+    return { value, type: 'n', style: STYLE.default };
+  }
+  return { value: value ?? '', type: 's', style: STYLE.default };
+}
+
+function cellXml(cell, rowIndex, columnIndex) {
+  const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+  const style = cell.style ? ` s="${cell.style}"` : '';
+
+  if (cell.type === 'n') {
+    return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+  }
+  if (cell.value === '') {
+    return `<c r="${ref}"${style}/>`;
+  }
+  return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+}
+
+/**
+ * Build a worksheet from rows of typed cells
+ */
+function sheetXml(cellRows, { widths = [], freezeHeader = false } = {}) {
+  const views = freezeHeader
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : '';
+  const cols = widths.length > 0
+    ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const rows = cellRows
+    .map((cells, r) => `<row r="${r + 1}">${cells.map((cell, c) => cellXml(cell, r, c)).join('')}</row>`)
+    .join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `${views}${cols}<sheetData>${rows}</sheetData></worksheet>`;
+}
+
+const text = (value) => ({ value: value ?? '', type: 's', style: STYLE.default });
+const bold = (value) => ({ value: value ?? '', type: 's', style: STYLE.bold });
+const currency = (value, style = STYLE.currency) => ({ value, type: 'n', style });
+
+/**
+ * Line items sheet: one row per transformed row the export profile writes, using its columns
+ */
+function buildLineItemsSheet(rows, profile) {
+  const headerRow = profile.columns.map(column => bold(column.header));
+  const dataRows = selectProfileRows(rows, profile).map(row => profile.columns.map(column => {
+    if (column.value) return typedCell(null, column.value(row));
+    if (column.field) return typedCell(column.field, row[column.field]);
+    return text(column.constant);
+  }));
+
+  const widths = profile.columns.map(column => Math.min(Math.max(column.header.length + 2, 12), 60));
+  return sheetXml([headerRow, ...dataRows], { widths, freezeHeader: true });
+}
+
+/**
+ * Summary sheet: quote header plus extended price totals by product family
+ */
+function buildSummarySheet(rows, header, opportunityId, families) {
+  const matchers = families.map(family => ({
+    name: family.name,
+    regex: new RegExp(`^(?:${family.pattern})$`, 'i')
+  }));
+
+  // Children restate their parent's amount, so only top-level rows are totalled
+  const totals = new Map();
+  for (const row of rows.filter(r => !r.parentProductCode)) {
+    const family = matchers.find(m => m.regex.test(row.productCode))?.name || 'Other';
+    totals.set(family, (totals.get(family) || 0) + (parseNumber(row.extendedPrice) || 0));
+  }
+  const grandTotal = [...totals.values()].reduce((sum, amount) => sum + amount, 0);
+
+  const cellRows = [
+    [bold('Quote Summary')],
+    [],
+    ...HEADER_FIELDS.map(field => [
+      bold(field.label),
+      DATE_FIELDS.includes(field.rowField) ? typedCell(field.rowField, header?.[field.key]) : text(header?.[field.key])
+    ]),
+    [bold('Opportunity ID'), text(opportunityId)],
+    [],
+    [bold('Product Family'), bold('Extended Price')],
+    ...[...totals.entries()].map(([family, amount]) => [text(family), currency(amount)]),
+    [bold('Total'), currency(grandTotal, STYLE.boldCurrency)]
+  ];
+
+  return sheetXml(cellRows, { widths: [24, 40] });
+}
+
+/**
+ * Generate an XLSX workbook with a line items sheet and a summary sheet
+ * Amounts are formatted in the currency of the first row.
+ * @param {Array} rows - Transformed rows
+ * @param {Object} options
+ * @param {Object} [options.profile] - Export profile for the line items columns
+ * @param {Object} [options.header] - Quote header for the summary sheet
+ * @param {string} [options.opportunityId] - Opportunity ID for the summary sheet
+ * @param {Array} [options.families] - Product families used to group totals
+ * @param {string} [options.dateFormat] - Id from DATE_FORMATS for date cells
+ * @returns {Uint8Array} - XLSX file bytes
+ */
+export function generateXLSX(rows, {
+  profile = DEFAULT_EXPORT_PROFILE,
+  header = null,
+  opportunityId = rows[0]?.opportunityId || '',
+  families = loadProductFamilies(),
+  dateFormat = DEFAULT_DATE_FORMAT
+} = {}) {
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheets><sheet name="Line Items" sheetId="1" r:id="rId1"/><sheet name="Summary" sheetId="2" r:id="rId2"/></sheets>' +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet2.xml"/>' +
+        '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', content: stylesXml(rows[0]?.currency || DEFAULT_CURRENCY, dateFormat) },
+    { name: 'xl/worksheets/sheet1.xml', content: buildLineItemsSheet(rows, profile) },
+    { name: 'xl/worksheets/sheet2.xml', content: buildSummarySheet(rows, header, opportunityId, families) }
+  ];
+
+  return createZip(files);
+}
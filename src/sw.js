@@ -0,0 +1,43 @@
+/**
+ * Service worker for offline use
+ * Built by vite/serviceWorker.js, which replaces the placeholders below with
+ * the build's file list and a cache name derived from it.
+ */
+
+const CACHE_NAME = __CACHE_NAME__;
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left by previous builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages go to the network first so a new deploy is picked up, falling back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Build assets have hashed names, so a cached copy is always current
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,52 @@
+/**
+ * Persist a user-editable configuration list in localStorage with JSON import/export
+ * localStorage is unavailable outside the browser (workers, Node), where defaults apply
+ *
+ * @param {Object} options
+ * @param {string} options.storageKey - localStorage key
+ * @param {Array} options.defaults - Configuration used when nothing is saved
+ * @param {Function} options.validate - Validates and normalizes a parsed list; throws on error
+ * @param {string} options.label - Human-readable name used in log messages
+ */
+export function createConfigStore({ storageKey, defaults, validate, label }) {
+  const getStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+  return {
+    load() {
+      const stored = getStorage()?.getItem(storageKey);
+      if (!stored) return defaults;
+
+      try {
+        return validate(JSON.parse(stored));
+      } catch (error) {
+        console.error(`Ignoring invalid stored ${label}:`, error);
+        return defaults;
+      }
+    },
+
+    save(items) {
+      const validated = validate(items);
+      getStorage()?.setItem(storageKey, JSON.stringify(validated));
+      return validated;
+    },
+
+    reset() {
+      getStorage()?.removeItem(storageKey);
+      return defaults;
+    },
+
+    exportJson(items) {
+      return JSON.stringify(items, null, 2);
+    },
+
+    importJson(json) {
+      let parsed;
+      try {
+        parsed = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+      }
+      return validate(parsed);
+    }
+  };
+}
@@ -1,33 +1,159 @@
-// VDURACare child item definitions
-// Support prices are fixed; Software price = parent discount price - support price
-
-export const VDURACARE_CHILDREN = {
-  HP: {
-    software: {
-      code: 'VDP-SW-P-10-HP',
-      description: 'VDURA Data Platform – Physical, 10TB, High Performance Tier, One Month Subscription Term'
-    },
-    support: {
-      code: 'HW-Support-HP-NBD',
-      fixedPrice: 3.00,  // Always $3.00
-      description: 'VDURA Care – Physical 10TB, High Performance Tier, Basic Support'
-    }
+// Bundle explosion rules: a parent line item matching parentPattern is followed by child rows
+// Child pricing (per unit, derived from the parent's discount price):
+//   fixed     - always `value`
+//   percent   - `value`% of the parent discount price
+//   remainder - parent discount price minus every other child
+export const BUNDLE_PRICING_TYPES = ['fixed', 'percent', 'remainder'];
+
+export const DEFAULT_BUNDLE_RULES = [
+  {
+    id: 'vduracare-hp',
+    name: 'VDURACare High Performance',
+    parentPattern: 'VDP-VDURACare-\\d+-HP',
+    children: [
+      {
+        code: 'VDP-SW-P-10-HP',
+        description: 'VDURA Data Platform – Physical, 10TB, High Performance Tier, One Month Subscription Term',
+        pricing: 'remainder',
+        value: null
+      },
+      {
+        code: 'HW-Support-HP-NBD',
+        description: 'VDURA Care – Physical 10TB, High Performance Tier, Basic Support',
+        pricing: 'fixed',
+        value: 3.00
+      }
+    ]
   },
-  C: {
-    software: {
-      code: 'VDP-SW-P-10-C',
-      description: 'VDURA Data Platform – Physicial, 10TB, Capacity Tier, One Month Subscription Term'
-    },
-    support: {
-      code: 'HW-Support-C-NBD',
-      fixedPrice: 0.30,  // Always $0.30
-      description: 'VDURA Care – Physical 10TB, Capacity Tier, Basic Support'
-    }
+  {
+    id: 'vduracare-c',
+    name: 'VDURACare Capacity',
+    parentPattern: 'VDP-VDURACare-\\d+-C',
+    children: [
+      {
+        code: 'VDP-SW-P-10-C',
+        description: 'VDURA Data Platform – Physicial, 10TB, Capacity Tier, One Month Subscription Term',
+        pricing: 'remainder',
+        value: null
+      },
+      {
+        code: 'HW-Support-C-NBD',
+        description: 'VDURA Care – Physical 10TB, Capacity Tier, Basic Support',
+        pricing: 'fixed',
+        value: 0.30
+      }
+    ]
   }
-};
+];
+
+// Product families recognised as line items
+// pattern: regex source matching the whole part number
+// hasMonths: the row carries a MONTHS column between QTY and LIST PRICE
+// dedupKey: item fields that identify a repeated row (pdf.js may emit a table twice)
+export const DEFAULT_PRODUCT_FAMILIES = [
+  {
+    id: 'vduracare',
+    name: 'VDURACare',
+    pattern: 'VDP-VDURACare-\\d+-[A-Z]+',
+    hasMonths: true,
+    dedupKey: ['partNo', 'qty', 'months']
+  },
+  {
+    id: 'svc',
+    name: 'Services (SVC)',
+    pattern: 'SVC-[A-Za-z0-9-]+',
+    hasMonths: false,
+    dedupKey: ['partNo', 'qty', 'extendedPrice']
+  },
+  {
+    id: 'vch',
+    name: 'Hardware (VCH)',
+    pattern: 'VCH-[A-Za-z0-9.-]+',
+    hasMonths: false,
+    dedupKey: ['partNo', 'qty', 'extendedPrice']
+  }
+];
+
+// Quote lines without a part number that still count towards the total
+// pattern: regex source matching the printed label, followed on the quote by one amount
+// productCode: code written to the row's Product Code
+// reducesTotal: always exported as a negative amount, however the quote prints it
+export const ADJUSTMENT_TYPES = [
+  {
+    id: 'discount',
+    label: 'Discount',
+    pattern: '(?:(?:Special|Additional|Promotional|Volume|Partner|Loyalty|One[-\\s]?Time)\\s+)?Discount',
+    productCode: 'ADJ-DISCOUNT',
+    reducesTotal: true
+  },
+  {
+    id: 'credit',
+    label: 'Credit',
+    pattern: 'Trade[-\\s]?in(?:\\s+(?:Allowance|Credit))?|(?:(?:Promotional|Service|Migration|Loyalty)\\s+)?Credit',
+    productCode: 'ADJ-CREDIT',
+    reducesTotal: true
+  },
+  {
+    id: 'freight',
+    label: 'Freight',
+    pattern: '(?:Freight|Shipping)(?:\\s+(?:and|&)\\s+Handling)?',
+    productCode: 'ADJ-FREIGHT',
+    reducesTotal: false
+  },
+  {
+    id: 'tax',
+    label: 'Tax',
+    pattern: '(?:(?:Sales|Use|Estimated)\\s+)?Tax|VAT|GST',
+    productCode: 'ADJ-TAX',
+    reducesTotal: false
+  }
+];
 
-// Pattern to identify VDURACare items and their tier
-export const VDURACARE_PATTERN = /VDP-VDURACare-\d+-(\w+)/;
+// Row types written by transformData: product lines (with their bundle children) and adjustments
+export const LINE_TYPES = ['item', 'adjustment'];
+
+// Line item fields that may be used in a product family dedupKey
+export const LINE_ITEM_FIELDS = ['partNo', 'qty', 'months', 'listPrice', 'discountPrice', 'extendedPrice'];
+
+// Quote header fields, the CSV row field each one fills, and whether export needs it
+export const HEADER_FIELDS = [
+  { key: 'quoteNumber', label: 'Quote Number', rowField: 'quoteNumber', required: true },
+  { key: 'quoteDate', label: 'Quote Date', rowField: 'quoteDate', required: true, date: true },
+  { key: 'expires', label: 'Quote Expires', rowField: 'quoteExpires', required: true, date: true },
+  { key: 'customer', label: 'Customer Name', rowField: 'customerName', required: true },
+  { key: 'partner', label: 'Partner Name', rowField: 'partnerName', required: false },
+  { key: 'preparedBy', label: 'Prepared By', rowField: 'preparedBy', required: true },
+  { key: 'email', label: 'Email', rowField: 'email', required: true },
+  { key: 'currency', label: 'Currency', rowField: 'currency', required: true }
+];
+
+// Currencies recognised on quotes: ISO 4217 code and the symbol printed with amounts, if any.
+// "$" is read as USD unless the quote also names another dollar currency by code.
+export const CURRENCIES = [
+  { code: 'USD', symbol: '$' },
+  { code: 'EUR', symbol: '€' },
+  { code: 'GBP', symbol: '£' },
+  { code: 'JPY', symbol: '¥' },
+  { code: 'CHF', symbol: null },
+  { code: 'CAD', symbol: null },
+  { code: 'AUD', symbol: null }
+];
+
+// Currency assumed when a quote shows no currency at all
+export const DEFAULT_CURRENCY = 'USD';
+
+// Row fields holding a date (ISO YYYY-MM-DD until exported)
+export const DATE_FIELDS = ['quoteDate', 'quoteExpires'];
+
+// Output formats for date columns: a text pattern for CSV and the matching Excel number format
+export const DATE_FORMATS = [
+  { id: 'mdy', label: 'MM/DD/YYYY', pattern: 'MM/DD/YYYY', excelFormat: 'mm/dd/yyyy' },
+  { id: 'dmy', label: 'DD/MM/YYYY', pattern: 'DD/MM/YYYY', excelFormat: 'dd/mm/yyyy' },
+  { id: 'dmy-dot', label: 'DD.MM.YYYY', pattern: 'DD.MM.YYYY', excelFormat: 'dd.mm.yyyy' },
+  { id: 'iso', label: 'YYYY-MM-DD (ISO 8601)', pattern: 'YYYY-MM-DD', excelFormat: 'yyyy-mm-dd' }
+];
+
+export const DEFAULT_DATE_FORMAT = 'mdy';
 
 // CSV column headers
 export const CSV_HEADERS = [
@@ -50,10 +176,40 @@ export const CSV_HEADERS = [
   'Extended Price',
   'Option Description',
   'Quote Expires',
-  'Status'
+  'Status',
+  'Currency'
+];
+
+// Row object fields, in the same order as CSV_HEADERS
+// Columns added later go at the end so imports that map columns by position keep working
+export const CSV_FIELDS = [
+  'quoteDate',
+  'opportunityId',
+  'customerName',
+  'partnerName',
+  'preparedBy',
+  'email',
+  'quoteNumber',
+  'baseProductCode',
+  'baseDescription',
+  'productCode',
+  'parentProductCode',
+  'listPrice',
+  'discountPercentage',
+  'discountPrice',
+  'optionQty',
+  'month',
+  'extendedPrice',
+  'optionDescription',
+  'quoteExpires',
+  'status',
+  'currency'
 ];
 
 // Default values
 export const DEFAULT_STATUS = 'New';
 export const BASE_PRODUCT_CODE = 'v5000';
 export const BASE_DESCRIPTION = 'v5000';
+
+// Conversions that report no progress for this long are stopped (pathological PDFs)
+export const CONVERSION_TIMEOUT_MS = 120000;
@@ -0,0 +1,132 @@
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT } from './constants.js';
+
+/**
+ * Date parsing and formatting
+ * Quote dates are held as ISO YYYY-MM-DD and only formatted for export. Numeric dates
+ * that read as both MM/DD and DD/MM are reported as ambiguous rather than guessed.
+ */
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const MONTH = '[A-Za-z]{3,9}\\.?';
+const DAY = '\\d{1,2}(?:st|nd|rd|th)?';
+
+// Source for a regex matching any supported date, for use inside header patterns
+export const DATE_PATTERN = [
+  '\\d{4}[-/.]\\d{1,2}[-/.]\\d{1,2}',
+  '\\d{1,2}[-/.]\\d{1,2}[-/.]\\d{4}',
+  `${DAY}[\\s-]*${MONTH}[\\s,-]*\\d{4}`,
+  `${MONTH}\\s*${DAY}\\s*,?\\s*\\d{4}`
+].join('|');
+
+/**
+ * Month number for an English month name or abbreviation of at least three letters
+ */
+function monthNumber(name) {
+  const lower = name.toLowerCase();
+  if (lower.length < 3) return null;
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(lower));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * ISO date for a year, month and day, or null if no such day exists
+ */
+function toIso(year, month, day) {
+  if (month < 1 || month > 12 || day < 1) return null;
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a date as printed on a quote
+ * Accepts ISO (2026-01-30), numeric (01/30/2026, 30/01/2026, 30.01.2026) and month-name
+ * forms (January 30, 2026; 30 January 2026; 30-Jan-2026). Dotted numeric dates are day first.
+ * @param {string} text - Date text
+ * @param {Object} [options]
+ * @param {string} [options.order] - 'mdy' or 'dmy', used to settle numeric dates that read both ways
+ * @returns {Object} - { value, status, readings } where status is 'parsed', 'ambiguous' or
+ *   'invalid', value is the ISO date once parsed, and readings lists every ISO date the text could mean
+ */
+export function parseDate(text, { order = null } = {}) {
+  const cleaned = String(text ?? '').trim();
+  const invalid = { value: null, status: 'invalid', readings: [] };
+  let match;
+
+  if ((match = cleaned.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    const value = toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+    return value ? { value, status: 'parsed', readings: [value] } : invalid;
+  }
+
+  if ((match = cleaned.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4})$/))) {
+    const [first, separator, second, year] = [Number(match[1]), match[2], Number(match[3]), Number(match[4])];
+    const mdy = separator === '.' ? null : toIso(year, first, second);
+    const dmy = toIso(year, second, first);
+    const readings = [...new Set([mdy, dmy].filter(Boolean))];
+
+    if (readings.length === 0) return invalid;
+    if (readings.length === 1) return { value: readings[0], status: 'parsed', readings };
+    if (order === 'mdy' || order === 'dmy') {
+      return { value: order === 'mdy' ? mdy : dmy, status: 'parsed', readings };
+    }
+    return { value: null, status: 'ambiguous', readings };
+  }
+
+  let year, month, day;
+  if ((match = cleaned.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]*([A-Za-z]{3,9})\.?[\s,-]*(\d{4})$/))) {
+    [day, month, year] = [Number(match[1]), monthNumber(match[2]), Number(match[3])];
+  } else if ((match = cleaned.match(/^([A-Za-z]{3,9})\.?\s*(\d{1,2})(?:st|nd|rd|th)?\s*,?\s*(\d{4})$/))) {
+    [month, day, year] = [monthNumber(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    return invalid;
+  }
+
+  const value = month ? toIso(year, month, day) : null;
+  return value ? { value, status: 'parsed', readings: [value] } : invalid;
+}
+
+/**
+ * Work out whether a document writes numeric dates month or day first
+ * Only dates with a part above 12 count; conflicting evidence gives no answer.
+ * @param {string} text - Document text
+ * @returns {string|null} - 'mdy', 'dmy' or null
+ */
+export function detectDateOrder(text) {
+  const orders = new Set();
+
+  for (const [, first, second] of String(text).matchAll(/\b(\d{1,2})[/-](\d{1,2})[/-]\d{4}\b/g)) {
+    if (Number(first) > 12 && Number(second) <= 12) orders.add('dmy');
+    if (Number(second) > 12 && Number(first) <= 12) orders.add('mdy');
+  }
+
+  return orders.size === 1 ? [...orders][0] : null;
+}
+
+/**
+ * Whether a value is a real ISO YYYY-MM-DD date
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export function isIsoDate(value) {
+  const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return Boolean(match && toIso(Number(match[1]), Number(match[2]), Number(match[3])));
+}
+
+/**
+ * Format a date for export
+ * Values that do not parse to a single date are returned unchanged.
+ * @param {string} value - ISO date, or any text parseDate understands
+ * @param {string} [format] - Id from DATE_FORMATS
+ * @returns {string} - Formatted date
+ */
+export function formatDate(value, format = DEFAULT_DATE_FORMAT) {
+  const { value: iso, status } = parseDate(value);
+  if (status !== 'parsed') return value ?? '';
+
+  const [year, month, day] = iso.split('-');
+  const { pattern } = DATE_FORMATS.find(entry => entry.id === format) || DATE_FORMATS[0];
+  return pattern.replace('YYYY', year).replace('MM', month).replace('DD', day);
+}
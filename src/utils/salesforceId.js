@@ -0,0 +1,147 @@
+/**
+ * Salesforce record IDs
+ * IDs are 15 characters and case-sensitive, or 18 characters with a suffix that encodes the
+ * case of the first 15 so the ID survives case-insensitive tools (Excel, some URLs).
+ */
+
+// Key prefix of Opportunity records
+export const OPPORTUNITY_ID_PREFIX = '006';
+
+const SUFFIX_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ012345';
+
+// A 15- or 18-character ID as its own word, e.g. inside a URL
+const ID_TOKEN = /(?<![A-Za-z0-9])([A-Za-z0-9]{15}(?:[A-Za-z0-9]{3})?)(?![A-Za-z0-9])/g;
+
+/**
+ * Case-safe suffix for a 15-character ID: one character per five, flagging its capitals
+ */
+function checksumSuffix(id15) {
+  let suffix = '';
+  for (let chunk = 0; chunk < 3; chunk++) {
+    let flags = 0;
+    for (let i = 0; i < 5; i++) {
+      const char = id15[chunk * 5 + i];
+      if (char >= 'A' && char <= 'Z') flags |= 1 << i;
+    }
+    suffix += SUFFIX_ALPHABET[flags];
+  }
+  return suffix;
+}
+
+/**
+ * Restore the case of the first 15 characters from an 18-character ID's suffix
+ * @returns {string|null} - The corrected ID, or null if the suffix cannot describe them
+ */
+function restoreCase(id18) {
+  const suffix = id18.slice(15).toUpperCase();
+  let restored = '';
+
+  for (let chunk = 0; chunk < 3; chunk++) {
+    const flags = SUFFIX_ALPHABET.indexOf(suffix[chunk]);
+    if (flags === -1) return null;
+    for (let i = 0; i < 5; i++) {
+      const char = id18[chunk * 5 + i];
+      const upper = (flags & (1 << i)) !== 0;
+      // Only letters have a case, so a flag on a digit means the ID is mistyped
+      if (upper && !/[A-Za-z]/.test(char)) return null;
+      restored += upper ? char.toUpperCase() : char.toLowerCase();
+    }
+  }
+
+  return restored + suffix;
+}
+
+/**
+ * Convert a 15-character ID to its 18-character case-safe form
+ * @param {string} id - 15-character ID
+ * @returns {string} - 18-character ID
+ */
+export function toCaseSafeId(id) {
+  return id + checksumSuffix(id);
+}
+
+/**
+ * Pick the record ID out of a pasted Salesforce URL
+ * Opportunity IDs win over other IDs in the same URL (e.g. a record page's org ID).
+ */
+function idFromUrl(text) {
+  const tokens = [...text.matchAll(ID_TOKEN)].map(match => match[1]);
+  return tokens.find(token => token.startsWith(OPPORTUNITY_ID_PREFIX)) ||
+    tokens.find(token => /^0[A-Za-z0-9]{2}/.test(token)) ||
+    null;
+}
+
+/**
+ * Check an Opportunity ID as typed or pasted
+ * Accepts 15- and 18-character IDs and Salesforce URLs; 15-character IDs are converted to 18
+ * and a mis-cased 18-character ID is corrected from its suffix.
+ * @param {string} input - Entered text
+ * @returns {Object} - { id, error }: the 18-character ID when valid, otherwise an error
+ *   message (both null for blank input)
+ */
+export function parseOpportunityId(input) {
+  let text = String(input ?? '').trim();
+  if (!text) return { id: null, error: null };
+
+  if (/[/?=]/.test(text)) {
+    const fromUrl = idFromUrl(text);
+    if (!fromUrl) return { id: null, error: 'No Salesforce record ID found in the link' };
+    text = fromUrl;
+  }
+
+  if (!/^[A-Za-z0-9]+$/.test(text)) {
+    return { id: null, error: 'Opportunity IDs contain only letters and digits' };
+  }
+  if (text.length !== 15 && text.length !== 18) {
+    return { id: null, error: `Opportunity IDs are 15 or 18 characters; this one is ${text.length}` };
+  }
+
+  let id = text;
+  if (id.length === 15) {
+    id = toCaseSafeId(id);
+  } else if (checksumSuffix(id) !== id.slice(15).toUpperCase()) {
+    const restored = restoreCase(id);
+    if (!restored || checksumSuffix(restored) !== restored.slice(15)) {
+      return { id: null, error: 'The last three characters do not match the rest of the ID; check for a typo' };
+    }
+    id = restored;
+  } else {
+    id = id.slice(0, 15) + id.slice(15).toUpperCase();
+  }
+
+  if (!id.startsWith(OPPORTUNITY_ID_PREFIX)) {
+    return { id: null, error: `This is not an Opportunity: Opportunity IDs start with ${OPPORTUNITY_ID_PREFIX}, not ${id.slice(0, 3)}` };
+  }
+
+  return { id, error: null };
+}
+
+/**
+ * Whether a value is a valid 18-character Opportunity ID exactly as given
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export function isValidOpportunityId(value) {
+  return parseOpportunityId(value).id === value;
+}
+
+/**
+ * Find an Opportunity ID printed on a quote
+ * IDs labelled "Opportunity" are preferred over any other 006 ID in the text.
+ * @param {string} text - Quote text
+ * @returns {string|null} - 18-character Opportunity ID
+ */
+export function findOpportunityIdInText(text) {
+  const source = String(text ?? '');
+  const labelled = source.match(/Opportunity\s*(?:ID|Id|#|No\.?|Number)?\s*:?\s*(006[A-Za-z0-9]{12}(?:[A-Za-z0-9]{3})?)(?![A-Za-z0-9])/i);
+  const candidates = [
+    ...(labelled ? [labelled[1]] : []),
+    ...[...source.matchAll(ID_TOKEN)].map(match => match[1]).filter(token => token.startsWith(OPPORTUNITY_ID_PREFIX))
+  ];
+
+  for (const candidate of candidates) {
+    const { id } = parseOpportunityId(candidate);
+    if (id) return id;
+  }
+  return null;
+}
@@ -0,0 +1,25 @@
+import { extractPagesFromPDF } from '../services/pdfParser.js';
+import { convertQuotePages } from '../services/quotePipeline.js';
+
+/**
+ * Conversion worker
+ * Receives { file, opportunityId, config } and posts back
+ * { type: 'progress', message }, then { type: 'result', result } or { type: 'error', message, diagnostics }.
+ */
+self.onmessage = async (event) => {
+  const { file, opportunityId, config } = event.data;
+  const onStep = message => self.postMessage({ type: 'progress', message });
+
+  try {
+    onStep('Parsing PDF...');
+    const pages = await extractPagesFromPDF(file, {
+      onPage: (pageNumber, pageCount) => onStep(`Reading page ${pageNumber} of ${pageCount}...`),
+      onOcrPage: (pageNumber, pageCount) => onStep(`Page ${pageNumber} of ${pageCount} has no text; running OCR...`)
+    });
+
+    const result = convertQuotePages(pages, opportunityId, onStep, config);
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message, diagnostics: error.diagnostics || null });
+  }
+};
@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateHistorySettings,
+  buildHistoryEntry,
+  searchHistoryEntries,
+  findExpiredEntries
+} from '../src/services/conversionHistory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+const entry = (id, daysAgo, fields = {}) => ({
+  id,
+  quoteNumber: `Q-${id}`,
+  customer: 'Acme Research',
+  opportunityId: '006000000000000AAA',
+  sourceFile: `quote-${id}.pdf`,
+  convertedAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+  ...fields
+});
+
+describe('validateHistorySettings', () => {
+  it('normalizes limits and treats blanks as no limit', () => {
+    expect(validateHistorySettings({ enabled: true, keepPdfs: true, maxAgeDays: '30', maxEntries: '' }))
+      .toEqual({ enabled: true, keepPdfs: true, maxAgeDays: 30, maxEntries: null });
+  });
+
+  it('rejects malformed settings', () => {
+    expect(() => validateHistorySettings([])).toThrow('JSON object');
+    expect(() => validateHistorySettings({ maxAgeDays: 0 })).toThrow('age limit');
+    expect(() => validateHistorySettings({ maxEntries: 2.5 })).toThrow('entry limit');
+  });
+});
+
+describe('buildHistoryEntry', () => {
+  it('copies the searchable fields out of the header', () => {
+    const built = buildHistoryEntry({
+      sourceFile: 'quote.pdf',
+      opportunityId: '006000000000000AAA',
+      header: { quoteNumber: 'Q-00123', customer: 'Acme Research' },
+      rows: [{ productCode: 'VCH-J108' }]
+    });
+
+    expect(built).toMatchObject({
+      sourceFile: 'quote.pdf',
+      quoteNumber: 'Q-00123',
+      customer: 'Acme Research',
+      opportunityId: '006000000000000AAA',
+      totals: null,
+      lineItems: [],
+      issues: []
+    });
+    expect(Date.parse(built.convertedAt)).not.toBeNaN();
+  });
+});
+
+describe('searchHistoryEntries', () => {
+  const entries = [
+    entry(1, 0, { quoteNumber: 'Q-00123', customer: 'Acme Research' }),
+    entry(2, 0, { quoteNumber: 'Q-00456', customer: 'Globex Labs' })
+  ];
+
+  it('matches quote numbers and customers case-insensitively', () => {
+    expect(searchHistoryEntries(entries, 'q-00456').map(e => e.id)).toEqual([2]);
+    expect(searchHistoryEntries(entries, 'acme').map(e => e.id)).toEqual([1]);
+  });
+
+  it('requires every term to match', () => {
+    expect(searchHistoryEntries(entries, 'globex 00123')).toEqual([]);
+  });
+
+  it('returns everything for a blank query', () => {
+    expect(searchHistoryEntries(entries, '  ')).toBe(entries);
+  });
+});
+
+describe('findExpiredEntries', () => {
+  const entries = [entry(1, 100), entry(2, 10), entry(3, 1), entry(4, 50)];
+
+  it('finds entries older than the age limit', () => {
+    expect(findExpiredEntries(entries, { maxAgeDays: 30, maxEntries: null }, NOW)).toEqual([4, 1]);
+  });
+
+  it('keeps only the newest entries up to the count limit', () => {
+    expect(findExpiredEntries(entries, { maxAgeDays: null, maxEntries: 2 }, NOW)).toEqual([4, 1]);
+    expect(findExpiredEntries(entries, { maxAgeDays: null, maxEntries: 1 }, NOW)).toEqual([2, 4, 1]);
+  });
+
+  it('expires nothing without limits', () => {
+    expect(findExpiredEntries(entries, { maxAgeDays: null, maxEntries: null }, NOW)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { readPdfPages } from '../src/services/pdfPages.js';
+import { convertQuotePages } from '../src/services/quotePipeline.js';
+import { generateCSV } from '../src/services/csvGenerator.js';
+import { DEFAULT_PRODUCT_FAMILIES, DEFAULT_BUNDLE_RULES } from '../src/utils/constants.js';
+
+/**
+ * Regression corpus
+ * Each directory in fixtures/quotes holds one quote (quote.pdf, or quote.txt with one
+ * line of extracted text per page) and the CSV it should convert to (expected.csv).
+ * Refresh the goldens after an intended output change with: npm run test:update-goldens
+ */
+
+const QUOTES_DIR = fileURLToPath(new URL('./fixtures/quotes', import.meta.url));
+const OPPORTUNITY_ID = '006Ak00000AbCdEIAZ';
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_URL = join(dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+const fixtures = readdirSync(QUOTES_DIR, { withFileTypes: true })
+  .filter(entry => entry.isDirectory())
+  .map(entry => entry.name)
+  .sort();
+
+async function readFixturePages(dir) {
+  const pdfPath = join(dir, 'quote.pdf');
+  if (existsSync(pdfPath)) {
+    return readPdfPages(pdfjsLib, new Uint8Array(readFileSync(pdfPath)), {
+      documentOptions: { standardFontDataUrl: STANDARD_FONT_DATA_URL }
+    });
+  }
+
+  return readFileSync(join(dir, 'quote.txt'), 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((str, i) => ({ pageNumber: i + 1, width: 0, height: 0, items: [{ str, x: 0, y: 0, width: 0, height: 0 }], ocr: false }));
+}
+
+describe('quote corpus', () => {
+  it('has fixtures', () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  for (const name of fixtures) {
+    it(`converts ${name}`, async () => {
+      const dir = join(QUOTES_DIR, name);
+      const pages = await readFixturePages(dir);
+      const result = convertQuotePages(pages, OPPORTUNITY_ID, undefined, {
+        families: DEFAULT_PRODUCT_FAMILIES,
+        bundleRules: DEFAULT_BUNDLE_RULES
+      });
+
+      expect(result.issues).toEqual([]);
+      // Every item can be shown on its page in the PDF viewer
+      expect(result.lineItems.filter(item => !item.extraction.bounds).map(item => item.partNo)).toEqual([]);
+      await expect(generateCSV(result.rows) + '\n').toMatchFileSnapshot(join(dir, 'expected.csv'));
+    });
+  }
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { escapeCSVValue, generateCSV } from '../src/services/csvGenerator.js';
+import { getExportProfile } from '../src/services/exportProfiles.js';
+import { convertQuotePages } from '../src/services/quotePipeline.js';
+import { DEFAULT_PRODUCT_FAMILIES, DEFAULT_BUNDLE_RULES } from '../src/utils/constants.js';
+
+const convertFixture = (name) => {
+  const text = readFileSync(new URL(`./fixtures/quotes/${name}/quote.txt`, import.meta.url), 'utf8');
+  const pages = text.split('\n').filter(line => line.trim())
+    .map((str, i) => ({ pageNumber: i + 1, width: 0, height: 0, items: [{ str, x: 0, y: 0, width: 0, height: 0 }], ocr: false }));
+  return convertQuotePages(pages, '006Ak00000AbCdEIAZ', undefined, { families: DEFAULT_PRODUCT_FAMILIES, bundleRules: DEFAULT_BUNDLE_RULES });
+};
+
+describe('escapeCSVValue', () => {
+  it('leaves plain values alone', () => {
+    expect(escapeCSVValue('VDP-SW-P-10-HP')).toBe('VDP-SW-P-10-HP');
+    expect(escapeCSVValue(42)).toBe('42');
+  });
+
+  it('quotes values with commas, quotes or newlines', () => {
+    expect(escapeCSVValue('On-site deployment, 2 days')).toBe('"On-site deployment, 2 days"');
+    expect(escapeCSVValue('10" rack')).toBe('"10"" rack"');
+    expect(escapeCSVValue('line one\nline two')).toBe('"line one\nline two"');
+  });
+
+  it('writes null and undefined as empty', () => {
+    expect(escapeCSVValue(null)).toBe('');
+    expect(escapeCSVValue(undefined)).toBe('');
+  });
+});
+
+describe('generateCSV', () => {
+  it('writes a header line for an empty quote', () => {
+    const csv = generateCSV([]);
+    expect(csv.split('\n')).toHaveLength(1);
+    expect(csv).toContain('Opportunity');
+  });
+
+  it('writes one line per row in column order', () => {
+    const profile = getExportProfile('default');
+    const row = Object.fromEntries(profile.columns.map(column => [column.field, '']));
+    row.productCode = 'SVC-DEPLOY';
+    row.optionDescription = 'On-site deployment, 2 days';
+
+    const lines = generateCSV([row], profile).split(profile.lineEnding);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('SVC-DEPLOY');
+    expect(lines[1]).toContain('"On-site deployment, 2 days"');
+  });
+
+  it('writes quote dates in the chosen format', () => {
+    const profile = {
+      columns: [{ header: 'Quote Date', field: 'quoteDate' }, { header: 'Quote Expires', field: 'quoteExpires' }]
+    };
+    const row = { quoteDate: '2026-01-05', quoteExpires: '2026-02-04' };
+
+    expect(generateCSV([row], profile).split('\n')[1]).toBe('01/05/2026,02/04/2026');
+    expect(generateCSV([row], profile, { dateFormat: 'dmy-dot' }).split('\n')[1]).toBe('05.01.2026,04.02.2026');
+    expect(generateCSV([row], getExportProfile('salesforce-oli'), { dateFormat: 'dmy' })).toContain('2026-01-05');
+  });
+
+  it('looks Salesforce products up by code instead of writing the read-only ProductCode', () => {
+    const header = generateCSV([], getExportProfile('salesforce-oli'));
+
+    expect(header).toBe('OpportunityId,Product2.ProductCode,Quantity,UnitPrice,Discount,ServiceDate,Description');
+  });
+
+  it('writes a bundle to Salesforce once, so line items add up to the quote total', () => {
+    const { rows, totals } = convertFixture('hp-bundle-split-text');
+    const profile = getExportProfile('salesforce-oli');
+    const [header, ...lines] = generateCSV(rows, profile).split(profile.lineEnding);
+    const columns = header.split(',');
+    const total = lines.reduce((sum, line) => {
+      const values = Object.fromEntries(line.split(',').map((value, i) => [columns[i], parseFloat(value)]));
+      return sum + values.Quantity * values.UnitPrice * (1 - values.Discount / 100);
+    }, 0);
+
+    expect(lines.map(line => line.split(',')[1])).toEqual(['VDP-VDURACare-10-HP', 'SVC-INSTALL-REMOTE']);
+    expect(totals.grandTotal).toBe(8370);
+    expect(total).toBeCloseTo(totals.grandTotal, 2);
+  });
+
+  it('leaves quote adjustments out of the Salesforce export', () => {
+    const { rows } = convertFixture('adjustments-text');
+    const profile = getExportProfile('salesforce-oli');
+    const codes = generateCSV(rows, profile).split(profile.lineEnding).slice(1).map(line => line.split(',')[1]);
+
+    expect(rows.filter(row => row.lineType === 'adjustment')).toHaveLength(4);
+    expect(codes.length).toBeGreaterThan(0);
+    expect(codes.filter(code => code.startsWith('ADJ-'))).toEqual([]);
+    // The default layout keeps them
+    expect(generateCSV(rows).match(/,ADJ-/g)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePdfText,
+  traceNormalization,
+  parseCurrency,
+  detectCurrency,
+  detectDecimalSeparator,
+  extractHeader,
+  extractLineItems,
+  extractTotals
+} from '../src/services/dataExtractor.js';
+import { createDiagnostics } from '../src/services/diagnostics.js';
+import { DEFAULT_PRODUCT_FAMILIES } from '../src/utils/constants.js';
+
+describe('parseCurrency', () => {
+  it('strips dollar signs, commas and spaces', () => {
+    expect(parseCurrency('$1,234.56')).toBe(1234.56);
+    expect(parseCurrency('$ 8.50')).toBe(8.5);
+  });
+
+  it('returns 0 for empty or unparseable input', () => {
+    expect(parseCurrency('')).toBe(0);
+    expect(parseCurrency('n/a')).toBe(0);
+  });
+
+  it('reads decimal-comma amounts with other currency marks', () => {
+    expect(parseCurrency('1.234,56 €', ',')).toBe(1234.56);
+    expect(parseCurrency('EUR 9,50', ',')).toBe(9.5);
+    expect(parseCurrency('£1,234.56')).toBe(1234.56);
+  });
+
+  it('reads minus signs and parentheses as negative', () => {
+    expect(parseCurrency('-$1,500.00')).toBe(-1500);
+    expect(parseCurrency('$-1,500.00')).toBe(-1500);
+    expect(parseCurrency('($1,500.00)')).toBe(-1500);
+    expect(parseCurrency('\u22121.234,56 €', ',')).toBe(-1234.56);
+    expect(Object.is(parseCurrency('($0.00)'), 0)).toBe(true);
+  });
+
+  it('reads a trailing minus sign as negative', () => {
+    expect(parseCurrency('1,500.00-')).toBe(-1500);
+    expect(parseCurrency('$1,500.00-')).toBe(-1500);
+    expect(parseCurrency('1.234,56- EUR', ',')).toBe(-1234.56);
+  });
+});
+
+describe('detectDecimalSeparator', () => {
+  it('votes on amounts ending in two decimals', () => {
+    expect(detectDecimalSeparator('$1,234.56 $8.50')).toBe('.');
+    expect(detectDecimalSeparator('1.234,56 € 8,50 € 120 36')).toBe(',');
+  });
+
+  it('defaults to a decimal point', () => {
+    expect(detectDecimalSeparator('Quote Number 2026-0042')).toBe('.');
+  });
+});
+
+describe('detectCurrency', () => {
+  it('prefers a currency label', () => {
+    expect(detectCurrency('Currency: GBP Total $1.00')).toMatchObject({ code: 'GBP', confidence: 'high' });
+  });
+
+  it('reads codes before symbols', () => {
+    expect(detectCurrency('VCH-J78 2 CAD $1,200.00 CAD $2,400.00')).toMatchObject({ code: 'CAD', pattern: 'Currency code' });
+  });
+
+  it('reads symbols on either side of the amount', () => {
+    expect(detectCurrency('1.234,56 € 8,50 €')).toMatchObject({ code: 'EUR', pattern: 'Currency symbol', confidence: 'high' });
+    expect(detectCurrency('£1,234.56')).toMatchObject({ code: 'GBP' });
+  });
+
+  it('lowers confidence when several currencies appear', () => {
+    expect(detectCurrency('€10.00 €20.00 $5.00')).toMatchObject({ code: 'EUR', confidence: 'medium' });
+  });
+
+  it('falls back to USD with low confidence', () => {
+    expect(detectCurrency('Quote Number 2026-0042')).toEqual({
+      code: 'USD', pattern: 'Default currency', confidence: 'low', match: null
+    });
+  });
+});
+
+describe('extractTotals', () => {
+  it('reads decimal-comma totals', () => {
+    const totals = extractTotals('Total Software 44.880,00 € Total Hardware 16.200,00 € Quote Total 61.080,00 €', []);
+
+    expect(totals.sections.map(section => section.amount)).toEqual([44880, 16200]);
+    expect(totals.grandTotal).toBe(61080);
+  });
+});
+
+describe('extractLineItems', () => {
+  const text = 'SVC-DEPLOY On-site deployment 1 $5,000.00 $4,500.00 $4,500.00 Special Discount $500.00 ' +
+    'Total Services $4,000.00 Total Discount ($500.00) Trade-in Credit ($1,000.00) Freight $250.00 ' +
+    'Sales Tax: $300.00 Prices exclude taxes. Grand Total $3,550.00';
+
+  it('adds discounts, credits, freight and tax after the product lines', () => {
+    const items = extractLineItems(text, null, DEFAULT_PRODUCT_FAMILIES);
+
+    expect(items.map(item => [item.partNo, item.description, item.extendedPrice])).toEqual([
+      ['SVC-DEPLOY', 'On-site deployment', 4500],
+      ['ADJ-DISCOUNT', 'Special Discount', -500],
+      ['ADJ-CREDIT', 'Trade-in Credit', -1000],
+      ['ADJ-FREIGHT', 'Freight', 250],
+      ['ADJ-TAX', 'Sales Tax', 300]
+    ]);
+    expect(items[1]).toMatchObject({ qty: 1, listPrice: -500, adjustment: { type: 'discount', text: 'Special Discount $500.00' } });
+  });
+
+  it('reads reversals printed with a trailing minus', () => {
+    const items = extractLineItems('Freight 250.00- Sales Tax: $300.00-', null, DEFAULT_PRODUCT_FAMILIES);
+
+    expect(items.map(item => [item.partNo, item.extendedPrice])).toEqual([
+      ['ADJ-FREIGHT', -250],
+      ['ADJ-TAX', -300]
+    ]);
+  });
+
+  it('reads negative prices on product lines', () => {
+    const [item] = extractLineItems('SVC-CREDIT-ADJ Service credit 1 ($750.00) ($750.00) ($750.00)', null, DEFAULT_PRODUCT_FAMILIES);
+    expect(item).toMatchObject({ partNo: 'SVC-CREDIT-ADJ', listPrice: -750, extendedPrice: -750 });
+  });
+
+  it('keeps adjustments when line items come from the table', () => {
+    const tableRows = [{
+      partNo: 'SVC-DEPLOY', description: 'On-site deployment', qty: '1', months: '',
+      listPrice: '$5,000.00', discountPrice: '$4,500.00', extendedPrice: '$4,500.00', page: 1, bounds: null
+    }];
+    const diagnostics = createDiagnostics();
+    const items = extractLineItems('Freight $250.00', tableRows, DEFAULT_PRODUCT_FAMILIES, diagnostics);
+
+    expect(items.map(item => item.partNo)).toEqual(['SVC-DEPLOY', 'ADJ-FREIGHT']);
+    expect(diagnostics.lineItems[1]).toMatchObject({ partNo: 'ADJ-FREIGHT', adjustment: 'Freight', matchedText: 'Freight $250.00' });
+  });
+
+  it('assigns adjustments to the section whose total follows them', () => {
+    const items = extractLineItems(text, null, DEFAULT_PRODUCT_FAMILIES);
+    const totals = extractTotals(text, items);
+
+    expect(totals.sections).toEqual([{ name: 'Services', amount: 4000, partNos: ['SVC-DEPLOY', 'ADJ-DISCOUNT#1'] }]);
+    expect(totals.grandTotal).toBe(3550);
+  });
+});
+
+describe('normalizePdfText', () => {
+  it('rejoins split product codes', () => {
+    expect(normalizePdfText('VDP - VDURACare - 10 - HP')).toBe('VDP-VDURACare-10-HP');
+    expect(normalizePdfText('VDP-J 78-HDD')).toBe('VDP-J78-HDD');
+  });
+
+  it('rejoins split words, dates and email addresses', () => {
+    expect(normalizePdfText('VDURA Quot ation')).toBe('VDURA Quotation');
+    expect(normalizePdfText('January 2 3, 202 6')).toBe('January 23, 2026');
+    expect(normalizePdfText('alex @ example.com')).toBe('alex@example.com');
+  });
+
+  it('keeps the amount when rejoining a split dollar sign', () => {
+    // Regression: "$ 8.50" used to become "$1.50"
+    expect(normalizePdfText('$ 8.50 $ 6,120.00')).toBe('$8.50 $6,120.00');
+    expect(normalizePdfText('Total € 9,50')).toBe('Total €9,50');
+    expect(normalizePdfText('£ 12.00')).toBe('£12.00');
+  });
+
+  it('leaves decimal-comma prices after a months value alone', () => {
+    expect(normalizePdfText('120 36 9,50 € 41.040,00 €')).toBe('120 36 9,50 € 41.040,00 €');
+  });
+
+  it('collapses whitespace', () => {
+    expect(normalizePdfText('Total\n  Software')).toBe('Total Software');
+  });
+});
+
+describe('traceNormalization', () => {
+  const text = 'VDURA Quot ation VDP - VDURACare - 10 - HP $ 8.50 $ 8.50';
+
+  it('produces the same text as normalizePdfText', () => {
+    expect(traceNormalization(text).normalized).toBe(normalizePdfText(text));
+  });
+
+  it('lists each applied fix with its distinct changes', () => {
+    const { fixes } = traceNormalization(text);
+
+    expect(fixes.map(fix => fix.label)).toEqual(['Spaces around hyphens', 'Split word', 'Split currency']);
+    expect(fixes[1].changes).toEqual([{ before: 'Quot ation', after: 'Quotation', count: 1 }]);
+    expect(fixes[2]).toMatchObject({ count: 2, changes: [{ before: '$ 8', after: '$8', count: 2 }] });
+  });
+});
+
+describe('extractHeader', () => {
+  it('records the pattern and text behind each field in diagnostics', () => {
+    const diagnostics = createDiagnostics();
+    const header = extractHeader('Quote Number 2026-0042 Company Fabrikam Research SOFTWARE', diagnostics);
+
+    expect(header.customer).toBe('Fabrikam Research');
+    expect(header.extraction.customer).not.toHaveProperty('matchedText');
+    expect(diagnostics.header.customer).toMatchObject({
+      pattern: 'Company',
+      confidence: 'medium',
+      matchedText: 'Company Fabrikam Research',
+      capture: 'Fabrikam Research',
+      candidates: ['Customer Name', 'Company']
+    });
+    expect(diagnostics.header.partner).toMatchObject({ missing: true, matchedText: null });
+  });
+
+  it('reads dates split by pdf.js as ISO dates', () => {
+    const header = extractHeader('Quote Date January 2 3, 202 6 Quote Expires 22 February 2026');
+
+    expect(header.quoteDate).toBe('2026-01-23');
+    expect(header.expires).toBe('2026-02-22');
+    expect(header.extraction.quoteDate.confidence).toBe('high');
+  });
+
+  it('keeps an ambiguous numeric date as printed, at low confidence', () => {
+    const header = extractHeader('Quote Date 03/04/2026 Quote Expires 05/06/2026');
+
+    expect(header.quoteDate).toBe('03/04/2026');
+    expect(header.extraction.quoteDate.confidence).toBe('low');
+  });
+
+  it('settles numeric dates by the order of another date on the quote', () => {
+    const header = extractHeader('Quote Date 03/04/2026 Quote Expires 30/04/2026');
+
+    expect(header.quoteDate).toBe('2026-04-03');
+    expect(header.extraction.quoteDate.confidence).toBe('medium');
+    expect(header.expires).toBe('2026-04-30');
+    expect(header.extraction.expires.confidence).toBe('high');
+  });
+
+  it('does not turn an unknown month name into January', () => {
+    const header = extractHeader('Quote Date Janvier 5, 2026');
+
+    expect(header.quoteDate).toBe('Janvier 5, 2026');
+    expect(header.extraction.quoteDate.confidence).toBe('low');
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiscountPercentage, transformData } from '../src/services/dataTransformer.js';
+import { priceBundleChildren } from '../src/services/bundleRules.js';
+import { DEFAULT_BUNDLE_RULES } from '../src/utils/constants.js';
+
+const [HP_RULE, C_RULE] = DEFAULT_BUNDLE_RULES;
+
+const HEADER = {
+  quoteNumber: '2026-0001',
+  quoteDate: '01/23/2026',
+  expires: '02/22/2026',
+  customer: 'Northwind Labs',
+  partner: 'Contoso Systems',
+  preparedBy: 'Alex Morgan',
+  email: 'alex@example.com'
+};
+
+describe('calculateDiscountPercentage', () => {
+  it('returns the discount off list as a percentage', () => {
+    expect(calculateDiscountPercentage(10, 8.5)).toBeCloseTo(15);
+    expect(calculateDiscountPercentage(100, 100)).toBe(0);
+  });
+
+  it('returns 0 when the list price is 0', () => {
+    expect(calculateDiscountPercentage(0, 5)).toBe(0);
+  });
+});
+
+describe('priceBundleChildren', () => {
+  it('gives the remainder child the parent price less the fixed children', () => {
+    const children = priceBundleChildren(HP_RULE, 8.5);
+    expect(children.map(child => child.code)).toEqual(['VDP-SW-P-10-HP', 'HW-Support-HP-NBD']);
+    expect(children[0].price).toBeCloseTo(5.5);
+    expect(children[1].price).toBe(3);
+  });
+
+  it('prices percentage children from the parent price', () => {
+    const rule = {
+      ...C_RULE,
+      children: [
+        { ...C_RULE.children[0] },
+        { ...C_RULE.children[1], pricing: 'percent', value: 20 }
+      ]
+    };
+    const children = priceBundleChildren(rule, 0.75);
+    expect(children[1].price).toBeCloseTo(0.15);
+    expect(children[0].price).toBeCloseTo(0.6);
+  });
+});
+
+describe('transformData', () => {
+  const items = [
+    { partNo: 'VDP-VDURACare-10-HP', description: 'VDURA Care Physical 10TB', qty: 20, months: 36, listPrice: 10, discountPrice: 8.5, extendedPrice: 6120 },
+    { partNo: 'SVC-INSTALL-REMOTE', description: 'Remote installation', qty: 1, months: null, listPrice: 2500, discountPrice: 2250, extendedPrice: 2250 }
+  ];
+
+  it('follows each bundle parent with its child rows', () => {
+    const rows = transformData(HEADER, items, '006Ak00000AbCdEIAZ', 'V5000', DEFAULT_BUNDLE_RULES);
+
+    expect(rows.map(row => row.productCode)).toEqual([
+      'VDP-VDURACare-10-HP',
+      'VDP-SW-P-10-HP',
+      'HW-Support-HP-NBD',
+      'SVC-INSTALL-REMOTE'
+    ]);
+    expect(rows[1].parentProductCode).toBe('VDP-VDURACare-10-HP');
+    expect(rows[3].parentProductCode).toBeFalsy();
+  });
+
+  it('prices child rows per unit with no discount and extends by qty and months', () => {
+    const [, software, support] = transformData(HEADER, items, '006Ak00000AbCdEIAZ', 'V5000', DEFAULT_BUNDLE_RULES);
+
+    expect(software).toMatchObject({ listPrice: '5.50', discountPercentage: '0.00', discountPrice: '5.50', extendedPrice: '3960.00' });
+    expect(support).toMatchObject({ listPrice: '3.00', discountPrice: '3.00', extendedPrice: '2160.00', optionQty: 20, month: 36 });
+  });
+
+  it('fills header fields on every row', () => {
+    const rows = transformData(HEADER, items, '006Ak00000AbCdEIAZ', 'V5000', DEFAULT_BUNDLE_RULES);
+
+    for (const row of rows) {
+      expect(row).toMatchObject({ quoteNumber: '2026-0001', customerName: 'Northwind Labs', opportunityId: '006Ak00000AbCdEIAZ' });
+    }
+  });
+
+  it('writes adjustments as single signed rows with their own line type', () => {
+    const discount = {
+      partNo: 'ADJ-DISCOUNT',
+      description: 'Special Discount',
+      qty: 1,
+      months: null,
+      listPrice: -240,
+      discountPrice: -240,
+      extendedPrice: -240,
+      adjustment: { type: 'discount', text: 'Special Discount ($240.00)' }
+    };
+    const rows = transformData(HEADER, [...items, discount], '006Ak00000AbCdEIAZ', 'V5000', DEFAULT_BUNDLE_RULES);
+
+    expect(rows.map(row => row.lineType)).toEqual(['item', 'item', 'item', 'item', 'adjustment']);
+    expect(rows[4]).toMatchObject({
+      productCode: 'ADJ-DISCOUNT',
+      parentProductCode: '',
+      adjustmentType: 'discount',
+      listPrice: '-240.00',
+      discountPercentage: '0.00',
+      discountPrice: '-240.00',
+      optionQty: 1,
+      month: '',
+      extendedPrice: '-240.00'
+    });
+  });
+});
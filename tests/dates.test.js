@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, detectDateOrder, isIsoDate, formatDate } from '../src/utils/dates.js';
+
+describe('parseDate', () => {
+  it('reads month-name dates in either order', () => {
+    expect(parseDate('January 30, 2026').value).toBe('2026-01-30');
+    expect(parseDate('Sept 5, 2025').value).toBe('2025-09-05');
+    expect(parseDate('30 January 2026').value).toBe('2026-01-30');
+    expect(parseDate('30-Jan-2026').value).toBe('2026-01-30');
+    expect(parseDate('1st Feb. 2026').value).toBe('2026-02-01');
+  });
+
+  it('reads ISO and unambiguous numeric dates', () => {
+    expect(parseDate('2026-01-30')).toEqual({ value: '2026-01-30', status: 'parsed', readings: ['2026-01-30'] });
+    expect(parseDate('01/30/2026').value).toBe('2026-01-30');
+    expect(parseDate('30/01/2026').value).toBe('2026-01-30');
+    expect(parseDate('04/04/2026').value).toBe('2026-04-04');
+  });
+
+  it('reads dotted dates day first', () => {
+    expect(parseDate('03.04.2026').value).toBe('2026-04-03');
+  });
+
+  it('reports numeric dates that read both ways as ambiguous', () => {
+    expect(parseDate('2/3/2026')).toEqual({ value: null, status: 'ambiguous', readings: ['2026-02-03', '2026-03-02'] });
+  });
+
+  it('uses a known order to settle ambiguous dates', () => {
+    expect(parseDate('2/3/2026', { order: 'dmy' })).toMatchObject({ value: '2026-03-02', status: 'parsed' });
+    expect(parseDate('2/3/2026', { order: 'mdy' })).toMatchObject({ value: '2026-02-03', status: 'parsed' });
+  });
+
+  it('rejects unknown months, impossible days and empty input', () => {
+    expect(parseDate('Foo 5, 2026').status).toBe('invalid');
+    expect(parseDate('February 30, 2026').status).toBe('invalid');
+    expect(parseDate('13/13/2026').status).toBe('invalid');
+    expect(parseDate('').status).toBe('invalid');
+    expect(parseDate(null).status).toBe('invalid');
+  });
+});
+
+describe('detectDateOrder', () => {
+  it('uses dates with a part above 12', () => {
+    expect(detectDateOrder('Quote Date 03/04/2026 Quote Expires 30/04/2026')).toBe('dmy');
+    expect(detectDateOrder('Quote Date 03/04/2026 Quote Expires 04/30/2026')).toBe('mdy');
+  });
+
+  it('gives no answer without evidence or with conflicting evidence', () => {
+    expect(detectDateOrder('03/04/2026')).toBeNull();
+    expect(detectDateOrder('30/04/2026 04/30/2026')).toBeNull();
+  });
+});
+
+describe('isIsoDate', () => {
+  it('accepts only real YYYY-MM-DD dates', () => {
+    expect(isIsoDate('2026-02-28')).toBe(true);
+    expect(isIsoDate('2026-02-30')).toBe(false);
+    expect(isIsoDate('02/28/2026')).toBe(false);
+  });
+});
+
+describe('formatDate', () => {
+  it('formats dates in each output format', () => {
+    expect(formatDate('2026-01-05')).toBe('01/05/2026');
+    expect(formatDate('2026-01-05', 'dmy')).toBe('05/01/2026');
+    expect(formatDate('2026-01-05', 'dmy-dot')).toBe('05.01.2026');
+    expect(formatDate('January 5, 2026', 'iso')).toBe('2026-01-05');
+  });
+
+  it('leaves ambiguous and unreadable values as they are', () => {
+    expect(formatDate('03/04/2026', 'iso')).toBe('03/04/2026');
+    expect(formatDate('TBD', 'iso')).toBe('TBD');
+    expect(formatDate(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { createDiagnostics, highlightNormalization, buildDiagnosticBundle } from '../src/services/diagnostics.js';
+import { traceNormalization } from '../src/services/dataExtractor.js';
+
+describe('highlightNormalization', () => {
+  it('marks text produced by a fix and keeps the rest', () => {
+    const { normalized, fixes } = traceNormalization('Quote Date January 2 3, 202 6');
+    const segments = highlightNormalization(normalized, fixes);
+
+    expect(segments.map(segment => segment.text).join('')).toBe(normalized);
+    expect(segments.filter(segment => segment.fix)).toEqual([
+      { text: '23,', fix: 'Split day' },
+      { text: '2026', fix: 'Split year' }
+    ]);
+  });
+
+  it('returns one plain segment when nothing was fixed', () => {
+    expect(highlightNormalization('Total Software', [])).toEqual([{ text: 'Total Software', fix: null }]);
+  });
+});
+
+describe('buildDiagnosticBundle', () => {
+  const header = { quoteNumber: '2026-0042', customer: 'Northwind Labs', partner: 'Contoso', preparedBy: 'Alex Morgan', email: 'alex@vdura.com' };
+
+  function report() {
+    const diagnostics = createDiagnostics();
+    diagnostics.pages = [{ pageNumber: 1, ocr: false, text: 'Customer Name NORTHWIND LABS Prepared By Alex Morgan Email: alex@vdura.com VCH-J78 $12,000.00' }];
+    return {
+      diagnostics,
+      header,
+      rows: [{ customerName: 'Northwind Labs', productCode: 'VCH-J78', listPrice: '12000.00', extendedPrice: '21600.00' }],
+      totals: { sections: [{ name: 'Hardware', amount: 21600, partNos: ['VCH-J78'] }], grandTotal: 21600 },
+      sourceFile: 'Northwind quote.pdf'
+    };
+  }
+
+  it('keeps everything when redaction is off', () => {
+    const bundle = buildDiagnosticBundle(report());
+
+    expect(bundle.sourceFile).toBe('Northwind quote.pdf');
+    expect(bundle.rows[0].listPrice).toBe('12000.00');
+    expect(bundle.redaction).toEqual({ prices: false, customer: false });
+  });
+
+  it('replaces customer details everywhere', () => {
+    const bundle = buildDiagnosticBundle(report(), { redactCustomer: true });
+    const json = JSON.stringify(bundle);
+
+    expect(json).not.toMatch(/northwind|Alex Morgan|alex@vdura\.com|Contoso/i);
+    expect(bundle.diagnostics.pages[0].text).toBe('Customer Name [customer] Prepared By [prepared by] Email: [email] VCH-J78 $12,000.00');
+    expect(bundle.rows[0].listPrice).toBe('12000.00');
+  });
+
+  it('blanks prices and dollar amounts', () => {
+    const bundle = buildDiagnosticBundle(report(), { redactPrices: true });
+
+    expect(bundle.rows[0]).toMatchObject({ productCode: 'VCH-J78', listPrice: null, extendedPrice: null });
+    expect(bundle.totals).toEqual({ sections: [{ name: 'Hardware', amount: null, partNos: ['VCH-J78'] }], grandTotal: null });
+    expect(bundle.diagnostics.pages[0].text).toMatch(/VCH-J78 \$\[price\]$/);
+    expect(bundle.header.customer).toBe('Northwind Labs');
+  });
+
+  it('keeps the currency mark when blanking other currencies', () => {
+    const input = report();
+    input.diagnostics.pages[0].text = 'VCH-J108 1 18.000,00 € EUR 16.200,00 VDP-SW-P-10-C 36';
+    const bundle = buildDiagnosticBundle(input, { redactPrices: true });
+
+    expect(bundle.diagnostics.pages[0].text).toBe('VCH-J108 1 [price] € EUR [price] VDP-SW-P-10-C 36');
+  });
+
+  it('blanks amounts printed without a currency mark', () => {
+    const input = report();
+    const line = 'VDP-VDURACare-10-HP VDURA Care Physical 10TB 40 36 10.00 7,50 10,800.00';
+    input.diagnostics.pages[0].text = `Quote Date 05.01.2026 ${line}`;
+    input.diagnostics.normalization = { normalized: line, fixes: [{ label: 'Split year', count: 1, changes: [{ before: '10,8 00.00', after: '10,800.00', count: 1 }] }] };
+    input.diagnostics.lineItems = [{ partNo: 'VDP-VDURACare-10-HP', source: 'text', matchedText: line, skipped: null }];
+    const bundle = buildDiagnosticBundle(input, { redactPrices: true });
+    const redacted = 'VDP-VDURACare-10-HP VDURA Care Physical 10TB 40 36 [price] [price] [price]';
+
+    expect(bundle.diagnostics.pages[0].text).toBe(`Quote Date 05.01.2026 ${redacted}`);
+    expect(bundle.diagnostics.normalization.normalized).toBe(redacted);
+    expect(bundle.diagnostics.normalization.fixes[0].changes[0]).toMatchObject({ after: '[price]' });
+    expect(bundle.diagnostics.lineItems[0].matchedText).toBe(redacted);
+  });
+});
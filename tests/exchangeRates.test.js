@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateExchangeRates,
+  findExchangeRate,
+  findMissingExchangeRates,
+  convertRowsToUsd
+} from '../src/services/exchangeRates.js';
+import { validateQuote } from '../src/services/quoteValidator.js';
+
+const RATES = [{ currency: 'EUR', rate: 1.1 }];
+
+const row = (fields) => ({
+  productCode: 'VCH-J108',
+  listPrice: '18000.00',
+  discountPercentage: '10.00',
+  discountPrice: '16200.00',
+  optionQty: '1',
+  extendedPrice: '16200.00',
+  currency: 'EUR',
+  ...fields
+});
+
+describe('validateExchangeRates', () => {
+  it('normalizes codes and rates', () => {
+    expect(validateExchangeRates([{ currency: ' gbp ', rate: '1.27' }])).toEqual([{ currency: 'GBP', rate: 1.27 }]);
+  });
+
+  it('rejects malformed, USD and duplicate rates', () => {
+    expect(() => validateExchangeRates({})).toThrow('JSON array');
+    expect(() => validateExchangeRates([{ currency: 'EURO', rate: 1 }])).toThrow('three-letter ISO code');
+    expect(() => validateExchangeRates([{ currency: 'EUR', rate: 0 }])).toThrow('positive number');
+    expect(() => validateExchangeRates([{ currency: 'USD', rate: 1 }])).toThrow('needs no exchange rate');
+    expect(() => validateExchangeRates([...RATES, { currency: 'eur', rate: 1.2 }])).toThrow('more than one');
+  });
+});
+
+describe('findExchangeRate', () => {
+  it('treats USD and blank currencies as 1', () => {
+    expect(findExchangeRate('USD', [])).toBe(1);
+    expect(findExchangeRate('', [])).toBe(1);
+  });
+
+  it('returns null when no rate is saved', () => {
+    expect(findExchangeRate('EUR', RATES)).toBe(1.1);
+    expect(findExchangeRate('GBP', RATES)).toBeNull();
+  });
+});
+
+describe('convertRowsToUsd', () => {
+  it('converts amounts and leaves percentages and quantities alone', () => {
+    expect(convertRowsToUsd([row()], RATES)).toEqual([row({
+      listPrice: '19800.00',
+      discountPrice: '17820.00',
+      extendedPrice: '17820.00',
+      currency: 'USD'
+    })]);
+  });
+
+  it('recomputes extended prices from the converted unit prices', () => {
+    const bundle = [
+      row({ productCode: 'VDP-VDURACare-10-HP', listPrice: '10.00', discountPercentage: '25.00', discountPrice: '7.50', optionQty: '40', month: '36', extendedPrice: '10800.00' }),
+      row({ productCode: 'VDP-SW-P-10-HP', parentProductCode: 'VDP-VDURACare-10-HP', listPrice: '4.50', discountPercentage: '0.00', discountPrice: '4.50', optionQty: '40', month: '36', extendedPrice: '6480.00' }),
+      row({ productCode: 'HW-Support-HP-NBD', parentProductCode: 'VDP-VDURACare-10-HP', listPrice: '3.00', discountPercentage: '0.00', discountPrice: '3.00', optionQty: '40', month: '36', extendedPrice: '4320.00' }),
+      row({ productCode: 'SVC-DEPLOY', listPrice: '1234.57', discountPercentage: '0.00', discountPrice: '1234.57', optionQty: '3', extendedPrice: '3703.71' })
+    ];
+    // 8.13525, 4.88115 and 3.2541 round to 8.14, 4.88 and 3.25, a cent short of the parent
+    const converted = convertRowsToUsd(bundle, [{ currency: 'EUR', rate: 1.0847 }]);
+
+    expect(converted.map(({ discountPrice, extendedPrice }) => [discountPrice, extendedPrice])).toEqual([
+      ['8.14', '11721.60'],
+      ['4.88', '7027.20'],
+      ['3.26', '4694.40'],
+      ['1339.14', '4017.42']
+    ]);
+    expect(validateQuote(converted)).toEqual([]);
+  });
+
+  it('passes USD rows through', () => {
+    const usd = row({ currency: 'USD' });
+    expect(convertRowsToUsd([usd], [])).toEqual([usd]);
+  });
+
+  it('throws when a currency has no rate', () => {
+    const rows = [row(), row({ currency: 'GBP' })];
+
+    expect(findMissingExchangeRates(rows, RATES)).toEqual(['GBP']);
+    expect(() => convertRowsToUsd(rows, RATES)).toThrow('No exchange rate for GBP');
+  });
+});
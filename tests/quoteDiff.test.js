@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { diffQuotes, generateChangeCSV } from '../src/services/quoteDiff.js';
+
+const row = (productCode, fields = {}) => ({
+  productCode,
+  parentProductCode: '',
+  optionDescription: `${productCode} description`,
+  optionQty: 1,
+  month: '',
+  listPrice: '1000.00',
+  discountPercentage: '0.00',
+  discountPrice: '1000.00',
+  extendedPrice: '1000.00',
+  ...fields
+});
+
+const header = { quoteNumber: '12345-1', quoteDate: '2026-01-30', expires: '2026-03-01', customer: 'Acme Research' };
+
+describe('diffQuotes', () => {
+  const before = {
+    header,
+    rows: [
+      row('VCH-J108', { optionQty: 2, extendedPrice: '2000.00' }),
+      row('SVC-DEPLOY'),
+      row('VCH-OLD')
+    ]
+  };
+  const after = {
+    header: { ...header, quoteNumber: '12345-2', expires: 'April 1, 2026' },
+    rows: [
+      row('VCH-J108', { optionQty: 3, extendedPrice: '3,000.00' }),
+      row('SVC-DEPLOY'),
+      row('VCH-NEW', { extendedPrice: '500.00' })
+    ]
+  };
+
+  it('reports added, removed and changed line items', () => {
+    const diff = diffQuotes(before, after);
+
+    expect(diff.lines.map(line => [line.change, line.productCode, line.delta])).toEqual([
+      ['removed', 'VCH-OLD', -1000],
+      ['changed', 'VCH-J108', 1000],
+      ['added', 'VCH-NEW', 500]
+    ]);
+    expect(diff.lines[1].fields.map(field => field.key)).toEqual(['optionQty', 'extendedPrice']);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  it('reports header changes, comparing dates as dates', () => {
+    const diff = diffQuotes(before, after);
+    expect(diff.header).toEqual([
+      { key: 'quoteNumber', label: 'Quote Number', before: '12345-1', after: '12345-2' },
+      { key: 'expires', label: 'Quote Expires', before: '2026-03-01', after: '2026-04-01' }
+    ]);
+  });
+
+  it('reports the net total delta', () => {
+    expect(diffQuotes(before, after).totals).toEqual({ before: 4000, after: 4500, delta: 500 });
+  });
+
+  it('ignores bundle children and pairs repeated codes in order', () => {
+    const bundle = [
+      row('VDP-VDURACare-60-HP'),
+      row('HW-Support-HP-NBD', { parentProductCode: 'VDP-VDURACare-60-HP', extendedPrice: '3.00' }),
+      row('VDP-VDURACare-60-HP', { optionQty: 2, extendedPrice: '2000.00' })
+    ];
+    const changed = bundle.map((r, i) => (i === 1 ? { ...r, extendedPrice: '9.00' } : r));
+
+    const diff = diffQuotes({ header, rows: bundle }, { header, rows: changed });
+    expect(diff.lines).toEqual([]);
+    expect(diff.unchanged).toBe(2);
+  });
+});
+
+describe('generateChangeCSV', () => {
+  it('writes one line per change and a total line', () => {
+    const diff = diffQuotes(
+      { header, rows: [row('VCH-J108'), row('VCH-OLD')] },
+      { header: { ...header, quoteNumber: '12345-2' }, rows: [row('VCH-J108', { discountPrice: '900.00', extendedPrice: '900.00' })] }
+    );
+
+    expect(generateChangeCSV(diff).split('\n')).toEqual([
+      'Change,Product Code,Description,Field,Before,After,Delta',
+      'header,,,Quote Number,12345-1,12345-2,',
+      'removed,VCH-OLD,VCH-OLD description,Extended Price,1000.00,,-1000.00',
+      'changed,VCH-J108,VCH-J108 description,Discount Price,1000.00,900.00,-100.00',
+      'changed,VCH-J108,VCH-J108 description,Extended Price,1000.00,900.00,-100.00',
+      'total,,,Extended Price,2000.00,900.00,-1100.00'
+    ]);
+  });
+});
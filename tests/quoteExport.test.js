@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { buildQuoteExport } from '../src/services/quoteExport.js';
+
+const header = { quoteNumber: 'Q-00123', quoteDate: '2026-01-30', customer: 'Acme Research', currency: 'USD' };
+const rows = [{ productCode: 'VCH-J108', quoteNumber: 'Q-00123', quoteDate: '2026-01-30', extendedPrice: '16200.00' }];
+
+describe('buildQuoteExport', () => {
+  it('names the file after the quote and format', () => {
+    expect(buildQuoteExport('csv', { header, rows }).filename).toMatch(/Q-00123.*\.csv$/);
+    expect(buildQuoteExport('xlsx', { header, rows }).filename).toMatch(/\.xlsx$/);
+    expect(buildQuoteExport('json', { header, rows }).filename).toMatch(/\.json$/);
+  });
+
+  it('formats CSV dates with the chosen date format', async () => {
+    const { blob } = buildQuoteExport('csv', { header, rows }, { dateFormat: 'dmy' });
+    expect(await blob.text()).toContain('30/01/2026');
+  });
+
+  it('writes JSON in the quote model', async () => {
+    const { blob } = buildQuoteExport('json', { header, rows, sourceFile: 'quote.pdf' });
+    const model = JSON.parse(await blob.text());
+    expect(model.header.quoteNumber).toBe('Q-00123');
+    expect(model.extraction.sourceFile).toBe('quote.pdf');
+  });
+});
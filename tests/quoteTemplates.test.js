@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { QUOTE_TEMPLATES, DEFAULT_QUOTE_TEMPLATE, detectTemplate, getQuoteTemplate } from '../src/services/quoteTemplates.js';
+import { normalizePdfText, extractHeader, extractBaseProductCode, extractTotals } from '../src/services/dataExtractor.js';
+import { extractTableRows } from '../src/services/tableExtractor.js';
+import { convertQuotePages } from '../src/services/quotePipeline.js';
+import { createDiagnostics } from '../src/services/diagnostics.js';
+import { DEFAULT_PRODUCT_FAMILIES, DEFAULT_BUNDLE_RULES } from '../src/utils/constants.js';
+
+const fixtureText = name => readFileSync(new URL(`./fixtures/quotes/${name}/quote.txt`, import.meta.url), 'utf8');
+
+const textPages = text => text.split('\n').filter(line => line.trim())
+  .map((str, i) => ({ pageNumber: i + 1, width: 0, height: 0, items: [{ str, x: 0, y: 0, width: 0, height: 0 }], ocr: false }));
+
+const item = (x, y, str) => ({ str, x, y, width: str.length * 5, height: 9 });
+
+describe('detectTemplate', () => {
+  it('reads the existing VDURA quotes as the default template', () => {
+    for (const name of ['c-bundle-hardware-text', 'eur-decimal-comma-text', 'hp-bundle-split-text']) {
+      const { template, confidence } = detectTemplate(normalizePdfText(fixtureText(name)));
+      expect(template.id, name).toBe('vdura');
+      expect(confidence, name).toBe('high');
+    }
+  });
+
+  it('recognises partner-resold and renewal quotes', () => {
+    const resold = detectTemplate(normalizePdfText(fixtureText('partner-resold-text')));
+    expect(resold.template.id).toBe('partner-resold');
+    expect(resold.matched).toContain('"End Customer" label');
+
+    expect(detectTemplate(normalizePdfText(fixtureText('renewal-text'))).template.id).toBe('renewal');
+  });
+
+  it('recognises legacy PanFS quotes', () => {
+    const result = detectTemplate('Panasas, Inc. Quotation Quotation # 2025-0877 ActiveStor Ultra running PanFS');
+    expect(result).toMatchObject({ score: 7, confidence: 'high' });
+    expect(result.template.id).toBe('panfs-legacy');
+  });
+
+  it('falls back to the default template with low confidence when nothing matches', () => {
+    expect(detectTemplate('Invoice 1234')).toMatchObject({ template: DEFAULT_QUOTE_TEMPLATE, score: 0, matched: [], confidence: 'low' });
+  });
+
+  it('reports medium confidence when another template scores as well', () => {
+    // Partner Name (VDURA) and Contract Number (renewal) score one each
+    expect(detectTemplate('Partner Name Litware Contract Number 42').confidence).toBe('medium');
+  });
+});
+
+describe('getQuoteTemplate', () => {
+  it('looks templates up by id', () => {
+    expect(getQuoteTemplate('renewal').name).toBe('Renewal quote');
+    expect(getQuoteTemplate('unknown')).toBeNull();
+  });
+
+  it('gives every template a unique id', () => {
+    expect(new Set(QUOTE_TEMPLATES.map(template => template.id)).size).toBe(QUOTE_TEMPLATES.length);
+  });
+});
+
+describe('template-specific extraction', () => {
+  it('reads legacy PanFS header labels and the migration target', () => {
+    const text = 'Quotation # 2025-0877 Quotation Date November 14, 2025 Valid Until December 14, 2025 ' +
+      'Bill To Oakridge Materials Lab Reseller Bluefin Data Systems Sales Representative Morgan Hale ' +
+      'Email: morgan.hale@panasas.com Migration to V7000 platform';
+    const template = getQuoteTemplate('panfs-legacy');
+    const diagnostics = createDiagnostics();
+
+    expect(extractHeader(text, null, template)).toMatchObject({
+      quoteNumber: '2025-0877',
+      quoteDate: '2025-11-14',
+      expires: '2025-12-14',
+      customer: 'Oakridge Materials Lab',
+      partner: 'Bluefin Data Systems',
+      preparedBy: 'Morgan Hale'
+    });
+    expect(extractBaseProductCode(text, diagnostics, template)).toBe('v7000');
+    expect(diagnostics.baseProductCode).toMatchObject({ pattern: 'Upgrade platform', defaulted: false });
+  });
+
+  it('does not read legacy labels with the default template', () => {
+    const header = extractHeader('Quotation # 2025-0877 Bill To Oakridge Materials Lab Reseller Bluefin', null, DEFAULT_QUOTE_TEMPLATE);
+    expect(header.quoteNumber).toBe('');
+    expect(header.customer).toBe('');
+  });
+
+  it('reads the installed system and renewal total from a renewal quote', () => {
+    const text = fixtureText('renewal-text');
+    const template = getQuoteTemplate('renewal');
+
+    expect(extractBaseProductCode(text, null, template)).toBe('v7000');
+    expect(extractTotals(text, [], template)).toMatchObject({
+      sections: [{ name: 'Renewals', amount: 3696 }],
+      grandTotal: 3696
+    });
+  });
+
+  it('finds table columns by the template\'s labels', () => {
+    const pages = [{
+      pageNumber: 1,
+      items: [
+        item(30, 700, 'ITEM #'), item(150, 700, 'DESCRIPTION'), item(300, 700, 'QTY'),
+        item(390, 700, 'UNIT PRICE'), item(455, 700, 'NET PRICE'), item(530, 700, 'TOTAL'),
+        item(30, 680, 'SVC-DEPLOY'), item(150, 680, 'On-site deployment'), item(305, 680, '1'),
+        item(390, 680, '$5,000.00'), item(455, 680, '$4,500.00'), item(520, 680, '$4,500.00')
+      ]
+    }];
+
+    expect(extractTableRows(pages)).toEqual([]);
+    expect(extractTableRows(pages, getQuoteTemplate('panfs-legacy'))).toMatchObject([
+      { partNo: 'SVC-DEPLOY', qty: '1', listPrice: '$5,000.00', discountPrice: '$4,500.00', extendedPrice: '$4,500.00' }
+    ]);
+  });
+});
+
+describe('convertQuotePages', () => {
+  const config = { families: DEFAULT_PRODUCT_FAMILIES, bundleRules: DEFAULT_BUNDLE_RULES };
+
+  it('reports the detected template', () => {
+    const result = convertQuotePages(textPages(fixtureText('renewal-text')), '', undefined, config);
+
+    expect(result.template).toEqual({ id: 'renewal', name: 'Renewal quote', confidence: 'high' });
+    expect(result.diagnostics.template.matched).toContain('"Renewal Quote" title');
+  });
+
+  it('uses a chosen template instead of detecting one', () => {
+    const result = convertQuotePages(textPages(fixtureText('renewal-text')), '', undefined, { ...config, templateId: 'vdura' });
+
+    expect(result.template).toEqual({ id: 'vdura', name: 'VDURA quote', confidence: 'manual' });
+    // The VDURA layout has no renewal total label
+    expect(result.totals.grandTotal).toBeNull();
+  });
+
+  it('rejects an unknown template', () => {
+    expect(() => convertQuotePages(textPages(fixtureText('renewal-text')), '', undefined, { ...config, templateId: 'nope' }))
+      .toThrow('Unknown quote template "nope".');
+  });
+});
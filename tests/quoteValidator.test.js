@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { validateQuote } from '../src/services/quoteValidator.js';
+
+const row = (fields) => ({
+  productCode: 'SVC-DEPLOY',
+  listPrice: '5000.00',
+  discountPrice: '4500.00',
+  optionQty: '1',
+  month: '',
+  extendedPrice: '4500.00',
+  quoteDate: '2026-03-03',
+  quoteExpires: '2026-04-02',
+  ...fields
+});
+
+describe('validateQuote dates', () => {
+  it('accepts a quote that expires after it is dated', () => {
+    expect(validateQuote([row()])).toEqual([]);
+  });
+
+  it('flags ambiguous and unreadable dates', () => {
+    const issues = validateQuote([row({ quoteDate: '03/04/2026', quoteExpires: 'TBD' })]);
+
+    expect(issues.map(issue => issue.type)).toEqual(['date-ambiguous', 'date-invalid']);
+    expect(issues[0].message).toBe('Quote Date "03/04/2026" could be 2026-03-04 or 2026-04-03; enter it as YYYY-MM-DD');
+  });
+
+  it('flags an expiry on or before the quote date', () => {
+    const issues = validateQuote([row({ quoteExpires: '2026-03-01' })]);
+
+    expect(issues).toEqual([{
+      type: 'date-order',
+      rowIndex: null,
+      message: 'Quote Expires (2026-03-01) is not after Quote Date (2026-03-03)'
+    }]);
+  });
+
+  it('reads unambiguous dates typed in other formats', () => {
+    expect(validateQuote([row({ quoteDate: 'March 3, 2026', quoteExpires: '30/03/2026' })])).toEqual([]);
+  });
+});
+
+describe('validateQuote amounts', () => {
+  it('reports amounts in the quote currency', () => {
+    const issues = validateQuote([row({ extendedPrice: '4000.00', currency: 'EUR' })]);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toContain('€4,500.00');
+    expect(issues[0].message).toContain('€4,000.00');
+  });
+
+  it('reads amounts edited with a currency symbol other than $', () => {
+    expect(validateQuote([row({ discountPrice: '€4500.00', extendedPrice: '€4500.00', currency: 'EUR' })])).toEqual([]);
+    expect(validateQuote([row({ listPrice: '£5,000.00', discountPrice: '£4,500.00', extendedPrice: '£4,500.00', currency: 'GBP' })])).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { locateRows, matchRowsToItems } from '../src/services/rowSources.js';
+import { readPdfPages } from '../src/services/pdfPages.js';
+import { convertQuotePages } from '../src/services/quotePipeline.js';
+import { buildQuoteModel } from '../src/services/quoteModel.js';
+import { DEFAULT_PRODUCT_FAMILIES, DEFAULT_BUNDLE_RULES } from '../src/utils/constants.js';
+
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_URL = join(dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+const bounds = { x: 30, y: 625, width: 520, height: 9 };
+
+describe('locateRows', () => {
+  const lineItems = [
+    { partNo: 'VDP-VDURACare-10-HP', extraction: { source: 'table', page: 1, bounds } },
+    { partNo: 'SVC-DEPLOY', extraction: { source: 'text', family: 'Services (SVC)' } }
+  ];
+
+  it('places rows on the region of their line item', () => {
+    const locations = locateRows([{ productCode: 'VDP-VDURACare-10-HP', parentProductCode: '' }], lineItems);
+    expect(locations).toEqual([{ page: 1, bounds }]);
+  });
+
+  it('places bundle children on their parent region', () => {
+    const locations = locateRows([{ productCode: 'VDP-SW-P-10-HP', parentProductCode: 'VDP-VDURACare-10-HP' }], lineItems);
+    expect(locations).toEqual([{ page: 1, bounds }]);
+  });
+
+  it('returns null for unplaced items and rows added by hand', () => {
+    const locations = locateRows([{ productCode: 'SVC-DEPLOY' }, { productCode: '' }], lineItems);
+    expect(locations).toEqual([null, null]);
+  });
+});
+
+describe('adjustments sharing a code', () => {
+  const adjustment = (description, amount, y) => ({
+    partNo: 'ADJ-DISCOUNT',
+    description,
+    extendedPrice: amount,
+    adjustment: { type: 'discount', text: `${description} (${amount})` },
+    extraction: { source: 'text', page: 1, bounds: { ...bounds, y } }
+  });
+  const items = [adjustment('Special Discount', -500, 520), adjustment('Loyalty Discount', -250, 480)];
+  const rows = [
+    { productCode: 'ADJ-DISCOUNT', parentProductCode: '', lineType: 'adjustment' },
+    { productCode: 'ADJ-DISCOUNT', parentProductCode: '', lineType: 'adjustment' }
+  ];
+
+  it('matches each row to its own item in order', () => {
+    expect(matchRowsToItems(rows, items)).toEqual(items);
+    expect(locateRows(rows, items).map(location => location.bounds.y)).toEqual([520, 480]);
+  });
+
+  it('keeps each adjustment\'s source and section in a converted quote', async () => {
+    const data = new Uint8Array(readFileSync(new URL('./fixtures/quotes/repeated-adjustments-table/quote.pdf', import.meta.url)));
+    const pages = await readPdfPages(pdfjsLib, data, { documentOptions: { standardFontDataUrl: STANDARD_FONT_DATA_URL } });
+    const result = convertQuotePages(pages, '', undefined, { families: DEFAULT_PRODUCT_FAMILIES, bundleRules: DEFAULT_BUNDLE_RULES });
+    const model = buildQuoteModel({ ...result, families: DEFAULT_PRODUCT_FAMILIES, bundleRules: DEFAULT_BUNDLE_RULES });
+
+    const adjustments = model.lineItems.filter(item => item.lineType === 'adjustment');
+    expect(adjustments.map(item => item.description)).toEqual(['Trade-in Credit', 'Trade-in Credit', 'Special Discount', 'Loyalty Discount']);
+    expect(new Set(adjustments.map(item => item.extraction.bounds.y)).size).toBe(4);
+
+    const locations = locateRows(result.rows, result.lineItems).filter((_, i) => result.rows[i].lineType === 'adjustment');
+    expect(locations.map(location => location.bounds.y)).toEqual(adjustments.map(item => item.extraction.bounds.y));
+
+    expect(model.sections.map(section => [section.name, section.lineNumbers])).toEqual([['Hardware', [1, 3, 4]], ['Services', [2, 5]]]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toCaseSafeId,
+  parseOpportunityId,
+  isValidOpportunityId,
+  findOpportunityIdInText
+} from '../src/utils/salesforceId.js';
+
+const ID_15 = '006Ak00000AbCdE';
+const ID_18 = '006Ak00000AbCdEIAV';
+
+describe('toCaseSafeId', () => {
+  it('appends the case checksum', () => {
+    expect(toCaseSafeId(ID_15)).toBe(ID_18);
+    expect(toCaseSafeId('006000000000000')).toBe('006000000000000AAA');
+  });
+});
+
+describe('parseOpportunityId', () => {
+  it('accepts 18-character IDs and converts 15-character ones', () => {
+    expect(parseOpportunityId(ID_18)).toEqual({ id: ID_18, error: null });
+    expect(parseOpportunityId(` ${ID_15} `)).toEqual({ id: ID_18, error: null });
+  });
+
+  it('restores the case of an 18-character ID from its suffix', () => {
+    expect(parseOpportunityId(ID_18.toLowerCase()).id).toBe(ID_18);
+  });
+
+  it('takes the ID from a Salesforce link', () => {
+    expect(parseOpportunityId(`https://acme.lightning.force.com/lightning/r/Opportunity/${ID_18}/view`).id).toBe(ID_18);
+    expect(parseOpportunityId(`https://acme.my.salesforce.com/${ID_15}`).id).toBe(ID_18);
+    expect(parseOpportunityId('https://acme.my.salesforce.com/home').error).toContain('No Salesforce record ID');
+  });
+
+  it('rejects typos, other record types and bad lengths', () => {
+    expect(parseOpportunityId('006Ak00000AbCdEXQZ').error).toContain('do not match');
+    expect(parseOpportunityId('001Ak00000AbCdE').error).toContain('start with 006, not 001');
+    expect(parseOpportunityId('006Ak00000AbCd').error).toContain('this one is 14');
+    expect(parseOpportunityId('006Ak00000AbCd-').error).toContain('only letters and digits');
+  });
+
+  it('treats blank input as neither valid nor an error', () => {
+    expect(parseOpportunityId('  ')).toEqual({ id: null, error: null });
+  });
+});
+
+describe('isValidOpportunityId', () => {
+  it('requires the exact 18-character form', () => {
+    expect(isValidOpportunityId(ID_18)).toBe(true);
+    expect(isValidOpportunityId(ID_15)).toBe(false);
+  });
+});
+
+describe('findOpportunityIdInText', () => {
+  it('prefers an ID labelled Opportunity', () => {
+    const text = `Reference 006000000000000AAA Opportunity ID: ${ID_15} Quote Number 12345`;
+    expect(findOpportunityIdInText(text)).toBe(ID_18);
+  });
+
+  it('falls back to any valid Opportunity ID and skips invalid ones', () => {
+    expect(findOpportunityIdInText(`SFDC 006Ak00000AbCdEXQZ ref ${ID_18}`)).toBe(ID_18);
+    expect(findOpportunityIdInText('Quote Number 12345 Total $1,000.00')).toBeNull();
+  });
+});
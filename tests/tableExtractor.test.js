@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { extractTableRows, locateText } from '../src/services/tableExtractor.js';
+
+const item = (x, y, str) => ({ str, x, y, width: str.length * 5, height: 9 });
+
+const pages = [
+  {
+    pageNumber: 1,
+    items: [
+      item(30, 700, 'PART NO.'), item(150, 700, 'DESCRIPTION'), item(300, 700, 'QTY'),
+      item(375, 700, 'LIST PRICE'), item(440, 700, 'DISCOUNTED'), item(520, 700, 'EXTENDED'),
+      item(30, 680, 'SVC-DEPLOY'), item(150, 680, 'On-site deployment'), item(305, 680, '1'),
+      item(380, 680, '$5,000.00'), item(445, 680, '$4,500.00'), item(520, 680, '$4,500.00'),
+      item(150, 669, 'two days')
+    ]
+  },
+  {
+    pageNumber: 2,
+    items: [item(30, 500, 'VCH - J 78'), item(150, 500, 'Chassis')]
+  }
+];
+
+describe('extractTableRows', () => {
+  it('records the page and bounds of each row, including wrapped lines', () => {
+    const [row] = extractTableRows(pages);
+
+    expect(row).toMatchObject({ partNo: 'SVC-DEPLOY', description: 'On-site deployment two days', page: 1 });
+    expect(row.bounds).toEqual({ x: 30, y: 669, width: 535, height: 20 });
+  });
+});
+
+describe('locateText', () => {
+  it('finds the first line containing the text, ignoring spacing', () => {
+    expect(locateText(pages, 'VCH-J78')).toEqual({ page: 2, bounds: { x: 30, y: 500, width: 155, height: 9 } });
+  });
+
+  it('returns null when the text is not on any page', () => {
+    expect(locateText(pages, 'VDP-SW-P-10-HP')).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { generateXLSX } from '../src/services/xlsxGenerator.js';
+import { DEFAULT_PRODUCT_FAMILIES } from '../src/utils/constants.js';
+
+/**
+ * Read the parts of a stored (uncompressed) workbook by walking its local headers
+ */
+function readParts(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const parts = {};
+
+  for (let offset = 0; view.getUint32(offset, true) === 0x04034b50;) {
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const dataStart = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    parts[decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength))] = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+    offset = dataStart + size;
+  }
+  return parts;
+}
+
+const cell = (sheet, ref) => sheet.match(new RegExp(`<c r="${ref}"[^>]*(?:/>|>.*?</c>)`))?.[0];
+const numFmt = (styles, id) => styles.match(new RegExp(`<numFmt numFmtId="${id}" formatCode="([^"]*)"/>`))?.[1];
+
+const row = (fields) => ({
+  quoteDate: '2026-01-05',
+  opportunityId: '006Ak00000AbCdEIAZ',
+  customerName: 'Northwind Labs',
+  partnerName: 'Contoso Systems',
+  preparedBy: 'Alex Morgan',
+  email: 'alex.morgan@vdura.com',
+  quoteNumber: '2025-1187',
+  baseProductCode: 'v5000',
+  baseDescription: 'v5000',
+  productCode: 'SVC-INSTALL-REMOTE',
+  parentProductCode: '',
+  listPrice: '2500.00',
+  discountPercentage: '10.00',
+  discountPrice: '2250.00',
+  optionQty: '1',
+  month: '',
+  extendedPrice: '2250.00',
+  optionDescription: 'Remote installation and onboarding',
+  quoteExpires: '2026-02-04',
+  status: 'New',
+  currency: 'USD',
+  ...fields
+});
+
+const BUNDLE = [
+  row({ productCode: 'VDP-VDURACare-10-HP', listPrice: '10.00', discountPercentage: '15.00', discountPrice: '8.50', optionQty: '20', month: '36', extendedPrice: '6120.00' }),
+  row({ productCode: 'VDP-SW-P-10-HP', parentProductCode: 'VDP-VDURACare-10-HP', listPrice: '5.50', discountPercentage: '0.00', discountPrice: '5.50', optionQty: '20', month: '36', extendedPrice: '3960.00' }),
+  row({ productCode: 'HW-Support-HP-NBD', parentProductCode: 'VDP-VDURACare-10-HP', listPrice: '3.00', discountPercentage: '0.00', discountPrice: '3.00', optionQty: '20', month: '36', extendedPrice: '2160.00' }),
+  row()
+];
+
+const generate = (rows, options = {}) => readParts(generateXLSX(rows, { families: DEFAULT_PRODUCT_FAMILIES, ...options }));
+
+describe('generateXLSX', () => {
+  it('writes the workbook parts', () => {
+    expect(Object.keys(generate([row()]))).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+  });
+
+  it('writes prices as numbers in the quote currency format', () => {
+    const parts = generate([row()]);
+    const sheet = parts['xl/worksheets/sheet1.xml'];
+
+    // List Price, Discount Price and Extended Price columns
+    expect(cell(sheet, 'L2')).toBe('<c r="L2" s="1"><v>2500</v></c>');
+    expect(cell(sheet, 'N2')).toBe('<c r="N2" s="1"><v>2250</v></c>');
+    expect(cell(sheet, 'Q2')).toBe('<c r="Q2" s="1"><v>2250</v></c>');
+    expect(numFmt(parts['xl/styles.xml'], 164)).toBe('&quot;$&quot;#,##0.00');
+
+    expect(numFmt(generate([row({ currency: 'EUR' })])['xl/styles.xml'], 164)).toBe('&quot;€&quot;#,##0.00');
+    expect(numFmt(generate([row({ currency: 'CHF' })])['xl/styles.xml'], 164)).toBe('&quot;CHF &quot;#,##0.00');
+  });
+
+  it('writes dates as serial numbers in the chosen format', () => {
+    const parts = generate([row()], { dateFormat: 'dmy' });
+    const sheet = parts['xl/worksheets/sheet1.xml'];
+
+    // 2026-01-05 and 2026-02-04 as days since 1899-12-30
+    expect(cell(sheet, 'A2')).toBe('<c r="A2" s="2"><v>46027</v></c>');
+    expect(cell(sheet, 'S2')).toBe('<c r="S2" s="2"><v>46057</v></c>');
+    expect(numFmt(parts['xl/styles.xml'], 165)).toBe('dd/mm/yyyy');
+    expect(numFmt(generate([row()], { dateFormat: 'iso' })['xl/styles.xml'], 165)).toBe('yyyy-mm-dd');
+  });
+
+  it('keeps dates that do not read as one day as text', () => {
+    const sheet = generate([row({ quoteDate: '03/04/2026' })])['xl/worksheets/sheet1.xml'];
+    expect(cell(sheet, 'A2')).toContain('<t xml:space="preserve">03/04/2026</t>');
+  });
+
+  it('totals the summary by product family without counting bundle children', () => {
+    const summary = generate(BUNDLE)['xl/worksheets/sheet2.xml'];
+    const totals = [...summary.matchAll(/<row r="\d+"><c r="A\d+" t="inlineStr"><is><t xml:space="preserve">([^<]*)<\/t><\/is><\/c><c r="B\d+" s="[15]"><v>([^<]*)<\/v><\/c><\/row>/g)]
+      .map(([, family, amount]) => [family, Number(amount)]);
+
+    expect(totals).toEqual([['VDURACare', 6120], ['Services (SVC)', 2250]]);
+    expect(summary).toMatch(/Total<\/t><\/is><\/c><c r="B\d+" s="5"><v>8370<\/v>/);
+  });
+
+  it('escapes markup and keeps non-ASCII text', () => {
+    const bytes = generateXLSX([row({ optionDescription: 'R&D <rack> "A" – Zürich' })], { families: DEFAULT_PRODUCT_FAMILIES });
+    const sheet = readParts(bytes)['xl/worksheets/sheet1.xml'];
+
+    expect(cell(sheet, 'R2')).toBe('<c r="R2" t="inlineStr"><is><t xml:space="preserve">R&amp;D &lt;rack&gt; &quot;A&quot; – Zürich</t></is></c>');
+    // Written as UTF-8 bytes
+    expect(new TextDecoder().decode(bytes)).toContain('– Zürich');
+  });
+});
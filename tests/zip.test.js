@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { crc32 } from 'node:zlib';
+import { createZip } from '../src/utils/zip.js';
+
+const FILES = [
+  { name: 'hello.txt', content: 'hello' },
+  { name: 'xl/Zürich.xml', content: '<t>€10</t>' },
+  { name: 'empty', content: '' },
+  { name: 'bytes.bin', content: new Uint8Array([0, 255, 10, 13]) }
+];
+
+/**
+ * Read the end record, central directory and local headers of a stored ZIP
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  const endOffset = bytes.length - 22;
+  const end = {
+    signature: view.getUint32(endOffset, true),
+    count: view.getUint16(endOffset + 10, true),
+    centralSize: view.getUint32(endOffset + 12, true),
+    centralOffset: view.getUint32(endOffset + 16, true)
+  };
+
+  const entries = [];
+  let position = end.centralOffset;
+  for (let i = 0; i < end.count; i++) {
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const central = {
+      signature: view.getUint32(position, true),
+      crc: view.getUint32(position + 16, true),
+      compressedSize: view.getUint32(position + 20, true),
+      size: view.getUint32(position + 24, true),
+      name: decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength))
+    };
+
+    const localNameLength = view.getUint16(offset + 26, true);
+    const dataStart = offset + 30 + localNameLength + view.getUint16(offset + 28, true);
+    const local = {
+      signature: view.getUint32(offset, true),
+      flags: view.getUint16(offset + 6, true),
+      method: view.getUint16(offset + 8, true),
+      crc: view.getUint32(offset + 14, true),
+      compressedSize: view.getUint32(offset + 18, true),
+      size: view.getUint32(offset + 22, true),
+      name: decoder.decode(bytes.subarray(offset + 30, offset + 30 + localNameLength))
+    };
+
+    entries.push({ central, local, data: bytes.subarray(dataStart, dataStart + local.size) });
+    position += 46 + nameLength;
+  }
+
+  return { end, entries, centralEnd: position };
+}
+
+describe('createZip', () => {
+  it('writes each entry with a local header matching its data', () => {
+    const { entries } = readZip(createZip(FILES));
+    const encoder = new TextEncoder();
+
+    expect(entries).toHaveLength(FILES.length);
+    entries.forEach(({ local, data }, i) => {
+      const expected = typeof FILES[i].content === 'string' ? encoder.encode(FILES[i].content) : FILES[i].content;
+
+      expect(local.signature).toBe(0x04034b50);
+      expect(local.name).toBe(FILES[i].name);
+      expect(local.flags & 0x0800).toBe(0x0800);
+      expect(local.method).toBe(0);
+      expect(local.size).toBe(expected.length);
+      expect(local.compressedSize).toBe(expected.length);
+      expect(local.crc).toBe(crc32(expected));
+      expect([...data]).toEqual([...expected]);
+    });
+  });
+
+  it('repeats each local header in the central directory', () => {
+    const bytes = createZip(FILES);
+    const { end, entries, centralEnd } = readZip(bytes);
+
+    expect(end.signature).toBe(0x06054b50);
+    expect(end.count).toBe(FILES.length);
+    expect(centralEnd).toBe(end.centralOffset + end.centralSize);
+    expect(centralEnd).toBe(bytes.length - 22);
+    for (const { central, local } of entries) {
+      expect(central.signature).toBe(0x02014b50);
+      expect(central).toMatchObject({ name: local.name, crc: local.crc, size: local.size, compressedSize: local.compressedSize });
+    }
+  });
+
+  it('computes the standard CRC-32', () => {
+    const { entries } = readZip(createZip([{ name: 'check', content: '123456789' }]));
+    expect(entries[0].local.crc).toBe(0xcbf43926);
+  });
+});
@@ -1,9 +1,27 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import serviceWorker from './vite/serviceWorker.js'
+import pdfjsVersionCheck from './vite/pdfjsVersionCheck.js'
+import vendorAssets from './vite/vendorAssets.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    pdfjsVersionCheck(),
+    // Tesseract looks up language data as <langPath>/<lang>.traineddata.gz
+    vendorAssets([
+      { from: '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', to: 'ocr/eng/eng.traineddata.gz' }
+    ]),
+    serviceWorker({ source: 'src/sw.js' })
+  ],
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     include: ['pdfjs-dist']
+  },
+  test: {
+    include: ['tests/**/*.test.js'],
+    environment: 'node'
   }
 })
@@ -0,0 +1,25 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Fail the build if the bundled pdf.js worker does not match the installed library
+ * pdf.js refuses to parse when the two differ, so catch it here rather than in the browser.
+ * @returns {Object} - Vite plugin
+ */
+export default function pdfjsVersionCheck() {
+  return {
+    name: 'quote2csv-pdfjs-version-check',
+
+    buildStart() {
+      const { version } = require('pdfjs-dist/package.json');
+      const worker = readFileSync(require.resolve('pdfjs-dist/build/pdf.worker.min.mjs'), 'utf8');
+
+      // The worker embeds its own version string and compares it with the API's at runtime
+      if (!worker.includes(`"${version}"`)) {
+        this.error(`pdf.js worker does not match pdfjs-dist ${version}. Reinstall dependencies.`);
+      }
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import { readFileSync, readdirSync, writeFileSync, existsSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { createHash } from 'node:crypto';
+
+/**
+ * List files under a directory as URL paths
+ */
+function listFiles(dir, root = dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path, root) : [`/${relative(root, path).split('\\').join('/')}`];
+  });
+}
+
+/**
+ * Write sw.js with a precache list of every file in the build
+ * The cache name is a hash of the build's contents, so each deploy gets a fresh cache.
+ * @param {Object} options
+ * @param {string} options.source - Path to the service worker template
+ * @returns {Object} - Vite plugin
+ */
+export default function serviceWorker({ source }) {
+  let publicDir = '';
+
+  return {
+    name: 'quote2csv-service-worker',
+    apply: 'build',
+
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+
+    // Runs after index.html is generated and public files are known
+    writeBundle(outputOptions, bundle) {
+      const urls = [...new Set([
+        '/',
+        ...Object.keys(bundle).map(fileName => `/${fileName}`),
+        ...listFiles(publicDir)
+      ])].sort();
+      const hash = createHash('sha256');
+      for (const output of Object.values(bundle)) {
+        hash.update(output.type === 'chunk' ? output.code : output.source);
+      }
+      for (const url of listFiles(publicDir)) {
+        hash.update(readFileSync(join(publicDir, url)));
+      }
+
+      const code = readFileSync(source, 'utf8')
+        .replace('__CACHE_NAME__', JSON.stringify(`quote2csv-${hash.digest('hex').slice(0, 12)}`))
+        .replace('__PRECACHE_URLS__', JSON.stringify(urls, null, 2));
+
+      writeFileSync(join(outputOptions.dir, 'sw.js'), code);
+    }
+  };
+}
@@ -0,0 +1,33 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Serve files from dependencies at fixed URLs, for libraries that build
+ * their own paths from a base directory (and so cannot use hashed asset URLs)
+ * @param {Array} files - [{ from, to }] where from is a package path and to is the output path
+ * @returns {Object} - Vite plugin
+ */
+export default function vendorAssets(files) {
+  const resolved = files.map(({ from, to }) => ({ path: require.resolve(from), to }));
+
+  return {
+    name: 'quote2csv-vendor-assets',
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = resolved.find(({ to }) => req.url === `/${to}`);
+        if (!file) return next();
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.end(readFileSync(file.path));
+      });
+    },
+
+    generateBundle() {
+      for (const { path, to } of resolved) {
+        this.emitFile({ type: 'asset', fileName: to, source: readFileSync(path) });
+      }
+    }
+  };
+}